@@ -0,0 +1,673 @@
+// constants.js - Configuration values shared by all modules
+//
+// The config objects below are the defaults. They are validated when this
+// module loads, and can be overridden at runtime (before the app modules are
+// constructed) from a JSON file or the page's query string:
+//
+//   index.html?config=configs/large-canvas.json
+//   index.html?CANVAS_CONFIG.WIDTH=1000&FOLD_CONFIG.MAX_LAYERS=8
+//
+// Overrides are merged into the exported objects in place, so every module
+// that imported them sees the new values.
+
+export const CANVAS_CONFIG = {
+    WIDTH: 800,
+    HEIGHT: 700,
+    BACKGROUND_COLOR: '#f5f5f5'
+};
+
+// Garment placement. WIDTH and HEIGHT size a T-shirt body; the other
+// templates scale with it. Every template has to fit on the canvas.
+export const SHIRT_CONFIG = {
+    TEMPLATE: 'tshirt',
+    FABRIC: 'cotton',
+    WIDTH: 320,
+    HEIGHT: 500,
+    CENTER_X: CANVAS_CONFIG.WIDTH / 2,
+    CENTER_Y: CANVAS_CONFIG.HEIGHT / 2,
+    OUTLINE_COLOR: '#cccccc',
+    OUTLINE_WIDTH: 2
+};
+
+export const FOLD_CONFIG = {
+    MAX_LAYERS: 32,
+    LAYER_OPACITY_STEP: 0.05,
+    FOLD_LINE_COLOR: 'rgba(102, 126, 234, 0.8)',
+    FOLD_LINE_WIDTH: 2,
+    MAP_CELL_SIZE: 2,           // Fabric map resolution in canvas pixels
+    LAYER_ATTENUATION: 0.85,    // Share of dye that soaks on into the next layer
+    PREVIEW_LINE_COLOR: 'rgba(118, 75, 162, 0.9)',
+    HANDLE_RADIUS: 7,
+    HANDLE_DISTANCE: 70,        // Distance of angle handles from their centre
+    BAND_WIDTH: 10,
+    STRING_WIDTH: 4,
+    BAND_RESIST: 0.85,          // Share of dye a binding keeps out
+    STRING_RESIST: 0.75,
+    CLAMP_RESIST: 0.95,
+    BINDING_COLOR: 'rgba(200, 90, 40, 0.85)'
+};
+
+export const DYE_CONFIG = {
+    BRUSH_MIN_SIZE: 5,
+    BRUSH_MAX_SIZE: 50,
+    BRUSH_DEFAULT_SIZE: 20,
+    MIN_INTENSITY: 1,
+    MAX_INTENSITY: 100,
+    DEFAULT_INTENSITY: 50,
+    // Diffusion solver. Time is in simulated seconds, lengths in field cells.
+    FIELD_CELL_SIZE: 4,         // Pixels per solver cell, a multiple of MAP_CELL_SIZE
+    WICKING_RATE: 6,            // Spread rate (cells^2/s) per unit of excess liquid
+    WETNESS: 0.5,               // How damp the fabric is before dyeing (0..1)
+    RETENTION: 0.5,             // Liquid dry fabric holds without wicking it on
+    ABSORPTION_RATE: 0.3,       // Share of free dye fixing to the fibres per hour
+    SATURATION: 2,              // Most free dye a cell can hold
+    DEPOSIT_AMOUNT: 1,          // Free dye a full-intensity dab adds at its centre
+    DYE_OPACITY: 4,             // How quickly concentration builds up colour
+    MAX_TIME_STEP: 30,
+    TIME_SCALE: 4,              // Simulated seconds per second while dyeing
+    MAX_CONCENTRATION: 4,       // Teaspoons of dye powder per cup at full intensity
+    REFERENCE_CONCENTRATION: 1, // Strength the dye library's colours are given at
+    FRONT_FACE_COLOR: 'rgba(47, 128, 237, 0.7)',   // Face map: dyed from the front
+    BACK_FACE_COLOR: 'rgba(242, 153, 74, 0.7)'     // Face map: dyed from the back
+};
+
+export const TOOL_CONFIG = {
+    // Strokes are read back at even spacing along their path
+    MIN_SAMPLE_DISTANCE: 1,     // Pixels a pointer sample must move to be kept
+    DEFAULT_PRESSURE: 0.5,      // What pointers without pressure report
+    BRUSH_SPACING: 0.25,        // Distance between dabs as a share of the brush size
+    SQUEEZE_WIDTH: 0.25,        // Line width as a share of the brush size
+    SQUEEZE_AMOUNT: 2,          // Relative to DEPOSIT_AMOUNT
+    POUR_SPREAD: 2,             // Puddle radius as a multiple of the brush size
+    POUR_AMOUNT: 3,
+    DIP_AMOUNT: 1.5,
+    SPRAY_DENSITY: 12,          // Droplets per spray
+    SPRAY_SPACING: 0.5,         // Distance between sprays as a share of the brush size
+    SPRAY_AMOUNT: 0.4,
+    ICE_CRYSTALS: 10,           // Ice chunks per pile
+    ICE_AMOUNT: 1.5,
+    ICE_MELT_SECONDS: 90,       // Simulated time an ice pile takes to melt
+    ICE_STRIKE_SPREAD: 0.5,     // Extra spread per place later in the strike order
+    ICE_STRIKE_DELAY: 0.3       // Extra melt time per place later in the strike order
+};
+
+export const CURE_CONFIG = {
+    MIN_HOURS: 1,
+    MAX_HOURS: 24,
+    DEFAULT_HOURS: 8,
+    PLAYBACK_SECONDS: 4,        // Length of the batching time-lapse
+    RINSE_LOSS: 0.8,            // Share of unfixed dye washed away by rinsing
+    RINSE_SPREAD: 20            // How far loose dye runs in the rinse water
+};
+
+// Palette assistant. Overlaps count as mud when they come out grey (low
+// CIELAB chroma) or brown (a dark, dull orange to yellow).
+export const PALETTE_CONFIG = {
+    MIN_SIZE: 2,
+    MAX_SIZE: 5,
+    DEFAULT_SIZE: 3,
+    MUD_CHROMA: 18,             // Greyer than this is mud
+    BROWN_HUE_MIN: 20,          // Hue range (degrees) browns fall in
+    BROWN_HUE_MAX: 100,
+    BROWN_LIGHTNESS: 50,        // Browns are darker than this...
+    BROWN_CHROMA: 40            // ...and duller than this
+};
+
+// Print files. Sizes are in inches.
+export const PRINT_CONFIG = {
+    DEFAULT_DPI: 300,
+    DEFAULT_WIDTH: 24,          // Width printed for the chosen area
+    DEFAULT_BLEED: 0.125,
+    CROP_MARK_LENGTH: 0.25,
+    CROP_MARK_OFFSET: 0.0625,   // Gap between the bleed and the crop marks
+    MAX_PIXELS: 64000000        // Larger canvases fail in some browsers
+};
+
+// Cut-and-sew pieces. Sizes are in inches.
+export const SEWING_CONFIG = {
+    DEFAULT_DPI: 150,           // Usual for printing fabric by the yard
+    DEFAULT_BODY_WIDTH: 20,     // Width of the front piece, sleeves not counted
+    DEFAULT_ALLOWANCE: 0.5,     // Seam allowance around every piece
+    LAYOUT_DPI: 30,             // Resolution of the layout sheet
+    LAYOUT_GAP: 1               // Space between pieces on the layout sheet
+};
+
+// Unfolding animation. Times are in seconds.
+export const ANIMATION_CONFIG = {
+    FOLD_SECONDS: 1.2,          // Undoing one fold
+    HOLD_SECONDS: 0.8,          // On the bundle before, and fading into the garment after
+    SOAK_DELAY: 0.3,            // Share of an unfold before fabric it opens takes on its dye
+    TURN_SHADE: 0.25,           // How much a flap darkens halfway over
+    EXPORT_WIDTH: 480,          // Saved animations show the whole canvas at this width
+    GIF_FPS: 15,
+    GIF_PALETTE_STRIDE: 4,      // Every how many frames are sampled for the GIF's colours
+    VIDEO_FPS: 30,
+    VIDEO_BITRATE: 4000000
+};
+
+// Design gallery and session autosave
+export const GALLERY_CONFIG = {
+    THUMBNAIL_SIZE: 240,        // Longest side of a design's thumbnail, in pixels
+    AUTOSAVE_DELAY: 1000        // ms of quiet before the session is saved
+};
+
+// Undo history. Every dye step keeps copies of the dye field; the oldest
+// steps are let go once the copies add up to more than MAX_BYTES.
+export const HISTORY_CONFIG = {
+    MAX_ENTRIES: 50,
+    MAX_BYTES: 128 * 1024 * 1024,
+    MERGE_WINDOW: 800           // ms within which changes to one setting are one step
+};
+
+export const FOLD_TYPES = Object.freeze({
+    ACCORDION: 'accordion',
+    SPIRAL: 'spiral',
+    CRUMPLE: 'crumple',
+    DIAGONAL: 'diagonal',
+    BULLSEYE: 'bullseye',
+    MANDALA: 'mandala',
+    SUNBURST: 'sunburst',
+    STRIPES: 'stripes',
+    SHIBORI: 'shibori',
+    BINDING: 'binding'
+});
+
+export const BINDING_TYPES = Object.freeze({
+    BAND: 'band',
+    STRING: 'string',
+    CLAMP: 'clamp'
+});
+
+export const DYE_TOOLS = Object.freeze({
+    BRUSH: 'brush',
+    SQUEEZE: 'squeeze',
+    POUR: 'pour',
+    DIP: 'dip',
+    SPRAY: 'spray',
+    ICE: 'ice'
+});
+
+export const GARMENT_TYPES = Object.freeze({
+    TSHIRT: 'tshirt',
+    TANK: 'tank',
+    LONG_SLEEVE: 'longsleeve',
+    HOODIE: 'hoodie',
+    ONESIE: 'onesie',
+    BANDANA: 'bandana',
+    TAPESTRY: 'tapestry'
+});
+
+export const FABRIC_TYPES = Object.freeze({
+    COTTON: 'cotton',
+    BLEND: 'blend',
+    RAYON: 'rayon',
+    SILK: 'silk',
+    POLYESTER: 'polyester'
+});
+
+export const PALETTE_SCHEMES = Object.freeze({
+    ANALOGOUS: 'analogous',
+    TRIADIC: 'triadic',
+    SPLIT_COMPLEMENTARY: 'split-complementary'
+});
+
+// Sides of the folded bundle, and of the garment
+export const FACES = Object.freeze({
+    FRONT: 'front',
+    BACK: 'back'
+});
+
+export const PHASES = Object.freeze({
+    FOLD: 'fold',
+    DYE: 'dye',
+    CURE: 'cure',
+    UNFOLD: 'unfold'
+});
+
+// What can be done to the dyed bundle between strokes
+export const TREATMENTS = Object.freeze({
+    CURE: 'cure',
+    RINSE: 'rinse'
+});
+
+export const EVENTS = Object.freeze({
+    CANVAS_READY: 'canvas:ready',
+    GARMENT_CHANGED: 'garment:changed',
+    FABRIC_CHANGED: 'fabric:changed',
+    FOLD_APPLIED: 'fold:applied',
+    FOLD_UNDONE: 'fold:undone',
+    FOLD_CLEARED: 'fold:cleared',
+    DYE_APPLIED: 'dye:applied',
+    DYE_CLEARED: 'dye:cleared',
+    DYE_RINSED: 'dye:rinsed',
+    DYE_SETTLED: 'dye:settled',
+    CURE_START: 'cure:start',
+    CURE_PROGRESS: 'cure:progress',
+    CURE_COMPLETE: 'cure:complete',
+    BUNDLE_FLIPPED: 'bundle:flipped',
+    VIEW_SIDE_CHANGED: 'view:side',
+    UNFOLD_START: 'unfold:start',
+    UNFOLD_COMPLETE: 'unfold:complete',
+    UNFOLD_PROGRESS: 'unfold:progress',
+    PHASE_CHANGED: 'phase:changed',
+    HISTORY_CHANGED: 'history:changed'
+});
+
+// Dye library modelled on fibre reactive dye colours. Pure dyes carry their
+// colourant data, absorption bands as [peak nm, width nm, strength in K/S] at
+// DYE_CONFIG.REFERENCE_CONCENTRATION, and a strike rank (1 takes to the fibre
+// fastest). Mixed dyes list the dyes they are made of with the share of
+// each; they split into them in that strike order. hex is the swatch at the
+// reference concentration.
+export const DYE_LIBRARY = [
+    { id: 'lemon-yellow', name: 'Lemon Yellow', family: 'Yellows', hex: '#ffe135',
+      absorption: [[418, 53, 6.3]], strike: 2 },
+    { id: 'golden-yellow', name: 'Golden Yellow', family: 'Yellows', hex: '#ffa800',
+      absorption: [[446, 55, 11]], strike: 1 },
+    { id: 'tangerine', name: 'Tangerine', family: 'Oranges & Reds', hex: '#ff7f00',
+      absorption: [[455, 60, 14.8]], strike: 3 },
+    { id: 'fire-red', name: 'Fire Red', family: 'Oranges & Reds', hex: '#e8112d',
+      absorption: [[550, 25, 15.8], [482, 47, 25]], strike: 4 },
+    { id: 'fuchsia', name: 'Fuchsia', family: 'Pinks & Purples', hex: '#e0218a',
+      absorption: [[517, 44, 14.7]], strike: 5 },
+    { id: 'grape', name: 'Grape', family: 'Pinks & Purples', hex: '#552c98',
+      components: [{ dye: 'fuchsia', share: 0.6 }, { dye: 'royal-blue', share: 0.4 }] },
+    { id: 'turquoise', name: 'Turquoise', family: 'Blues', hex: '#00a3ad',
+      absorption: [[615, 60, 3.9], [421, 25, 3.2]], strike: 7 },
+    { id: 'royal-blue', name: 'Royal Blue', family: 'Blues', hex: '#1f3fbf',
+      absorption: [[637, 89, 20.6]], strike: 6 },
+    { id: 'navy', name: 'Navy', family: 'Blues', hex: '#25466c',
+      components: [{ dye: 'royal-blue', share: 0.8 }, { dye: 'fire-red', share: 0.1 },
+                   { dye: 'golden-yellow', share: 0.1 }] },
+    { id: 'kiwi-green', name: 'Kiwi Green', family: 'Greens', hex: '#8dbc5b',
+      components: [{ dye: 'lemon-yellow', share: 0.8 }, { dye: 'turquoise', share: 0.2 }] },
+    { id: 'olive-green', name: 'Olive Green', family: 'Greens', hex: '#565440',
+      components: [{ dye: 'golden-yellow', share: 0.6 }, { dye: 'royal-blue', share: 0.25 },
+                   { dye: 'fire-red', share: 0.15 }] },
+    { id: 'chocolate-brown', name: 'Chocolate Brown', family: 'Browns & Blacks', hex: '#6d4239',
+      components: [{ dye: 'fire-red', share: 0.45 }, { dye: 'golden-yellow', share: 0.4 },
+                   { dye: 'royal-blue', share: 0.15 }] },
+    { id: 'jet-black', name: 'Jet Black', family: 'Browns & Blacks', hex: '#3e434c',
+      components: [{ dye: 'royal-blue', share: 0.5 }, { dye: 'fire-red', share: 0.25 },
+                   { dye: 'golden-yellow', share: 0.25 }] }
+];
+
+// Shape of every overridable config. Enum-like objects (FOLD_TYPES, DYE_TOOLS,
+// GARMENT_TYPES, FABRIC_TYPES, PALETTE_SCHEMES, FACES, PHASES, TREATMENTS,
+// EVENTS) are frozen and not part of the schema.
+const CONFIG_SCHEMA = {
+    CANVAS_CONFIG: {
+        WIDTH: 'positiveInt',
+        HEIGHT: 'positiveInt',
+        BACKGROUND_COLOR: 'color'
+    },
+    SHIRT_CONFIG: {
+        TEMPLATE: 'garmentType',
+        FABRIC: 'fabricType',
+        WIDTH: 'positiveNumber',
+        HEIGHT: 'positiveNumber',
+        CENTER_X: 'number',
+        CENTER_Y: 'number',
+        OUTLINE_COLOR: 'color',
+        OUTLINE_WIDTH: 'positiveNumber'
+    },
+    FOLD_CONFIG: {
+        MAX_LAYERS: 'positiveInt',
+        LAYER_OPACITY_STEP: 'ratio',
+        FOLD_LINE_COLOR: 'color',
+        FOLD_LINE_WIDTH: 'positiveNumber',
+        MAP_CELL_SIZE: 'positiveInt',
+        LAYER_ATTENUATION: 'ratio',
+        PREVIEW_LINE_COLOR: 'color',
+        HANDLE_RADIUS: 'positiveNumber',
+        HANDLE_DISTANCE: 'positiveNumber',
+        BAND_WIDTH: 'positiveNumber',
+        STRING_WIDTH: 'positiveNumber',
+        BAND_RESIST: 'ratio',
+        STRING_RESIST: 'ratio',
+        CLAMP_RESIST: 'ratio',
+        BINDING_COLOR: 'color'
+    },
+    DYE_CONFIG: {
+        BRUSH_MIN_SIZE: 'positiveNumber',
+        BRUSH_MAX_SIZE: 'positiveNumber',
+        BRUSH_DEFAULT_SIZE: 'positiveNumber',
+        MIN_INTENSITY: 'positiveNumber',
+        MAX_INTENSITY: 'positiveNumber',
+        DEFAULT_INTENSITY: 'positiveNumber',
+        FIELD_CELL_SIZE: 'positiveInt',
+        WICKING_RATE: 'positiveNumber',
+        WETNESS: 'ratio',
+        RETENTION: 'positiveNumber',
+        ABSORPTION_RATE: 'ratio',
+        SATURATION: 'positiveNumber',
+        DEPOSIT_AMOUNT: 'positiveNumber',
+        DYE_OPACITY: 'positiveNumber',
+        MAX_TIME_STEP: 'positiveNumber',
+        TIME_SCALE: 'positiveNumber',
+        MAX_CONCENTRATION: 'positiveNumber',
+        REFERENCE_CONCENTRATION: 'positiveNumber',
+        FRONT_FACE_COLOR: 'color',
+        BACK_FACE_COLOR: 'color'
+    },
+    TOOL_CONFIG: {
+        MIN_SAMPLE_DISTANCE: 'positiveNumber',
+        DEFAULT_PRESSURE: 'positiveNumber',
+        BRUSH_SPACING: 'positiveNumber',
+        SQUEEZE_WIDTH: 'positiveNumber',
+        SQUEEZE_AMOUNT: 'positiveNumber',
+        POUR_SPREAD: 'positiveNumber',
+        POUR_AMOUNT: 'positiveNumber',
+        DIP_AMOUNT: 'positiveNumber',
+        SPRAY_DENSITY: 'positiveInt',
+        SPRAY_SPACING: 'positiveNumber',
+        SPRAY_AMOUNT: 'positiveNumber',
+        ICE_CRYSTALS: 'positiveInt',
+        ICE_AMOUNT: 'positiveNumber',
+        ICE_MELT_SECONDS: 'positiveNumber',
+        ICE_STRIKE_SPREAD: 'number',
+        ICE_STRIKE_DELAY: 'number'
+    },
+    CURE_CONFIG: {
+        MIN_HOURS: 'positiveNumber',
+        MAX_HOURS: 'positiveNumber',
+        DEFAULT_HOURS: 'positiveNumber',
+        PLAYBACK_SECONDS: 'positiveNumber',
+        RINSE_LOSS: 'ratio',
+        RINSE_SPREAD: 'positiveInt'
+    },
+    PALETTE_CONFIG: {
+        MIN_SIZE: 'positiveInt',
+        MAX_SIZE: 'positiveInt',
+        DEFAULT_SIZE: 'positiveInt',
+        MUD_CHROMA: 'positiveNumber',
+        BROWN_HUE_MIN: 'number',
+        BROWN_HUE_MAX: 'number',
+        BROWN_LIGHTNESS: 'positiveNumber',
+        BROWN_CHROMA: 'positiveNumber'
+    },
+    PRINT_CONFIG: {
+        DEFAULT_DPI: 'positiveInt',
+        DEFAULT_WIDTH: 'positiveNumber',
+        DEFAULT_BLEED: 'nonNegativeNumber',
+        CROP_MARK_LENGTH: 'positiveNumber',
+        CROP_MARK_OFFSET: 'nonNegativeNumber',
+        MAX_PIXELS: 'positiveInt'
+    },
+    SEWING_CONFIG: {
+        DEFAULT_DPI: 'positiveInt',
+        DEFAULT_BODY_WIDTH: 'positiveNumber',
+        DEFAULT_ALLOWANCE: 'nonNegativeNumber',
+        LAYOUT_DPI: 'positiveInt',
+        LAYOUT_GAP: 'nonNegativeNumber'
+    },
+    ANIMATION_CONFIG: {
+        FOLD_SECONDS: 'positiveNumber',
+        HOLD_SECONDS: 'positiveNumber',
+        SOAK_DELAY: 'ratio',
+        TURN_SHADE: 'ratio',
+        EXPORT_WIDTH: 'positiveInt',
+        GIF_FPS: 'positiveInt',
+        GIF_PALETTE_STRIDE: 'positiveInt',
+        VIDEO_FPS: 'positiveInt',
+        VIDEO_BITRATE: 'positiveInt'
+    },
+    GALLERY_CONFIG: {
+        THUMBNAIL_SIZE: 'positiveInt',
+        AUTOSAVE_DELAY: 'positiveNumber'
+    },
+    HISTORY_CONFIG: {
+        MAX_ENTRIES: 'positiveInt',
+        MAX_BYTES: 'positiveInt',
+        MERGE_WINDOW: 'positiveNumber'
+    },
+    DYE_LIBRARY: 'dyeLibrary'
+};
+
+const CONFIGS = {
+    CANVAS_CONFIG,
+    SHIRT_CONFIG,
+    FOLD_CONFIG,
+    DYE_CONFIG,
+    TOOL_CONFIG,
+    CURE_CONFIG,
+    PALETTE_CONFIG,
+    PRINT_CONFIG,
+    SEWING_CONFIG,
+    ANIMATION_CONFIG,
+    GALLERY_CONFIG,
+    HISTORY_CONFIG,
+    DYE_LIBRARY
+};
+
+const COLOR_PATTERN = /^(#[0-9a-f]{3}|#[0-9a-f]{6}|#[0-9a-f]{8}|rgba?\([\d\s.,%]+\))$/i;
+
+const VALIDATORS = {
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    positiveNumber: value => VALIDATORS.number(value) && value > 0,
+    nonNegativeNumber: value => VALIDATORS.number(value) && value >= 0,
+    positiveInt: value => Number.isInteger(value) && value > 0,
+    ratio: value => VALIDATORS.number(value) && value >= 0 && value <= 1,
+    color: value => typeof value === 'string' && COLOR_PATTERN.test(value.trim()),
+    garmentType: value => Object.values(GARMENT_TYPES).includes(value),
+    fabricType: value => Object.values(FABRIC_TYPES).includes(value),
+    dyeLibrary: value => Array.isArray(value) && value.length > 0 &&
+        value.every(dye => dye && typeof dye.id === 'string' &&
+            typeof dye.name === 'string' && typeof dye.family === 'string' &&
+            /^#[0-9a-f]{6}$/i.test(dye.hex) &&
+            (dye.components
+                ? Array.isArray(dye.components) && dye.components.length > 0 &&
+                  dye.components.every(component => VALIDATORS.positiveNumber(component.share))
+                : VALIDATORS.absorptionBands(dye.absorption) && VALIDATORS.positiveInt(dye.strike))),
+    absorptionBands: value => Array.isArray(value) &&
+        value.every(band => Array.isArray(band) && band.length === 3 &&
+            band.every(VALIDATORS.number) && band[1] > 0 && band[2] >= 0)
+};
+
+export class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// Checks added by other modules, for configs that have to agree with them
+const CONFIG_CHECKS = [];
+
+// Run `check(configs)`, which returns a list of problems, on every
+// validation from now on
+export function addConfigCheck(check) {
+    CONFIG_CHECKS.push(check);
+}
+
+// Returns a list of problems with the given configs (empty when valid)
+function collectErrors(configs) {
+    const errors = [];
+
+    for (const [name, shape] of Object.entries(CONFIG_SCHEMA)) {
+        const config = configs[name];
+
+        if (typeof shape === 'string') {
+            if (!VALIDATORS[shape](config)) {
+                errors.push(`${name} must be a ${shape}`);
+            }
+            continue;
+        }
+
+        for (const [key, type] of Object.entries(shape)) {
+            if (!VALIDATORS[type](config[key])) {
+                errors.push(`${name}.${key} must be a ${type} (got ${JSON.stringify(config[key])})`);
+            }
+        }
+    }
+
+    if (errors.length > 0) return errors;
+
+    // Cross-field checks
+    const { FOLD_CONFIG: fold,
+            DYE_CONFIG: dye, CURE_CONFIG: cure, PALETTE_CONFIG: palette,
+            DYE_LIBRARY: library } = configs;
+
+    if (!(dye.BRUSH_MIN_SIZE <= dye.BRUSH_DEFAULT_SIZE &&
+          dye.BRUSH_DEFAULT_SIZE <= dye.BRUSH_MAX_SIZE)) {
+        errors.push('DYE_CONFIG brush sizes must satisfy MIN <= DEFAULT <= MAX');
+    }
+    if (!(dye.MIN_INTENSITY <= dye.DEFAULT_INTENSITY &&
+          dye.DEFAULT_INTENSITY <= dye.MAX_INTENSITY)) {
+        errors.push('DYE_CONFIG intensities must satisfy MIN <= DEFAULT <= MAX');
+    }
+    if (dye.FIELD_CELL_SIZE % fold.MAP_CELL_SIZE !== 0) {
+        errors.push('DYE_CONFIG.FIELD_CELL_SIZE must be a multiple of FOLD_CONFIG.MAP_CELL_SIZE');
+    }
+    if (!(cure.MIN_HOURS <= cure.DEFAULT_HOURS && cure.DEFAULT_HOURS <= cure.MAX_HOURS)) {
+        errors.push('CURE_CONFIG hours must satisfy MIN <= DEFAULT <= MAX');
+    }
+    if (!(palette.MIN_SIZE <= palette.DEFAULT_SIZE && palette.DEFAULT_SIZE <= palette.MAX_SIZE)) {
+        errors.push('PALETTE_CONFIG sizes must satisfy MIN <= DEFAULT <= MAX');
+    }
+    if (dye.REFERENCE_CONCENTRATION > dye.MAX_CONCENTRATION) {
+        errors.push('DYE_CONFIG.REFERENCE_CONCENTRATION must not exceed MAX_CONCENTRATION');
+    }
+
+    // Mixed dyes must be made of dyes in the library, and ids be unique
+    const ids = new Set(library.map(entry => entry.id));
+    if (ids.size !== library.length) {
+        errors.push('DYE_LIBRARY ids must be unique');
+    }
+    for (const entry of library) {
+        for (const component of entry.components || []) {
+            if (!ids.has(component.dye) || component.dye === entry.id) {
+                errors.push(`DYE_LIBRARY.${entry.id} is made of unknown dye ${JSON.stringify(component.dye)}`);
+            }
+        }
+    }
+
+    for (const check of CONFIG_CHECKS) {
+        errors.push(...check(configs));
+    }
+
+    return errors;
+}
+
+export function validateConfig(configs = CONFIGS) {
+    const errors = collectErrors(configs);
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+}
+
+// Merge overrides ({ CANVAS_CONFIG: { WIDTH: 1000 }, ... }) into the live
+// config objects. The merged result is validated first; nothing is changed
+// if it is invalid.
+export function applyConfigOverrides(overrides = {}) {
+    const merged = {};
+
+    if (!isSettings(overrides)) {
+        throw new ConfigError(['Overrides must be an object of configs']);
+    }
+    for (const name of Object.keys(overrides)) {
+        if (!Object.hasOwn(CONFIG_SCHEMA, name)) {
+            throw new ConfigError([`Unknown config "${name}"`]);
+        }
+    }
+
+    for (const [name, config] of Object.entries(CONFIGS)) {
+        const override = overrides[name];
+
+        if (Array.isArray(config)) {
+            merged[name] = override !== undefined ? override : config;
+            continue;
+        }
+
+        if (override !== undefined && !isSettings(override)) {
+            throw new ConfigError([`${name} must be an object of settings (got ${JSON.stringify(override)})`]);
+        }
+        for (const key of Object.keys(override || {})) {
+            if (!Object.hasOwn(CONFIG_SCHEMA[name], key)) {
+                throw new ConfigError([`Unknown key "${name}.${key}"`]);
+            }
+        }
+        merged[name] = { ...config, ...override };
+    }
+
+    // Keep the shirt centred when only the canvas size was overridden
+    const shirtOverride = overrides.SHIRT_CONFIG || {};
+    if (!Object.hasOwn(shirtOverride, 'CENTER_X')) {
+        merged.SHIRT_CONFIG.CENTER_X = merged.CANVAS_CONFIG.WIDTH / 2;
+    }
+    if (!Object.hasOwn(shirtOverride, 'CENTER_Y')) {
+        merged.SHIRT_CONFIG.CENTER_Y = merged.CANVAS_CONFIG.HEIGHT / 2;
+    }
+
+    validateConfig(merged);
+
+    for (const [name, config] of Object.entries(CONFIGS)) {
+        if (Array.isArray(config)) {
+            config.splice(0, config.length, ...merged[name]);
+        } else {
+            Object.assign(config, merged[name]);
+        }
+    }
+}
+
+function isSettings(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function parseQueryValue(value) {
+    const trimmed = value.trim();
+    if (trimmed !== '' && !isNaN(Number(trimmed))) return Number(trimmed);
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return JSON.parse(trimmed);
+    return trimmed;
+}
+
+// Read "CONFIG_NAME.KEY=value" pairs from a query string
+export function getQueryOverrides(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const overrides = {};
+
+    for (const [param, value] of params) {
+        const [name, key] = param.split('.');
+        if (!Object.hasOwn(CONFIG_SCHEMA, name)) continue;
+
+        if (key === undefined) {
+            overrides[name] = parseQueryValue(value);
+        } else {
+            overrides[name] = isSettings(overrides[name]) ? overrides[name] : {};
+            overrides[name][key] = parseQueryValue(value);
+        }
+    }
+
+    return overrides;
+}
+
+// Load overrides from ?config=<json url> and the query string, then apply
+// them. Query values win over the JSON file.
+export async function loadConfigOverrides(search = window.location.search) {
+    const configUrl = new URLSearchParams(search).get('config');
+    let overrides = {};
+
+    if (configUrl) {
+        const response = await fetch(configUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to load config ${configUrl}: ${response.status}`);
+        }
+        overrides = await response.json();
+        if (!isSettings(overrides)) {
+            throw new ConfigError([`${configUrl} must hold an object of configs`]);
+        }
+    }
+
+    const queryOverrides = getQueryOverrides(search);
+    for (const [name, value] of Object.entries(queryOverrides)) {
+        overrides[name] = Array.isArray(value) || typeof value !== 'object'
+            ? value
+            : { ...overrides[name], ...value };
+    }
+
+    applyConfigOverrides(overrides);
+    return overrides;
+}
+
+validateConfig();
@@ -5,8 +5,12 @@ import { FoldingEngine } from './modules/FoldingEngine.js';
 import { ColorManager } from './modules/ColorManager.js';
 import { DyePhysics } from './modules/DyePhysics.js';
 import { PatternGenerator } from './modules/PatternGenerator.js';
+import { UnfoldAnimation } from './modules/UnfoldAnimation.js';
 import { UIController } from './modules/UIController.js';
-import { EVENTS } from './config/constants.js';
+import { History } from './modules/History.js';
+import { Gallery } from './modules/Gallery.js';
+import { decodeShareLink } from './modules/ShareLink.js';
+import { PHASES, EVENTS, loadConfigOverrides } from './config/constants.js';
 
 class TieDyeApp {
     constructor() {
@@ -17,6 +21,12 @@ class TieDyeApp {
     async init() {
         console.log('Initializing Tie-Dye Generator...');
 
+        try {
+            await loadConfigOverrides();
+        } catch (error) {
+            console.warn('Ignoring config overrides:', error.message);
+        }
+
         try {
             // Initialize core modules in dependency order
             this.modules.canvas = new TShirtCanvas('tshirt-canvas');
@@ -32,17 +42,32 @@ class TieDyeApp {
                 this.modules.foldingEngine,
                 this.modules.dyePhysics
             );
+            this.modules.unfoldAnimation = new UnfoldAnimation(
+                this.modules.canvas,
+                this.modules.foldingEngine,
+                this.modules.patternGenerator
+            );
+            this.modules.history = new History();
+            this.modules.gallery = new Gallery();
             this.modules.uiController = new UIController(
                 this.modules.canvas,
                 this.modules.foldingEngine,
                 this.modules.dyePhysics,
                 this.modules.colorManager,
-                this.modules.patternGenerator
+                this.modules.patternGenerator,
+                this.modules.history,
+                this.modules.gallery,
+                this.modules.unfoldAnimation
             );
 
             this.attachEventListeners();
             this.startRenderLoop();
 
+            // A shared link opens its design; otherwise pick up the last session
+            if (!(await this.openSharedDesign())) {
+                await this.modules.uiController.restoreSession();
+            }
+
             this.initialized = true;
             console.log('Tie-Dye Generator initialized successfully!');
         } catch (error) {
@@ -70,10 +95,52 @@ class TieDyeApp {
 
         this.modules.patternGenerator.on(EVENTS.UNFOLD_COMPLETE, () => {
             console.log('Pattern generated!');
-            // Hide fold and dye layers, show final
+            // Hide fold and dye layers, show final on the flat shirt
             this.modules.canvas.clearLayer('folds');
             this.modules.canvas.clearLayer('dye');
+            this.modules.canvas.setLayerVisible('base', true);
         });
+
+        window.addEventListener('hashchange', () => this.openSharedDesign());
+    }
+
+    // Rebuild the design in the page's link, if it holds one: the folds and
+    // strokes are replayed, and a design shared once unfolded is unfolded
+    // again when the dye has settled. Returns whether there was one.
+    async openSharedDesign() {
+        const { uiController, dyePhysics, patternGenerator } = this.modules;
+        let shared;
+        try {
+            shared = await decodeShareLink(window.location.hash);
+        } catch (error) {
+            console.warn('Could not open shared design:', error);
+            uiController.showProjectStatus(`Could not open the shared design: ${error.message}`);
+            return false;
+        }
+        if (!shared) return false;
+
+        // Reloading the page shouldn't throw away work done since
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        try {
+            uiController.openProject(shared.project, shared.phase);
+        } catch (error) {
+            console.warn('Could not open shared design:', error);
+            uiController.showProjectStatus(`Could not open the shared design: ${error.message}`);
+            return false;
+        }
+        uiController.showProjectStatus('Opened a shared design');
+
+        if (shared.phase === PHASES.UNFOLD) {
+            try {
+                await dyePhysics.whenSettled();
+                await patternGenerator.generatePattern();
+            } catch (error) {
+                console.warn('Could not unfold shared design:', error);
+                uiController.showProjectStatus(`Could not unfold the shared design: ${error.message}`);
+            }
+        }
+        return true;
     }
 
     startRenderLoop() {
@@ -97,4 +164,5 @@ if (document.readyState === 'loading') {
 } else {
     const app = new TieDyeApp();
     app.init();
-    window.tieDllllpp = a
\ No newline at end of file
+    window.tieDyeApp = app;
+}
@@ -1,21 +1,94 @@
 // ColorManager.js - Handles color mixing, palettes, and realistic color behavior
+//
+// Dyes mix by Kubelka–Munk over reflectance spectra (see Spectral.js).
 
 import { hexToRgb, rgbToHex, clamp } from './utils.js';
-import { COLOR_PRESETS } from '../config/constants.js';
+import { getFabric } from './Fabrics.js';
+import { DyeLibrary } from './DyeLibrary.js';
+import { BANDS, reflectanceFromRgb, rgbFromReflectance, ksFromReflectance, reflectanceFromKs,
+         mixKs } from './Spectral.js';
+import { DYE_CONFIG, SHIRT_CONFIG } from '../config/constants.js';
 
 export class ColorManager {
     constructor() {
-        this.presets = COLOR_PRESETS;
+        this.library = new DyeLibrary();
         this.currentColor = { r: 255, g: 0, b: 0 };
+        this.currentDye = null;     // Library dye or recipe id, null for a picked colour
+        this.palette = [];          // Dye ids the user is working with, in order
+        this.fabric = getFabric(SHIRT_CONFIG.FABRIC);
+        
+        // K/S curve per dye colour; library dyes bring their own colourant
+        // data, any other colour gets one reconstructed from its RGB value
+        this.colorants = new Map();
+        this.mixBuffer = new Float64Array(BANDS.length);
+        this.reflectanceBuffer = new Float64Array(BANDS.length);
+        for (const dyes of this.library.getFamilies().values()) {
+            dyes.forEach(dye => this.getDyeColor(dye.id));
+        }
+    }
+
+    // The fabric being dyed sets the undyed colour and how strongly dye shows
+    setFabric(fabric) {
+        this.fabric = fabric;
     }
 
     setColor(hex) {
         const rgb = hexToRgb(hex);
         if (rgb) {
             this.currentColor = rgb;
+            this.currentDye = null;
         }
     }
 
+    // Dye with a library dye or recipe
+    setDye(id) {
+        if (!this.library.getDye(id)) return;
+        this.currentColor = this.getDyeColor(id);
+        this.currentDye = id;
+    }
+
+    getCurrentDye() {
+        return this.currentDye && this.library.getDye(this.currentDye);
+    }
+
+    // Colour a library dye gives at the reference concentration, known from
+    // then on to mix with the dye's own colourant data
+    getDyeColor(id) {
+        const color = this.library.colorAt(id);
+        this.colorants.set(this.colorKey(color), this.library.getColorant(id));
+        return color;
+    }
+
+    getLibrary() {
+        return this.library;
+    }
+
+    setPalette(ids) {
+        this.palette = ids.filter(id => this.library.getDye(id));
+    }
+
+    getPalette() {
+        return [...this.palette];
+    }
+
+    // The dye in use and the palette, for project files
+    serialize() {
+        return {
+            dye: this.currentDye,
+            color: this.getCurrentColorHex(),
+            palette: this.getPalette()
+        };
+    }
+
+    deserialize(data) {
+        if (data.dye && this.library.getDye(data.dye)) {
+            this.setDye(data.dye);
+        } else {
+            this.setColor(data.color);
+        }
+        this.setPalette(data.palette);
+    }
+
     getCurrentColor() {
         return { ...this.currentColor };
     }
@@ -24,21 +97,32 @@ export class ColorManager {
         return rgbToHex(this.currentColor.r, this.currentColor.g, this.currentColor.b);
     }
 
-    // Mix two colors with realistic dye mixing (subtractive)
+    colorKey(rgb) {
+        return (rgb.r << 16) | (rgb.g << 8) | rgb.b;
+    }
+
+    // K/S curve of a dye colour
+    getColorant(color) {
+        const key = this.colorKey(color);
+        let ks = this.colorants.get(key);
+        if (!ks) {
+            ks = ksFromReflectance(reflectanceFromRgb(color));
+            this.colorants.set(key, ks);
+        }
+        return ks;
+    }
+
+    // Mix two colors as dyes do, by Kubelka–Munk
     mixColors(color1, color2, ratio = 0.5) {
-        // Convert RGB to CMY for subtractive mixing
-        const cmy1 = this.rgbToCmy(color1);
-        const cmy2 = this.rgbToCmy(color2);
-        
-        // Mix in CMY space
-        const mixedCmy = {
-            c: cmy1.c * (1 - ratio) + cmy2.c * ratio,
-            m: cmy1.m * (1 - ratio) + cmy2.m * ratio,
-            y: cmy1.y * (1 - ratio) + cmy2.y * ratio
-        };
-        
-        // Convert back to RGB
-        return this.cmyToRgb(mixedCmy);
+        return this.mixColorants([
+            { ks: this.getColorant(color1), weight: 1 - ratio },
+            { ks: this.getColorant(color2), weight: ratio }
+        ]);
+    }
+
+    // Colour of a mix of K/S curves ([{ ks, weight }], weights summing to 1)
+    mixColorants(components) {
+        return rgbFromReflectance(reflectanceFromKs(mixKs(components)));
     }
 
     rgbToCmy(rgb) {
@@ -49,35 +133,71 @@ export class ColorManager {
         };
     }
 
-    cmyToRgb(cmy) {
-        return {
-            r: Math.round((1 - cmy.c) * 255),
-            g: Math.round((1 - cmy.m) * 255),
-            b: Math.round((1 - cmy.y) * 255)
-        };
+    // Mix dyes by how much of each is present ([{ color, amount }]). Beyond
+    // the reference concentration the mix deepens, as stronger dye does.
+    // Runs for every dyed cell on every frame, so it reuses its buffers.
+    mixDyes(dyes) {
+        let total = 0;
+        for (const { amount } of dyes) {
+            if (amount > 0) total += amount;
+        }
+
+        if (total === 0) return hexToRgb(this.fabric.tint);
+
+        const depth = clamp(total / this.referenceAmount(), 1,
+                            DYE_CONFIG.MAX_CONCENTRATION / DYE_CONFIG.REFERENCE_CONCENTRATION);
+        const ks = this.mixBuffer.fill(0);
+        for (const { color, amount } of dyes) {
+            if (amount <= 0) continue;
+            const colorant = this.getColorant(color);
+            const weight = amount / total * depth;
+            for (let band = 0; band < ks.length; band++) {
+                ks[band] += colorant[band] * weight;
+            }
+        }
+
+        return rgbFromReflectance(reflectanceFromKs(ks, this.reflectanceBuffer));
     }
 
-    // Apply dye to existing color with saturation
-    applyDye(baseColor, dyeColor, intensity) {
-        const normalizedIntensity = clamp(intensity / 100, 0, 1);
-        return this.mixColors(baseColor, dyeColor, normalizedIntensity);
+    // Colour a dye gives at a concentration in teaspoons per cup
+    colorAtConcentration(concentration, color = this.currentColor) {
+        const scale = concentration / DYE_CONFIG.REFERENCE_CONCENTRATION;
+        return this.mixColorants([{ ks: this.getColorant(color), weight: scale }]);
     }
 
-    // Blend multiple dye layers
-    blendLayers(layers) {
-        if (layers.length === 0) return { r: 255, g: 255, b: 255 };
-        if (layers.length === 1) return layers[0].color;
-        
-        let result = layers[0].color;
-        for (let i = 1; i < layers.length; i++) {
-            const layer = layers[i];
-            result = this.mixColors(result, layer.color, layer.intensity);
-        }
-        
-        return result;
+    // Dye a full-strength dab leaves at the reference concentration
+    referenceAmount() {
+        return DYE_CONFIG.DEPOSIT_AMOUNT * DYE_CONFIG.REFERENCE_CONCENTRATION /
+            DYE_CONFIG.MAX_CONCENTRATION;
     }
 
-    getPresets() {
-        return this.presets;
+    // How much of the fabric an amount of dye covers (0..1). Fibres that
+    // don't take the dye let the cloth show through.
+    dyeCoverage(amount) {
+        return 1 - Math.exp(-DYE_CONFIG.DYE_OPACITY * amount * this.fabric.colorHold);
+    }
+
+    // The dyes a dye (the current one unless given) splits into as ice
+    // melts, in strike order ([{ color, share }]). A picked colour splits
+    // into cyan, magenta and yellow.
+    getDyeComponents(id = this.currentDye, color = this.currentColor) {
+        if (!id || !this.library.getDye(id)) return this.splitDye(color);
+
+        return this.library.getComponents(id).map(({ dye, share }) =>
+            ({ color: this.getDyeColor(dye.id), share }));
+    }
+
+    // Break a mixed dye into the cyan, magenta and yellow dyes it is made of,
+    // as ice dyeing does when the powder melts ([{ color, share }])
+    splitDye(color) {
+        const cmy = this.rgbToCmy(color);
+        const total = cmy.c + cmy.m + cmy.y;
+        if (total === 0) return [];
+
+        return [
+            { color: { r: 0, g: 174, b: 239 }, share: cmy.c / total },
+            { color: { r: 236, g: 0, b: 140 }, share: cmy.m / total },
+            { color: { r: 255, g: 242, b: 0 }, share: cmy.y / total }
+        ].filter(component => component.share > 0.05);
     }
 }
\ No newline at end of file
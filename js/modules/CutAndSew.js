@@ -0,0 +1,414 @@
+// CutAndSew.js - The unfolded pattern split into pieces to cut and sew
+//
+// All-over prints are printed flat, cut out and sewn up, so each piece of
+// the garment gets a print file of its own: the front and back of the body
+// and, on tops with sleeves, the left and right sleeve. A sleeve is cut as
+// one piece, its back half joined to the front half along the top, where the
+// flat-laid garment folds over, so that half is the back panel's pattern
+// reflected over the fold. The seam allowance around a piece carries on the
+// pattern from across the seam (the other panel, reflected over the seam
+// line), so once sewn the pattern runs on unbroken; past hems and necklines
+// the edge colour is carried on. The files come zipped up with a layout sheet
+// showing each piece with its cut and stitch lines and its size.
+
+import { pointInPolygon } from './Garments.js';
+import { encodePrint, crc32, PRINT_FORMATS } from './PrintExport.js';
+import { FACES, PRINT_CONFIG, SEWING_CONFIG } from '../config/constants.js';
+
+// Affine transforms as canvas transform arguments [a, b, c, d, e, f]
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Far enough to count as unbounded, in garment pixels
+const FAR = 1e5;
+
+const PIECE_LABELS = {
+    [FACES.FRONT]: 'Front',
+    [FACES.BACK]: 'Back',
+    left: 'Left sleeve',
+    right: 'Right sleeve'
+};
+
+// `m` applied after `n`
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+function invert([a, b, c, d, e, f]) {
+    const det = a * d - b * c;
+    return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+function transformPoint(m, point) {
+    return { x: m[0] * point.x + m[2] * point.y + m[4], y: m[1] * point.x + m[3] * point.y + m[5] };
+}
+
+// Reflection over the line through a and b
+function reflection(a, b) {
+    const angle = 2 * Math.atan2(b.y - a.y, b.x - a.x);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [cos, sin, sin, -cos, a.x - cos * a.x - sin * a.y, a.y - sin * a.x + cos * a.y];
+}
+
+function rotation(angle, about) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [cos, sin, -sin, cos, about.x - cos * about.x + sin * about.y, about.y - sin * about.x - cos * about.y];
+}
+
+// Unit normal of the line through a and b, pointing to the side `toward` is on
+function normal(a, b, toward) {
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const n = { x: (a.y - b.y) / length, y: (b.x - a.x) / length };
+    return (toward.x - a.x) * n.x + (toward.y - a.y) * n.y >= 0 ? n : { x: -n.x, y: -n.y };
+}
+
+// Everything on the side of the line through a and b that `toward` is on
+function halfPlane(a, b, toward) {
+    const n = normal(a, b, toward);
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const u = { x: (b.x - a.x) / length * FAR, y: (b.y - a.y) / length * FAR };
+    return [
+        { x: a.x - u.x, y: a.y - u.y },
+        { x: a.x + u.x, y: a.y + u.y },
+        { x: a.x + u.x + n.x * FAR, y: a.y + u.y + n.y * FAR },
+        { x: a.x - u.x + n.x * FAR, y: a.y - u.y + n.y * FAR }
+    ];
+}
+
+// The strip `width` wide just outside a piece's edge
+function seamStrip([a, b], outline, width) {
+    const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    let n = { x: (a.y - b.y) / length, y: (b.x - a.x) / length };
+    if (pointInPolygon(outline, middle.x + n.x, middle.y + n.y)) n = { x: -n.x, y: -n.y };
+
+    return [a, b, { x: b.x + n.x * width, y: b.y + n.y * width }, { x: a.x + n.x * width, y: a.y + n.y * width }];
+}
+
+function bounds(points) {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+function tracePolygon(ctx, points) {
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+    ctx.closePath();
+}
+
+// The pieces a garment is cut from. A piece has its outline in garment
+// pixels, where it is turned to lie on the print (`orientation`) and the
+// sources of its pattern: a side of the unfolded garment, where each point
+// of the piece is on that side (`mapping`), and the part of the piece it
+// covers, as a polygon (`clip`) or the seam allowance along an edge (`edge`).
+// Later sources cover earlier ones.
+export function createPieces(canvas) {
+    const garment = canvas.getGarment();
+    const sides = garment.singlePly ? [FACES.FRONT] : Object.values(FACES);
+    const pieces = sides.map(side => {
+        const other = side === FACES.FRONT ? FACES.BACK : FACES.FRONT;
+        return {
+            name: side,
+            label: PIECE_LABELS[side],
+            outline: garment.bodyOutline(garment.surfacePanel(side)),
+            // The back is seen from behind, mirrored
+            orientation: side === FACES.BACK ? [-1, 0, 0, 1, canvas.canvas.width, 0] : IDENTITY,
+            sources: [
+                { side, mapping: IDENTITY, clip: null },
+                ...garment.seams.map(edge => ({ side: other, mapping: reflection(...edge), edge }))
+            ]
+        };
+    });
+
+    for (const [name, [shoulder, top, bottom, underarm]] of Object.entries(garment.sleeves)) {
+        const fold = reflection(shoulder, top);
+        const seam = reflection(bottom, underarm);
+        const folded = [bottom, underarm].map(point => transformPoint(fold, point));
+
+        pieces.push({
+            name: `${name}-sleeve`,
+            label: PIECE_LABELS[name],
+            outline: [shoulder, folded[1], folded[0], top, bottom, underarm],
+            // Shoulder at the top, cuff at the bottom
+            orientation: rotation(Math.PI / 2 - Math.atan2(top.y - shoulder.y, top.x - shoulder.x), shoulder),
+            sources: [
+                { side: FACES.FRONT, mapping: IDENTITY, clip: halfPlane(shoulder, top, bottom) },
+                { side: FACES.BACK, mapping: fold, clip: halfPlane(shoulder, top, folded[0]) },
+                // Past the underarm seam the sleeve goes on round to the
+                // other half
+                { side: FACES.BACK, mapping: seam, edge: [bottom, underarm] },
+                { side: FACES.FRONT, mapping: multiply(seam, fold), edge: folded }
+            ]
+        });
+    }
+
+    return pieces;
+}
+
+// Each piece's size on the print. `bodyWidth` is the front piece's width in
+// inches and sets the scale; `allowance` is in inches too.
+export function getSewingSize(canvas, { bodyWidth, dpi, allowance }) {
+    const pieces = createPieces(canvas);
+    const inches = bodyWidth / bounds(pieces[0].outline).width;     // Inches per garment pixel
+    const margin = allowance / inches;
+
+    return {
+        scale: dpi * inches,
+        allowance: margin,
+        pieces: pieces.map(piece => {
+            const box = bounds(piece.outline.map(point => transformPoint(piece.orientation, point)));
+            const frame = {
+                x: box.x - margin,
+                y: box.y - margin,
+                width: box.width + margin * 2,
+                height: box.height + margin * 2
+            };
+            return {
+                piece,
+                frame,
+                width: Math.ceil(frame.width * dpi * inches),
+                height: Math.ceil(frame.height * dpi * inches),
+                trimWidth: frame.width * inches,
+                trimHeight: frame.height * inches
+            };
+        })
+    };
+}
+
+// A piece's pattern out to its cut line, `scale` pixels per garment pixel
+function renderPiece(canvas, patternGenerator, { piece, frame }, scale, allowance) {
+    const width = Math.ceil(frame.width * scale);
+    const height = Math.ceil(frame.height * scale);
+    const image = document.createElement('canvas');
+    image.width = width;
+    image.height = height;
+    const ctx = image.getContext('2d');
+    const layer = document.createElement('canvas');
+    layer.width = width;
+    layer.height = height;
+    const layerCtx = layer.getContext('2d');
+    const place = multiply([scale, 0, 0, scale, -frame.x * scale, -frame.y * scale], piece.orientation);
+
+    for (const source of piece.sources) {
+        layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+        layerCtx.clearRect(0, 0, width, height);
+        layerCtx.setTransform(...multiply(place, invert(source.mapping)));
+        // renderPattern draws the back mirrored; mirror it back again
+        canvas.mirrorForSide(layerCtx, source.side);
+        patternGenerator.renderPattern(layerCtx, source.side, allowance * 2);
+
+        ctx.save();
+        const clip = source.edge ? seamStrip(source.edge, piece.outline, allowance * 2) : source.clip;
+        if (clip) {
+            ctx.setTransform(...place);
+            tracePolygon(ctx, clip);
+            ctx.clip();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+        }
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(layer, 0, 0);
+        ctx.restore();
+    }
+
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.drawImage(createCutMask(width, height, place, piece.outline, allowance), 0, 0);
+    ctx.globalCompositeOperation = 'source-over';
+    return image;
+}
+
+// The piece's outline grown by the seam allowance
+function createCutMask(width, height, place, outline, allowance) {
+    const mask = document.createElement('canvas');
+    mask.width = width;
+    mask.height = height;
+
+    const ctx = mask.getContext('2d');
+    ctx.setTransform(...place);
+    tracePolygon(ctx, outline);
+    ctx.fill();
+    if (allowance > 0) {
+        ctx.lineWidth = allowance * 2;
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+    }
+    return mask;
+}
+
+// Every piece side by side, with its cut line, its stitch line (dashed),
+// a grain line and its name and size
+function renderLayout(canvas, patternGenerator, size, options) {
+    const dpi = SEWING_CONFIG.LAYOUT_DPI;
+    const scale = size.scale * dpi / options.dpi;
+    const gap = SEWING_CONFIG.LAYOUT_GAP * dpi;
+    const fontSize = Math.round(dpi * 0.4);
+    const top = gap + fontSize * 2;
+    const widths = size.pieces.map(({ frame }) => Math.ceil(frame.width * scale));
+    const tallest = Math.max(...size.pieces.map(({ frame }) => Math.ceil(frame.height * scale)));
+
+    const sheet = document.createElement('canvas');
+    sheet.width = Math.ceil(widths.reduce((sum, width) => sum + width + gap, gap));
+    sheet.height = Math.ceil(top + tallest + fontSize * 3 + gap);
+    const ctx = sheet.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, sheet.width, sheet.height);
+
+    ctx.fillStyle = '#000000';
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${canvas.getGarment().label}: body ${options.bodyWidth} in wide, ` +
+                 `${options.allowance} in seam allowance, grain runs top to bottom`, gap, gap);
+
+    let left = gap;
+    size.pieces.forEach((entry, index) => {
+        const { piece, frame } = entry;
+        const place = multiply([scale, 0, 0, scale, left - frame.x * scale, top - frame.y * scale],
+                               piece.orientation);
+
+        // Cut line, as a border around the cut mask
+        ctx.save();
+        ctx.setTransform(...place);
+        tracePolygon(ctx, piece.outline);
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = size.allowance * 2 + 2 / scale;
+        ctx.strokeStyle = '#000000';
+        ctx.fillStyle = '#000000';
+        ctx.fill();
+        ctx.stroke();
+        ctx.lineWidth = size.allowance * 2;
+        ctx.strokeStyle = '#ffffff';
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        if (size.allowance > 0) ctx.stroke();
+        ctx.restore();
+
+        ctx.drawImage(renderPiece(canvas, patternGenerator, entry, scale, size.allowance), left, top);
+
+        // Traced in garment pixels, stroked one sheet pixel wide
+        ctx.save();
+        ctx.setTransform(...place);
+        tracePolygon(ctx, piece.outline);
+        ctx.restore();
+        ctx.setLineDash([4, 3]);
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#000000';
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        const height = frame.height * scale;
+        drawGrainLine(ctx, left + widths[index] / 2, top + height * 0.3, top + height * 0.7);
+
+        ctx.fillStyle = '#000000';
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.fillText(piece.label, left, top + height + fontSize * 0.5);
+        ctx.font = `${fontSize}px sans-serif`;
+        ctx.fillText(`${entry.trimWidth.toFixed(1)} × ${entry.trimHeight.toFixed(1)} in`,
+                     left, top + height + fontSize * 1.75);
+
+        left += widths[index] + gap;
+    });
+
+    return sheet;
+}
+
+function drawGrainLine(ctx, x, y1, y2) {
+    const head = 6;
+    ctx.save();
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, y1);
+    ctx.lineTo(x, y2);
+    ctx.moveTo(x - head, y1 + head);
+    ctx.lineTo(x, y1);
+    ctx.lineTo(x + head, y1 + head);
+    ctx.moveTo(x - head, y2 - head);
+    ctx.lineTo(x, y2);
+    ctx.lineTo(x + head, y2 - head);
+    ctx.stroke();
+    ctx.restore();
+}
+
+// A ZIP of every piece's print file and the layout sheet
+export async function exportPieces(canvas, patternGenerator, options) {
+    const size = getSewingSize(canvas, options);
+    if (size.pieces.some(({ width, height }) => width * height > PRINT_CONFIG.MAX_PIXELS)) {
+        throw new Error('The pieces are too large; lower the size or resolution');
+    }
+
+    const files = [];
+    for (const entry of size.pieces) {
+        const image = renderPiece(canvas, patternGenerator, entry, size.scale, size.allowance);
+        const blob = await encodePrint(image, options.format, options.dpi);
+        files.push({ name: `${entry.piece.name}.${options.format}`, data: new Uint8Array(await blob.arrayBuffer()) });
+        // Let go of the canvas before drawing the next one
+        image.width = 0;
+    }
+
+    const layout = await encodePrint(renderLayout(canvas, patternGenerator, size, options),
+                                     PRINT_FORMATS.PNG, SEWING_CONFIG.LAYOUT_DPI);
+    files.push({ name: 'layout.png', data: new Uint8Array(await layout.arrayBuffer()) });
+
+    return createZip(files);
+}
+
+// An uncompressed ZIP archive; the images are compressed already
+function createZip(files) {
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const { name, data } of files) {
+        const path = new TextEncoder().encode(name);
+        const crc = crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);          // Version needed to extract
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, path.length, true);
+        parts.push(header, path, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);           // Version made by
+        entry.setUint16(6, 20, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, path.length, true);
+        entry.setUint32(42, offset, true);
+        directory.push(entry, path);
+
+        offset += header.byteLength + path.length + data.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directory.reduce((sum, part) => sum + part.byteLength, 0), true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
@@ -0,0 +1,374 @@
+// DyeField.js - Grid of dye concentrations and the wicking/absorption solver
+//
+// Each dye colour is a channel holding two grids: free dye still in the
+// liquid (it wicks through the fabric) and dye already fixed to the fibres
+// (it stays put). Fabric holds on to some liquid (less the wetter it already
+// is); only the liquid above that wicks on, so fresh dye spreads quickly and
+// comes to rest once it has soaked in. Free dye fixes at ABSORPTION_RATE per
+// simulated hour.
+//
+// The module has no DOM dependencies so it can run inside a Web Worker.
+
+const STABILITY = 0.2;          // Explicit diffusion needs rate * dt <= 0.25
+const ACTIVE_THRESHOLD = 0.01;  // Liquid above retention that still counts as wicking
+
+export class DyeField {
+    constructor(cols, rows, params) {
+        this.cols = cols;
+        this.rows = rows;
+        this.params = { ...params };
+        this.time = 0;
+        this.generation = 0;        // Bumped by every clear
+        this.channels = [];
+
+        // Where there is fabric to wick through, and how strongly bindings
+        // squeeze it (0..1)
+        this.fabric = new Uint8Array(cols * rows).fill(1);
+        this.resist = new Float32Array(cols * rows);
+        this.liquid = new Float32Array(cols * rows);
+        this.maxLiquid = 0;
+
+        // Dye that enters the fabric over time, like melting ice
+        this.sources = [];
+    }
+
+    addChannel(color) {
+        this.channels.push({
+            color,
+            free: new Float32Array(this.cols * this.rows),
+            fixed: new Float32Array(this.cols * this.rows)
+        });
+        return this.channels.length - 1;
+    }
+
+    // Rates change with the fabric being dyed
+    setParams(params) {
+        this.params = { ...params };
+    }
+
+    setMasks(fabric, resist) {
+        this.fabric = fabric;
+        this.resist = resist;
+    }
+
+    // Add free dye in a disc (grid units) with a soft edge
+    deposit(channelIndex, x, y, radius, amount) {
+        const channel = this.channels[channelIndex];
+        if (!channel) return;
+
+        const { cols, rows } = this;
+        const minCol = Math.max(0, Math.floor(x - radius));
+        const maxCol = Math.min(cols - 1, Math.ceil(x + radius));
+        const minRow = Math.max(0, Math.floor(y - radius));
+        const maxRow = Math.min(rows - 1, Math.ceil(y + radius));
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const i = row * cols + col;
+                const dist = Math.hypot(col + 0.5 - x, row + 0.5 - y);
+                if (dist > radius || !this.fabric[i]) continue;
+
+                // Saturated fabric can't take up any more liquid
+                const room = Math.max(0, this.params.SATURATION - this.totalFree(i));
+                const added = amount * (1 - dist / radius) * (1 - this.resist[i]);
+                channel.free[i] += Math.min(room, added);
+                this.maxLiquid = Math.max(this.maxLiquid, this.totalFree(i));
+            }
+        }
+    }
+
+    // Soak every row from `row` down, as if dipped into a dye bath
+    depositBelow(channelIndex, row, amount) {
+        const channel = this.channels[channelIndex];
+        if (!channel) return;
+
+        for (let i = Math.max(0, Math.floor(row)) * this.cols; i < this.fabric.length; i++) {
+            if (!this.fabric[i]) continue;
+
+            const room = Math.max(0, this.params.SATURATION - this.totalFree(i));
+            channel.free[i] += Math.min(room, amount * (1 - this.resist[i]));
+            this.maxLiquid = Math.max(this.maxLiquid, this.totalFree(i));
+        }
+    }
+
+    // Release `amount` of dye in a disc evenly over `duration` seconds
+    addSource(channelIndex, x, y, radius, amount, duration) {
+        this.sources.push({ channel: channelIndex, x, y, radius, remaining: amount,
+                            rate: amount / duration });
+    }
+
+    release(dt) {
+        for (const source of this.sources) {
+            const amount = Math.min(source.remaining, source.rate * dt);
+            this.deposit(source.channel, source.x, source.y, source.radius, amount);
+            source.remaining -= amount;
+        }
+
+        this.sources = this.sources.filter(source => source.remaining > 0);
+    }
+
+    totalFree(i) {
+        let total = 0;
+        for (const channel of this.channels) {
+            total += channel.free[i];
+        }
+        return total;
+    }
+
+    // Advance the simulation by `seconds` of simulated time
+    step(seconds) {
+        let remaining = seconds;
+
+        while (remaining > 0) {
+            const maxRate = this.updateLiquid();
+            if (maxRate <= 0 && this.sources.length === 0) break;
+
+            const dt = Math.min(remaining, this.params.MAX_TIME_STEP,
+                                maxRate > 0 ? STABILITY / maxRate : Infinity);
+            this.release(dt);
+            for (const channel of this.channels) {
+                this.wick(channel, dt);
+                this.fix(channel, dt);
+            }
+
+            this.time += dt;
+            remaining -= dt;
+        }
+
+        // Once nothing wicks, fixing is all that is left to do
+        if (remaining > 0) {
+            for (const channel of this.channels) {
+                this.fix(channel, remaining);
+            }
+            this.time += remaining;
+        }
+    }
+
+    // Total free liquid per cell; returns the fastest wicking rate
+    updateLiquid() {
+        let maxLiquid = 0;
+
+        for (let i = 0; i < this.liquid.length; i++) {
+            const total = this.totalFree(i);
+            this.liquid[i] = total;
+            maxLiquid = Math.max(maxLiquid, total);
+        }
+
+        this.maxLiquid = maxLiquid;
+        return this.isActive() ? this.wickingRate(maxLiquid) : 0;
+    }
+
+    // Liquid the fabric keeps hold of instead of passing on
+    get retention() {
+        return this.params.RETENTION * (1 - this.params.WETNESS);
+    }
+
+    wickingRate(liquid) {
+        return this.params.WICKING_RATE * Math.max(0, liquid - this.retention);
+    }
+
+    // Rinse water floods the fabric: loose dye runs for a while, then most
+    // of it washes away and what is left stains where it ended up
+    rinse(loss, spread) {
+        for (const channel of this.channels) {
+            for (let pass = 0; pass < spread; pass++) {
+                this.wick(channel, 1, STABILITY);
+            }
+
+            for (let i = 0; i < channel.free.length; i++) {
+                channel.fixed[i] += channel.free[i] * (1 - loss);
+                channel.free[i] = 0;
+            }
+        }
+
+        this.maxLiquid = 0;
+    }
+
+    // Pass free dye between neighbouring cells, at `floodRate` when the
+    // fabric is flooded or at the wicking rate otherwise
+    wick(channel, dt, floodRate = 0) {
+        const { cols, rows, fabric, resist, liquid } = this;
+        const free = channel.free;
+        const next = Float32Array.from(free);
+
+        // Exchange dye across every edge between two fabric cells. The
+        // wetter side drives the flow; bindings block it.
+        const exchange = (i, j) => {
+            if (!fabric[j]) return;
+            const rate = (floodRate || this.wickingRate(Math.max(liquid[i], liquid[j]))) *
+                (1 - Math.max(resist[i], resist[j]));
+            const flow = rate * dt * (free[j] - free[i]);
+            next[i] += flow;
+            next[j] -= flow;
+        };
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const i = row * cols + col;
+                if (!fabric[i]) continue;
+                if (col + 1 < cols) exchange(i, i + 1);
+                if (row + 1 < rows) exchange(i, i + cols);
+            }
+        }
+
+        channel.free = next;
+    }
+
+    fix(channel, dt) {
+        const share = 1 - Math.exp(-this.params.ABSORPTION_RATE * dt / 3600);
+
+        for (let i = 0; i < channel.free.length; i++) {
+            const fixed = channel.free[i] * share;
+            channel.free[i] -= fixed;
+            channel.fixed[i] += fixed;
+        }
+    }
+
+    // Whether any liquid is still wicking or dye still to come
+    isActive() {
+        return this.maxLiquid > this.retention + ACTIVE_THRESHOLD ||
+            this.sources.length > 0;
+    }
+
+    clear(generation = this.generation + 1) {
+        this.generation = generation;
+        this.channels = [];
+        this.sources = [];
+        this.time = 0;
+        this.maxLiquid = 0;
+    }
+
+    // Everything needed to come back to this point, for undo
+    save() {
+        return {
+            time: this.time,
+            channels: this.channels.map(copyChannel),
+            sources: this.sources.map(source => ({ ...source }))
+        };
+    }
+
+    // Go back to a saved point. The saved copy is left as it was so it can
+    // be restored again.
+    restore(saved, generation = this.generation + 1) {
+        this.generation = generation;
+        this.time = saved.time;
+        this.channels = saved.channels.map(copyChannel);
+        this.sources = saved.sources.map(source => ({ ...source }));
+        this.updateLiquid();
+    }
+
+    // Copy of the concentrations, safe to post to another thread
+    snapshot() {
+        return {
+            generation: this.generation,
+            time: this.time,
+            active: this.isActive(),
+            channels: this.channels.map(copyChannel)
+        };
+    }
+}
+
+function copyChannel(channel) {
+    return {
+        color: channel.color,
+        free: Float32Array.from(channel.free),
+        fixed: Float32Array.from(channel.fixed)
+    };
+}
+
+// Message protocol shared by the worker and the main-thread fallback. There
+// is one field per face of the bundle; messages that add dye name the face,
+// everything else applies to both. Checkpoints of both fields are kept here
+// by id for undo. Returns a reply to post back, or null. Projects are
+// replayed with 'advance' and quiet rinses, which don't reply.
+export function handleFieldMessage(state, message) {
+    const field = state.fields && state.fields[message.face];
+
+    switch (message.type) {
+        case 'init':
+            state.fields = {};
+            for (const face of message.faces) {
+                state.fields[face] = new DyeField(message.cols, message.rows, message.params);
+            }
+            return null;
+        case 'setParams':
+            forEachField(state, f => f.setParams(message.params));
+            return null;
+        case 'setMasks':
+            forEachField(state, f => f.setMasks(message.fabric, message.resist));
+            return null;
+        case 'addChannel':
+            forEachField(state, f => f.addChannel(message.color));
+            return null;
+        case 'deposit':
+            field.deposit(message.channel, message.x, message.y, message.radius, message.amount);
+            return null;
+        case 'depositBelow':
+            field.depositBelow(message.channel, message.row, message.amount);
+            return null;
+        case 'addSource':
+            field.addSource(message.channel, message.x, message.y, message.radius,
+                            message.amount, message.duration);
+            return null;
+        case 'step':
+            forEachField(state, f => f.step(message.seconds));
+            return snapshotFields(state);
+        case 'advance':
+            forEachField(state, f => f.step(message.seconds));
+            return null;
+        case 'rinse':
+            forEachField(state, f => f.rinse(message.loss, message.spread));
+            return message.quiet ? null : { ...snapshotFields(state), rinsed: true };
+        case 'snapshot':
+            return snapshotFields(state);
+        case 'clear':
+            forEachField(state, f => f.clear(message.generation));
+            return null;
+        case 'checkpoint':
+            state.checkpoints = state.checkpoints || new Map();
+            state.checkpoints.set(message.id, mapFields(state, f => f.save()));
+            return null;
+        case 'restore':
+            return restoreFields(state, message.id, message.generation);
+        case 'dropCheckpoint':
+            if (state.checkpoints) state.checkpoints.delete(message.id);
+            return null;
+        default:
+            return null;
+    }
+}
+
+function forEachField(state, callback) {
+    Object.entries(state.fields).forEach(([face, field]) => callback(field, face));
+}
+
+function mapFields(state, callback) {
+    const result = {};
+    forEachField(state, (field, face) => { result[face] = callback(field); });
+    return result;
+}
+
+function restoreFields(state, id, generation) {
+    const saved = state.checkpoints && state.checkpoints.get(id);
+    if (!saved) return null;
+
+    forEachField(state, (field, face) => field.restore(saved[face], generation));
+    return snapshotFields(state);
+}
+
+// One reply for all faces: { faces: { front: [channel...], ... } }
+function snapshotFields(state) {
+    const reply = { type: 'state', faces: {}, active: false };
+
+    for (const [face, field] of Object.entries(state.fields)) {
+        const snapshot = field.snapshot();
+        reply.generation = snapshot.generation;
+        reply.time = snapshot.time;
+        reply.cols = field.cols;
+        reply.rows = field.rows;
+        reply.active = reply.active || snapshot.active;
+        reply.faces[face] = snapshot.channels;
+    }
+
+    return reply;
+}
@@ -0,0 +1,169 @@
+// DyeLibrary.js - The dye library, dye strengths and saved recipes
+//
+// Library dyes come from DYE_LIBRARY. Pure dyes have colourant data of their
+// own; mixed dyes and recipes get theirs by Kubelka–Munk from the pure dyes
+// they are made of. A dye's colour at any strength follows from its K/S
+// curve, which grows in proportion to the concentration.
+
+import { rgbToHex } from './utils.js';
+import { ksFromAbsorption, reflectanceFromKs, rgbFromReflectance, mixKs } from './Spectral.js';
+import { DYE_LIBRARY, DYE_CONFIG } from '../config/constants.js';
+
+const RECIPE_STORAGE_KEY = 'tie-dye-recipes';
+export const RECIPE_FAMILY = 'My Recipes';
+
+// Strengths the library shows every dye at, in teaspoons per cup
+export const SWATCH_CONCENTRATIONS = [0.25, 0.5, 1, 2, 4];
+
+export class DyeLibrary {
+    constructor(entries = DYE_LIBRARY, storage = getStorage()) {
+        this.entries = entries;
+        this.storage = storage;
+        this.colorants = new Map();
+        this.recipes = this.loadRecipes();
+    }
+
+    getDye(id) {
+        return this.entries.find(dye => dye.id === id) ||
+            this.recipes.find(recipe => recipe.id === id) || null;
+    }
+
+    // Pure dyes, the ones recipes are built from
+    getBaseDyes() {
+        return this.entries.filter(dye => dye.absorption);
+    }
+
+    // Library dyes grouped by family in library order, recipes last
+    getFamilies() {
+        const families = new Map();
+        for (const dye of [...this.entries, ...this.recipes]) {
+            if (!families.has(dye.family)) families.set(dye.family, []);
+            families.get(dye.family).push(dye);
+        }
+        return families;
+    }
+
+    // The pure dyes a dye is made of with their shares (summing to 1), in
+    // the order they strike
+    getComponents(id) {
+        const dye = this.getDye(id);
+        if (!dye) return [];
+        if (dye.absorption) return [{ dye, share: 1 }];
+
+        const total = dye.components.reduce((sum, component) => sum + component.share, 0);
+        const shares = new Map();
+        for (const component of dye.components) {
+            for (const { dye: pure, share } of this.getComponents(component.dye)) {
+                shares.set(pure, (shares.get(pure) || 0) + share * component.share / total);
+            }
+        }
+
+        return [...shares.entries()]
+            .map(([pure, share]) => ({ dye: pure, share }))
+            .sort((a, b) => a.dye.strike - b.dye.strike);
+    }
+
+    // K/S curve of a dye at the reference concentration
+    getColorant(id) {
+        if (!this.colorants.has(id)) {
+            const ks = mixKs(this.getComponents(id).map(({ dye, share }) =>
+                ({ ks: ksFromAbsorption(dye.absorption), weight: share })));
+            this.colorants.set(id, ks);
+        }
+        return this.colorants.get(id);
+    }
+
+    // Colour of the fabric dyed with the given dye at a concentration in
+    // teaspoons per cup
+    colorAt(id, concentration = DYE_CONFIG.REFERENCE_CONCENTRATION) {
+        const scale = concentration / DYE_CONFIG.REFERENCE_CONCENTRATION;
+        return rgbFromReflectance(reflectanceFromKs(this.getColorant(id).map(value => value * scale)));
+    }
+
+    // Save a mix of library dyes ([{ dye: id, parts }]) as a recipe
+    saveRecipe(name, parts) {
+        const components = parts
+            .filter(part => part.parts > 0 && this.getDye(part.dye))
+            .map(part => ({ dye: part.dye, share: part.parts }));
+        if (!name.trim() || components.length === 0) {
+            throw new Error('A recipe needs a name and at least one dye');
+        }
+
+        const recipe = {
+            id: `recipe-${Date.now().toString(36)}`,
+            name: name.trim(),
+            family: RECIPE_FAMILY,
+            components
+        };
+        this.recipes.push(recipe);
+
+        const color = this.colorAt(recipe.id);
+        recipe.hex = rgbToHex(color.r, color.g, color.b);
+        this.storeRecipes();
+        return recipe;
+    }
+
+    deleteRecipe(id) {
+        this.recipes = this.recipes.filter(recipe => recipe.id !== id);
+        this.colorants.delete(id);
+        this.storeRecipes();
+    }
+
+    getRecipes() {
+        return [...this.recipes];
+    }
+
+    // The recipes among the given dye ids, for project files
+    serialize(ids) {
+        return this.recipes.filter(recipe => ids.has(recipe.id));
+    }
+
+    // Add recipes that came with a project, keeping any already saved
+    importRecipes(recipes) {
+        const added = recipes.filter(recipe => this.isValidRecipe(recipe) && !this.getDye(recipe.id));
+        if (added.length === 0) return;
+
+        this.recipes.push(...added.map(recipe => ({ ...recipe, family: RECIPE_FAMILY })));
+        this.storeRecipes();
+    }
+
+    // A recipe made only of dyes in the library
+    isValidRecipe(recipe) {
+        return Boolean(recipe) && typeof recipe.id === 'string' && typeof recipe.name === 'string' &&
+            Array.isArray(recipe.components) &&
+            recipe.components.every(component =>
+                this.entries.some(dye => dye.id === component.dye));
+    }
+
+    // Saved recipes whose dyes are all still in the library
+    loadRecipes() {
+        if (!this.storage) return [];
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(RECIPE_STORAGE_KEY) || '[]');
+            return saved.filter(recipe => this.isValidRecipe(recipe));
+        } catch (error) {
+            console.warn('Ignoring saved recipes:', error.message);
+            return [];
+        }
+    }
+
+    storeRecipes() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(RECIPE_STORAGE_KEY, JSON.stringify(this.recipes));
+        } catch (error) {
+            console.warn('Could not save recipes:', error.message);
+        }
+    }
+}
+
+// localStorage where the page is allowed to use it
+function getStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
@@ -1,7 +1,11 @@
 // DyePhysics.js - Simulates realistic dye behavior and spreading
 
-import { EventEmitter, distance } from './utils.js';
-import { DYE_CONFIG, EVENTS } from '../config/constants.js';
+import { EventEmitter } from './utils.js';
+import { handleFieldMessage } from './DyeField.js';
+import { fabricParams } from './Fabrics.js';
+import { Stroke } from './Stroke.js';
+import { BrushTool, SqueezeTool, PourTool, DipTool, SprayTool, IceTool } from './DyeTools.js';
+import { DYE_CONFIG, CURE_CONFIG, DYE_TOOLS, FACES, TREATMENTS, EVENTS } from '../config/constants.js';
 
 export class DyePhysics extends EventEmitter {
     constructor(canvas, colorManager, foldingEngine) {
@@ -10,10 +14,104 @@ export class DyePhysics extends EventEmitter {
         this.colorManager = colorManager;
         this.foldingEngine = foldingEngine;
         this.dyeLayer = canvas.getLayer('dye');
-        this.dyePoints = [];
+        this.strokes = [];
+        this.treatments = [];       // Batching and rinsing, in the order done
+        this.stroke = null;         // The stroke being drawn
+        this.strokeStart = 0;
+        this.strokeTravel = 0;      // Distance along it the tool has reached
         this.isApplying = false;
         this.currentBrushSize = DYE_CONFIG.BRUSH_DEFAULT_SIZE;
         this.currentIntensity = DYE_CONFIG.DEFAULT_INTENSITY;
+
+        // Application tools by name; more can be added with registerTool
+        this.tools = new Map();
+        this.registerTool(DYE_TOOLS.BRUSH, new BrushTool(this));
+        this.registerTool(DYE_TOOLS.SQUEEZE, new SqueezeTool(this));
+        this.registerTool(DYE_TOOLS.POUR, new PourTool(this));
+        this.registerTool(DYE_TOOLS.DIP, new DipTool(this));
+        this.registerTool(DYE_TOOLS.SPRAY, new SprayTool(this));
+        this.registerTool(DYE_TOOLS.ICE, new IceTool(this));
+        this.currentTool = DYE_TOOLS.BRUSH;
+
+        // Dye field solver with a field per face of the bundle, one channel
+        // per colour used
+        this.cellSize = DYE_CONFIG.FIELD_CELL_SIZE;
+        this.fieldCanvas = document.createElement('canvas');
+        this.fieldState = null;
+        this.generation = 0;
+        this.channels = [];
+        this.simulating = false;
+        this.settledWaiters = [];   // Resolved once the simulation stops
+        this.awaitingState = false;
+        this.checkpoints = new Map();   // Undo points, by id
+        this.nextCheckpoint = 0;
+        this.strokeCheckpoint = null;
+        this.lastFrame = 0;
+        this.timeScale = DYE_CONFIG.TIME_SCALE;
+
+        // Batching time-lapse, in simulated seconds
+        this.cureTotal = 0;
+        this.cureElapsed = 0;
+        this.curing = null;         // Its entry in treatments
+        this.solver = this.createSolver();
+
+        const masks = foldingEngine.getFieldMasks();
+        this.fieldCanvas.width = masks.cols;
+        this.fieldCanvas.height = masks.rows;
+        this.solver.postMessage({
+            type: 'init',
+            faces: Object.values(FACES),
+            cols: masks.cols,
+            rows: masks.rows,
+            params: fabricParams(canvas.getFabric(), DYE_CONFIG)
+        });
+        this.updateMasks();
+
+        // Each fabric takes up and spreads dye at its own rate
+        canvas.on(EVENTS.FABRIC_CHANGED, ({ fabric }) => this.setFabric(fabric));
+
+        // Bindings and folds change where dye can wick
+        [EVENTS.FOLD_APPLIED, EVENTS.FOLD_UNDONE, EVENTS.FOLD_CLEARED].forEach(event =>
+            foldingEngine.on(event, () => this.updateMasks()));
+
+        // Show the dye on whichever face is turned up
+        foldingEngine.on(EVENTS.BUNDLE_FLIPPED, () => {
+            if (this.fieldState) this.renderField(this.fieldState);
+        });
+    }
+
+    // Run the solver in a worker so painting stays responsive; fall back to
+    // this thread where module workers aren't available
+    createSolver() {
+        if (typeof Worker !== 'undefined') {
+            try {
+                const worker = new Worker(new URL('../workers/dyeWorker.js', import.meta.url),
+                                          { type: 'module' });
+                worker.onmessage = (e) => this.handleSolverMessage(e.data);
+                return worker;
+            } catch (error) {
+                console.warn('Dye worker unavailable, simulating on the main thread:', error);
+            }
+        }
+
+        const state = {};
+        return {
+            postMessage: (message) => {
+                const reply = handleFieldMessage(state, message);
+                if (reply) setTimeout(() => this.handleSolverMessage(reply), 0);
+            }
+        };
+    }
+
+    setFabric(fabric) {
+        this.colorManager.setFabric(fabric);
+        this.solver.postMessage({ type: 'setParams', params: fabricParams(fabric, DYE_CONFIG) });
+        if (this.fieldState) this.renderField(this.fieldState);
+    }
+
+    updateMasks() {
+        const { fabric, resist } = this.foldingEngine.getFieldMasks();
+        this.solver.postMessage({ type: 'setMasks', fabric, resist });
     }
 
     setBrushSize(size) {
@@ -26,152 +124,494 @@ export class DyePhysics extends EventEmitter {
                                         Math.min(intensity, DYE_CONFIG.MAX_INTENSITY));
     }
 
-    startApplying(x, y) {
-        if (!this.canvas.isPointOnShirt(x, y)) return;
-        this.isApplying = true;
-        this.applyDye(x, y);
+    // Teaspoons of dye powder per cup of water the intensity stands for
+    getConcentration() {
+        return this.currentIntensity / DYE_CONFIG.MAX_INTENSITY * DYE_CONFIG.MAX_CONCENTRATION;
     }
 
-    continueApplying(x, y) {
-        if (!this.isApplying || !this.canvas.isPointOnShirt(x, y)) return;
-        this.applyDye(x, y);
+    registerTool(name, tool) {
+        this.tools.set(name, tool);
     }
 
-    stopApplying() {
-        this.isApplying = false;
+    setTool(name) {
+        if (this.tools.has(name)) {
+            this.currentTool = name;
+        }
     }
 
-    applyDye(x, y) {
-        const color = this.colorManager.getCurrentColor();
-        const layers = this.foldingEngine.getLayers();
-        const layerCount = Math.max(1, layers.length);
+    getTool() {
+        return this.tools.get(this.currentTool);
+    }
+
+    // Pointer positions are in view space; strokes are kept in bundle space.
+    // A stroke has to start on the bundle but may run off it.
+    startApplying(x, y, pressure) {
+        const point = this.foldingEngine.viewToBundle(x, y);
+        if (!this.foldingEngine.isPointOnBundle(point.x, point.y)) return;
         
-        // Create dye point with layer-aware properties
-        const dyePoint = {
-            x,
-            y,
-            color,
-            intensity: this.currentIntensity,
+        const dye = this.colorManager.getCurrentDye();
+        this.isApplying = true;
+        this.strokeCheckpoint = this.checkpoint();
+        this.stroke = new Stroke({
+            tool: this.currentTool,
+            color: this.colorManager.getCurrentColor(),
+            dye: dye ? dye.id : null,
+            face: this.foldingEngine.getFace(),
+            concentration: this.getConcentration(),
             radius: this.currentBrushSize,
-            layerCount,
-            timestamp: Date.now()
-        };
+            time: this.getTime()
+        });
+        this.strokeStart = performance.now();
+        this.stroke.addSample(point.x, point.y, pressure, 0);
         
-        this.dyePoints.push(dyePoint);
-        this.renderDyePoint(dyePoint);
-        this.simulateBleed(dyePoint);
+        const tool = this.getTool();
+        tool.start(this.stroke, this.stroke.pointAt(0));
+        this.strokeTravel = tool.spacing(this.stroke);
+        this.startSimulation();
+    }
+
+    continueApplying(x, y, pressure) {
+        if (!this.isApplying) return;
         
-        this.emit(EVENTS.DYE_APPLIED, { dyePoint });
+        const point = this.foldingEngine.viewToBundle(x, y);
+        if (this.stroke.addSample(point.x, point.y, pressure, performance.now() - this.strokeStart)) {
+            this.advanceStroke();
+        }
     }
 
-    renderDyePoint(dyePoint) {
-        const ctx = this.dyeLayer.getContext('2d');
-        const { x, y, color, intensity, radius, layerCount } = dyePoint;
+    // Hand the tool every point it is due along the stroke so far
+    advanceStroke() {
+        const tool = this.getTool();
         
-        // Adjust intensity based on number of layers (more layers = less penetration)
-        const effectiveIntensity = intensity / Math.sqrt(layerCount);
-        const alpha = (effectiveIntensity / 100) * 0.8;
+        while (this.strokeTravel <= this.stroke.length) {
+            tool.move(this.stroke, this.stroke.pointAt(this.strokeTravel));
+            this.strokeTravel += tool.spacing(this.stroke);
+        }
+    }
+
+    // Returns the checkpoint from before the stroke just finished, or null
+    // if there was no stroke
+    stopApplying() {
+        if (!this.isApplying) return null;
         
-        // Create radial gradient for realistic dye spread
-        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-        gradient.addColorStop(0, `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha})`);
-        gradient.addColorStop(0.7, `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha * 0.5})`);
-        gradient.addColorStop(1, `rgba(${color.r}, ${color.g}, ${color.b}, 0)`);
+        this.getTool().stop(this.stroke);
+        this.isApplying = false;
+        this.strokes.push(this.stroke);
+        this.emit(EVENTS.DYE_APPLIED, { stroke: this.stroke });
+        this.stroke = null;
         
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.fill();
+        const before = this.strokeCheckpoint;
+        this.strokeCheckpoint = null;
+        return before;
+    }
+
+    // Deposits for the tools, in bundle pixels, onto the face turned up. The
+    // solver spreads the dye from there; how far it soaks into the stack is
+    // worked out when unfolding.
+    deposit(x, y, radius, amount, color = this.colorManager.getCurrentColor()) {
+        this.solver.postMessage({
+            type: 'deposit',
+            face: this.foldingEngine.getFace(),
+            channel: this.getChannel(color),
+            x: x / this.cellSize,
+            y: y / this.cellSize,
+            radius: radius / this.cellSize,
+            amount
+        });
+    }
+
+    depositBelow(y, amount, color = this.colorManager.getCurrentColor()) {
+        this.solver.postMessage({
+            type: 'depositBelow',
+            face: this.foldingEngine.getFace(),
+            channel: this.getChannel(color),
+            row: y / this.cellSize,
+            amount
+        });
+    }
+
+    addSource(x, y, radius, amount, duration, color = this.colorManager.getCurrentColor()) {
+        this.solver.postMessage({
+            type: 'addSource',
+            face: this.foldingEngine.getFace(),
+            channel: this.getChannel(color),
+            x: x / this.cellSize,
+            y: y / this.cellSize,
+            radius: radius / this.cellSize,
+            amount,
+            duration
+        });
+    }
+
+    // Index of the field channel holding this colour, adding one if needed
+    getChannel(color) {
+        let index = this.channels.findIndex(channel =>
+            channel.r === color.r && channel.g === color.g && channel.b === color.b);
         
-        this.canvas.markDirty();
+        if (index < 0) {
+            index = this.channels.length;
+            this.channels.push(color);
+            this.solver.postMessage({ type: 'addChannel', color });
+        }
+        
+        return index;
     }
 
-    simulateBleed(dyePoint) {
-        // Simulate dye bleeding to nearby areas
-        const bleedRadius = dyePoint.radius * DYE_CONFIG.BLEED_RATE;
-        const bleedIntensity = dyePoint.intensity * DYE_CONFIG.ABSORPTION_RATE;
+    startSimulation() {
+        if (this.simulating) return;
+        this.simulating = true;
+        this.lastFrame = performance.now();
+        requestAnimationFrame(now => this.tick(now));
+    }
+
+    stopSimulation() {
+        this.simulating = false;
+        this.resetCure();
         
-        if (bleedIntensity < 5) return; // Too weak to bleed
+        const waiters = this.settledWaiters;
+        this.settledWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    // Let the dye sit for `hours`, played back as a time-lapse. The dye keeps
+    // wicking while more of it fixes to the fibres.
+    cure(hours) {
+        if (this.isCuring()) return;
         
-        // Create bleeding effect in nearby points
-        const bleedPoints = this.generateBleedPoints(dyePoint, bleedRadius);
+        this.cureTotal = hours * 3600;
+        this.cureElapsed = 0;
+        this.timeScale = this.cureTotal / CURE_CONFIG.PLAYBACK_SECONDS;
+        this.curing = this.addTreatment(TREATMENTS.CURE, { hours });
+        this.emit(EVENTS.CURE_START, { hours });
+        this.startSimulation();
+    }
+
+    isCuring() {
+        return this.cureTotal > 0;
+    }
+
+    // A batch cut short records only the time it sat for
+    resetCure() {
+        if (this.curing) {
+            this.curing.hours = this.cureElapsed / 3600;
+            this.curing = null;
+        }
+        this.cureTotal = 0;
+        this.cureElapsed = 0;
+        this.timeScale = DYE_CONFIG.TIME_SCALE;
+    }
+
+    // Wash out the dye that hasn't fixed yet
+    rinse() {
+        if (this.isCuring()) return;
         
-        bleedPoints.forEach(point => {
-            this.renderBleedPoint(point, bleedIntensity);
+        this.addTreatment(TREATMENTS.RINSE);
+        this.solver.postMessage({
+            type: 'rinse',
+            loss: CURE_CONFIG.RINSE_LOSS,
+            spread: CURE_CONFIG.RINSE_SPREAD
         });
     }
 
-    generateBleedPoints(centerPoint, radius) {
-        const points = [];
-        const count = 8; // 8 bleed directions
+    // Note a batch or rinse at the current time, after the strokes so far
+    addTreatment(type, details = {}) {
+        const treatment = { type, ...details, time: this.getTime(), strokes: this.strokes.length };
+        this.treatments.push(treatment);
+        return treatment;
+    }
+
+    getTreatments() {
+        return this.treatments.map(treatment => ({ ...treatment }));
+    }
+
+    // Hours the dye has been left to batch in all
+    getCureHours() {
+        return this.treatments
+            .filter(treatment => treatment.type === TREATMENTS.CURE)
+            .reduce((hours, treatment) => hours + treatment.hours, 0);
+    }
+
+    // Simulated seconds into dyeing, as of the solver's last answer
+    getTime() {
+        return this.fieldState ? this.fieldState.time : 0;
+    }
+
+    // Ask the solver for the next step once it has answered the last one
+    tick(now) {
+        if (!this.simulating) return;
         
-        for (let i = 0; i < count; i++) {
-            const angle = (i / count) * Math.PI * 2;
-            const distance = radius * (0.5 + Math.random() * 0.5);
+        if (!this.awaitingState) {
+            const elapsed = Math.min(now - this.lastFrame, 100) / 1000;
+            let seconds = elapsed * this.timeScale;
+            if (this.isCuring()) {
+                seconds = Math.min(seconds, this.cureTotal - this.cureElapsed);
+                this.cureElapsed += seconds;
+            }
             
-            points.push({
-                x: centerPoint.x + Math.cos(angle) * distance,
-                y: centerPoint.y + Math.sin(angle) * distance,
-                color: centerPoint.color
-            });
+            this.lastFrame = now;
+            this.awaitingState = true;
+            this.solver.postMessage({ type: 'step', seconds });
         }
         
-        return points;
+        requestAnimationFrame(next => this.tick(next));
     }
 
-    renderBleedPoint(point, intensity) {
-        const ctx = this.dyeLayer.getContext('2d');
-        const { x, y, color } = point;
-        const alpha = (intensity / 100) * 0.3;
-        const radius = this.currentBrushSize * 0.5;
+    handleSolverMessage(state) {
+        if (state.type !== 'state') return;
         
-        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-        gradient.addColorStop(0, `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha})`);
-        gradient.addColorStop(1, `rgba(${color.r}, ${color.g}, ${color.b}, 0)`);
+        this.awaitingState = false;
+        
+        // Replies to steps asked for before the last clear are stale
+        if (state.generation !== this.generation) return;
+
+        this.fieldState = state;
+        this.renderField(state);
+        
+        if (state.rinsed) {
+            this.emit(EVENTS.DYE_RINSED);
+        }
         
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.fill();
+        if (this.isCuring()) {
+            this.emit(EVENTS.CURE_PROGRESS, { elapsed: this.cureElapsed, total: this.cureTotal });
+            if (this.cureElapsed >= this.cureTotal) {
+                this.resetCure();
+                this.emit(EVENTS.CURE_COMPLETE, { time: state.time });
+            }
+        }
+        
+        // Settled dye doesn't need stepping until more is added
+        if (!state.active && !this.isApplying && !this.isCuring()) {
+            this.stopSimulation();
+            this.emit(EVENTS.DYE_SETTLED);
+        }
     }
 
-    mixDyesAtPoint(x, y) {
-        // Find all dye points affecting this location
-        const affectingDyes = this.dyePoints.filter(point => {
-            const dist = distance(x, y, point.x, point.y);
-            return dist <= point.radius;
-        });
+    // Resolves once the dye has stopped spreading, or the simulation is
+    // stopped by clearing or restoring the dye
+    whenSettled() {
+        if (!this.simulating) return Promise.resolve();
+        
+        return new Promise(resolve => this.settledWaiters.push(resolve));
+    }
+
+    // Draw the turned-up face's concentrations onto the dye layer
+    renderField(state) {
+        const { cols, rows } = state;
+        const channels = state.faces[this.foldingEngine.getFace()];
+        const fieldCtx = this.fieldCanvas.getContext('2d');
+        const image = fieldCtx.createImageData(cols, rows);
+        const dyes = channels.map(channel => ({ color: channel.color, amount: 0 }));
         
-        if (affectingDyes.length === 0) {
-            return { r: 255, g: 255, b: 255 }; // White (no dye)
+        for (let i = 0; i < cols * rows; i++) {
+            channels.forEach((channel, k) => {
+                dyes[k].amount = channel.free[i] + channel.fixed[i];
+            });
+            
+            const color = this.dyeColor(dyes);
+            if (!color) continue;
+            
+            image.data[i * 4] = color.r;
+            image.data[i * 4 + 1] = color.g;
+            image.data[i * 4 + 2] = color.b;
+            image.data[i * 4 + 3] = color.a;
+        }
+        
+        fieldCtx.putImageData(image, 0, 0);
+        
+        const ctx = this.dyeLayer.getContext('2d');
+        ctx.clearRect(0, 0, this.dyeLayer.width, this.dyeLayer.height);
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.fieldCanvas, 0, 0, cols * this.cellSize, rows * this.cellSize);
+        this.canvas.markDirty();
+    }
+
+    // Colour and coverage (alpha 0..255) of a mix of dye amounts, or null
+    // where there is no dye
+    dyeColor(dyes) {
+        let total = 0;
+        for (const dye of dyes) {
+            total += dye.amount;
+        }
+        if (total <= 0) return null;
+        
+        const color = this.colorManager.mixDyes(dyes);
+        return { ...color, a: this.colorManager.dyeCoverage(total) * 255 };
+    }
+
+    // Dye amounts per channel in a field cell of one face
+    getDyesAt(face, col, row) {
+        const state = this.fieldState;
+        if (!state || col < 0 || row < 0 || col >= state.cols || row >= state.rows) {
+            return [];
         }
         
-        // Mix all affecting dyes
-        const layers = affectingDyes.map(point => ({
-            color: point.color,
-            intensity: this.calculateIntensityAtPoint(x, y, point)
+        const i = row * state.cols + col;
+        return state.faces[face].map(channel => ({
+            color: channel.color,
+            amount: channel.free[i] + channel.fixed[i]
         }));
+    }
+
+    mixDyesAtPoint(x, y) {
+        const point = this.foldingEngine.viewToBundle(x, y);
+        const dyes = this.getDyesAt(this.foldingEngine.getFace(),
+                                    Math.floor(point.x / this.cellSize),
+                                    Math.floor(point.y / this.cellSize));
         
-        return this.colorManager.blendLayers(layers);
+        return this.colorManager.mixDyes(dyes); // The fabric's tint where there is no dye
+    }
+
+    // Save the dye as it is now; returns an id to restore it by
+    checkpoint() {
+        const id = this.nextCheckpoint++;
+        this.checkpoints.set(id, {
+            channels: [...this.channels],
+            strokes: [...this.strokes],
+            treatments: this.getTreatments(),
+            bytes: this.getFieldBytes()
+        });
+        this.solver.postMessage({ type: 'checkpoint', id });
+        return id;
     }
 
-    calculateIntensityAtPoint(x, y, dyePoint) {
-        const dist = distance(x, y, dyePoint.x, dyePoint.y);
-        const normalizedDist = dist / dyePoint.radius;
+    restoreCheckpoint(id) {
+        const saved = this.checkpoints.get(id);
+        if (!saved) return;
         
-        // Intensity falls off with distance
-        return dyePoint.intensity * Math.max(0, 1 - normalizedDist);
+        this.channels = [...saved.channels];
+        this.strokes = [...saved.strokes];
+        this.stopSimulation();
+        this.treatments = saved.treatments.map(treatment => ({ ...treatment }));
+        
+        // Steps already asked for belong to the dye being replaced
+        this.generation++;
+        this.solver.postMessage({ type: 'restore', id, generation: this.generation });
+        this.startSimulation();
+    }
+
+    // Memory the solver keeps for a checkpoint
+    getCheckpointBytes(id) {
+        const saved = this.checkpoints.get(id);
+        return saved ? saved.bytes : 0;
+    }
+
+    // Size of the fields: free and fixed dye per channel, on every face
+    getFieldBytes() {
+        const cells = this.fieldCanvas.width * this.fieldCanvas.height;
+        return cells * this.channels.length * 2 * Float32Array.BYTES_PER_ELEMENT *
+               Object.values(FACES).length;
+    }
+
+    dropCheckpoint(id) {
+        if (!this.checkpoints.delete(id)) return;
+        this.solver.postMessage({ type: 'dropCheckpoint', id });
     }
 
     clear() {
-        this.dyePoints = [];
+        this.strokes = [];
+        this.channels = [];
+        this.fieldState = null;
+        this.stopSimulation();
+        this.treatments = [];
+        this.generation++;
+        this.solver.postMessage({ type: 'clear', generation: this.generation });
         const ctx = this.dyeLayer.getContext('2d');
         ctx.clearRect(0, 0, this.dyeLayer.width, this.dyeLayer.height);
         this.canvas.markDirty();
         this.emit(EVENTS.DYE_CLEARED);
     }
 
-    getDyePoints() {
-        return [...this.dyePoints];
+    getStrokes() {
+        return [...this.strokes];
+    }
+
+    // Tool settings, strokes and treatments, for project files
+    serialize() {
+        return {
+            tool: this.currentTool,
+            brushSize: this.currentBrushSize,
+            intensity: this.currentIntensity,
+            strokes: this.strokes.map(stroke => stroke.toJSON()),
+            treatments: this.getTreatments()
+        };
+    }
+
+    // Start again from undyed fabric and redo the saved strokes, batches
+    // and rinses in order, each once as much time has passed as when it was
+    // done. Strokes are laid down as fast as they were drawn. The dye comes
+    // out as it was, give or take how the solver's steps fell while it was
+    // being drawn.
+    deserialize(data) {
+        this.clear();
+        this.setTool(data.tool);
+        this.setBrushSize(data.brushSize);
+        this.setIntensity(data.intensity);
+        
+        const face = this.foldingEngine.getFace();
+        let time = 0;
+        const advanceTo = target => {
+            if (target <= time) return;
+            this.solver.postMessage({ type: 'advance', seconds: target - time });
+            time = target;
+        };
+        
+        const treatments = data.treatments.map(treatment => ({ ...treatment }));
+        let next = 0;
+        const treatUpTo = strokes => {
+            for (; next < treatments.length && treatments[next].strokes <= strokes; next++) {
+                const treatment = treatments[next];
+                advanceTo(treatment.time);
+                if (treatment.type === TREATMENTS.CURE) {
+                    advanceTo(time + treatment.hours * 3600);
+                } else {
+                    this.solver.postMessage({
+                        type: 'rinse',
+                        loss: CURE_CONFIG.RINSE_LOSS,
+                        spread: CURE_CONFIG.RINSE_SPREAD,
+                        quiet: true
+                    });
+                }
+                this.treatments.push(treatment);
+            }
+        };
+        
+        data.strokes.forEach((saved, index) => {
+            treatUpTo(index);
+            this.replayStroke(Stroke.fromJSON(saved), advanceTo);
+        });
+        treatUpTo(Infinity);
+        
+        this.foldingEngine.setFace(face);
+        if (this.strokes.length > 0 || this.treatments.length > 0) this.startSimulation();
+        
+        const last = this.treatments[this.treatments.length - 1];
+        if (last && last.type === TREATMENTS.RINSE) {
+            this.emit(EVENTS.DYE_RINSED);
+        } else if (last) {
+            this.emit(EVENTS.CURE_COMPLETE, { time: last.time + last.hours * 3600 });
+        }
+    }
+
+    // Lay a stroke down as it was drawn: the tool reaches each sample once
+    // the field has advanced as far as it had when the sample came in
+    replayStroke(stroke, advanceTo) {
+        const tool = this.tools.get(stroke.tool);
+        if (!tool || stroke.samples.length === 0) return;
+        
+        this.foldingEngine.setFace(stroke.face);
+        advanceTo(stroke.time);
+        tool.start(stroke, stroke.pointAt(0));
+        let travel = tool.spacing(stroke);
+        
+        for (const sample of stroke.samples.slice(1)) {
+            advanceTo(stroke.time + sample.time / 1000 * DYE_CONFIG.TIME_SCALE);
+            while (travel <= sample.distance) {
+                tool.move(stroke, stroke.pointAt(travel));
+                travel += tool.spacing(stroke);
+            }
+        }
+        
+        tool.stop(stroke);
+        this.strokes.push(stroke);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,139 @@
+// DyeTools.js - Ways of getting dye onto the fabric
+//
+// A tool turns a stroke into deposits on the dye field through the
+// DyePhysics it is registered with. DyePhysics hands the tool points at the
+// tool's own spacing along the stroke (see Stroke.js), with the pen pressure
+// there. Tools only decide where the dye goes and how much of it; the solver
+// takes care of spreading it.
+
+import { DYE_CONFIG, TOOL_CONFIG } from '../config/constants.js';
+
+export class DyeTool {
+    constructor(physics) {
+        this.physics = physics;
+    }
+
+    start(stroke, point) {
+        this.apply(stroke, point);
+    }
+
+    move(stroke, point) {
+        this.apply(stroke, point);
+    }
+
+    stop() {}
+
+    apply(stroke, point) {}
+
+    // Pixels along the stroke from one application to the next
+    spacing(stroke) {
+        return stroke.radius * TOOL_CONFIG.BRUSH_SPACING;
+    }
+
+    // Free dye for the stroke's concentration and the pressure at a point,
+    // scaled by a tool's own amount
+    amount(stroke, point, scale = 1) {
+        return (stroke.concentration / DYE_CONFIG.MAX_CONCENTRATION) *
+            (point.pressure / TOOL_CONFIG.DEFAULT_PRESSURE) * DYE_CONFIG.DEPOSIT_AMOUNT * scale;
+    }
+}
+
+// Soft round dabs overlapping into a continuous ribbon
+export class BrushTool extends DyeTool {
+    apply(stroke, point) {
+        this.physics.deposit(point.x, point.y, stroke.radius, this.amount(stroke, point),
+                             stroke.color);
+    }
+}
+
+// A narrow line of saturated dye along the pointer's path
+export class SqueezeTool extends DyeTool {
+    width(stroke) {
+        return Math.max(2, stroke.radius * TOOL_CONFIG.SQUEEZE_WIDTH);
+    }
+
+    spacing(stroke) {
+        return this.width(stroke) / 2;
+    }
+
+    apply(stroke, point) {
+        this.physics.deposit(point.x, point.y, this.width(stroke),
+                             this.amount(stroke, point, TOOL_CONFIG.SQUEEZE_AMOUNT), stroke.color);
+    }
+}
+
+// Tools that drop dye in separate heaps rather than a continuous trail: the
+// next heap goes down once the pointer has left the last one
+class SpacedTool extends DyeTool {
+    spacing(stroke) {
+        return stroke.radius;
+    }
+}
+
+// A wide puddle that floods the fabric and runs a long way
+export class PourTool extends SpacedTool {
+    apply(stroke, point) {
+        this.physics.deposit(point.x, point.y, stroke.radius * TOOL_CONFIG.POUR_SPREAD,
+                             this.amount(stroke, point, TOOL_CONFIG.POUR_AMOUNT), stroke.color);
+    }
+}
+
+// Everything below the pointer goes into the bath; one dip per press
+export class DipTool extends DyeTool {
+    start(stroke, point) {
+        this.physics.depositBelow(point.y, this.amount(stroke, point, TOOL_CONFIG.DIP_AMOUNT),
+                                  stroke.color);
+    }
+
+    spacing() {
+        return Infinity;
+    }
+}
+
+// Fine droplets scattered over the brush area, too small to wick far
+export class SprayTool extends DyeTool {
+    spacing(stroke) {
+        return stroke.radius * TOOL_CONFIG.SPRAY_SPACING;
+    }
+
+    apply(stroke, point) {
+        const { radius, random } = stroke;
+
+        for (let i = 0; i < TOOL_CONFIG.SPRAY_DENSITY; i++) {
+            const angle = random.range(0, Math.PI * 2);
+            const dist = Math.sqrt(random.next()) * radius;
+            this.physics.deposit(point.x + Math.cos(angle) * dist, point.y + Math.sin(angle) * dist,
+                                 DYE_CONFIG.FIELD_CELL_SIZE,
+                                 this.amount(stroke, point, TOOL_CONFIG.SPRAY_AMOUNT), stroke.color);
+        }
+    }
+}
+
+// Dye powder on ice: each chunk melts slowly and the mixed powder splits
+// into the dyes it is made of. Dyes that strike later come out of the melt
+// later and land further out, leaving rings of colour.
+export class IceTool extends SpacedTool {
+    apply(stroke, point) {
+        const { radius, random } = stroke;
+        const components = this.physics.colorManager.getDyeComponents(stroke.dye, stroke.color);
+        const amount = this.amount(stroke, point, TOOL_CONFIG.ICE_AMOUNT);
+
+        for (let i = 0; i < TOOL_CONFIG.ICE_CRYSTALS; i++) {
+            const angle = random.range(0, Math.PI * 2);
+            const dist = Math.sqrt(random.next()) * radius;
+            const cx = point.x + Math.cos(angle) * dist;
+            const cy = point.y + Math.sin(angle) * dist;
+
+            components.forEach(({ color: dye, share }, order) => {
+                const spread = radius * 0.15 * (1 + order * TOOL_CONFIG.ICE_STRIKE_SPREAD);
+                this.physics.addSource(cx + random.range(-spread, spread),
+                                       cy + random.range(-spread, spread),
+                                       radius * random.range(0.1, 0.25),
+                                       amount * share,
+                                       TOOL_CONFIG.ICE_MELT_SECONDS * random.range(0.6, 1.4) *
+                                           (1 + order * TOOL_CONFIG.ICE_STRIKE_DELAY),
+                                       dye);
+            });
+        }
+    }
+}
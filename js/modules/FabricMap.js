@@ -0,0 +1,283 @@
+// FabricMap.js - Per-cell map between folded space and garment coordinates
+//
+// The garment is sampled into square cells, one per panel (front, back) at
+// every spot the panel covers. Every cell remembers its panel, where it sits
+// on the flat garment (gx, gy), where it currently sits in folded space
+// (x, y) and how deep it is in the stack of fabric at that spot (0 = the
+// outer layer facing the dye). Laid flat, the front panel lies on top of the
+// back. Folding moves cells around; the stacks are then rebuilt so every
+// folded-space bucket lists the garment cells beneath it from top to bottom.
+
+const LEVEL_WEIGHT = 1e6;
+
+export class FabricMap {
+    constructor(width, height, cellSize) {
+        this.width = width;
+        this.height = height;
+        this.cellSize = cellSize;
+        this.cols = Math.ceil(width / cellSize);
+        this.rows = Math.ceil(height / cellSize);
+
+        this.count = 0;
+        this.panelCount = 1;
+        this.panel = new Uint8Array(0);
+        this.gx = new Float32Array(0);
+        this.gy = new Float32Array(0);
+        this.x = new Float32Array(0);
+        this.y = new Float32Array(0);
+        this.depth = new Uint16Array(0);
+        this.resist = new Float32Array(0);      // 0..1, how much dye bindings keep out
+
+        // Cell indices sorted by bucket then depth, plus each bucket's range
+        this.order = new Uint32Array(0);
+        this.bucketStart = new Uint32Array(this.cols * this.rows + 1);
+
+        // Panel and garment grid position -> cell index (-1 off the panel)
+        this.cellAt = new Int32Array(this.cols * this.rows).fill(-1);
+
+        // Per applied fold, the panel every cell was folded into
+        this.panelHistory = [];
+    }
+
+    // Create a cell for every grid position whose centre is on a panel.
+    // panels lists an isInside(x, y) test per panel, the front first.
+    static fromGarment(width, height, cellSize, panels) {
+        const map = new FabricMap(width, height, cellSize);
+        const grid = map.cols * map.rows;
+        const owners = [];
+        const xs = [];
+        const ys = [];
+
+        panels.forEach((isInside, panel) => {
+            for (let row = 0; row < map.rows; row++) {
+                for (let col = 0; col < map.cols; col++) {
+                    const cx = (col + 0.5) * cellSize;
+                    const cy = (row + 0.5) * cellSize;
+                    if (isInside(cx, cy)) {
+                        owners.push(panel);
+                        xs.push(cx);
+                        ys.push(cy);
+                    }
+                }
+            }
+        });
+
+        map.count = xs.length;
+        map.panelCount = panels.length;
+        map.panel = Uint8Array.from(owners);
+        map.gx = Float32Array.from(xs);
+        map.gy = Float32Array.from(ys);
+        map.cellAt = new Int32Array(grid * panels.length).fill(-1);
+        for (let i = 0; i < map.count; i++) {
+            map.cellAt[map.panel[i] * grid + map.bucketIndex(map.gx[i], map.gy[i])] = i;
+        }
+        map.reset();
+        return map;
+    }
+
+    // Lay the garment flat again, front panel on top
+    reset() {
+        this.x = Float32Array.from(this.gx);
+        this.y = Float32Array.from(this.gy);
+        this.depth = new Uint16Array(this.count);
+        this.resist = new Float32Array(this.count);
+        this.panelHistory = [];
+        this.restack(Float64Array.from(this.panel));
+    }
+
+    // Move every cell through foldFn(x, y) -> { x, y, level, flipped, panel }.
+    // Cells with a higher level land on top; a flipped cell's old stack is
+    // turned upside down. Neighbouring cells that land in different panels
+    // are separated by a crease.
+    apply(foldFn) {
+        const keys = new Float64Array(this.count);
+        const panels = new Float64Array(this.count);
+
+        for (let i = 0; i < this.count; i++) {
+            const result = foldFn(this.x[i], this.y[i]);
+            const level = result.level || 0;
+            this.x[i] = result.x;
+            this.y[i] = result.y;
+            keys[i] = -level * LEVEL_WEIGHT +
+                (result.flipped ? -this.depth[i] : this.depth[i]);
+            panels[i] = result.panel !== undefined
+                ? result.panel
+                : level * 2 + (result.flipped ? 1 : 0);
+        }
+
+        this.panelHistory.push(panels);
+        this.restack(keys);
+    }
+
+    // Bind the bundle as a step of its own. Bindings do not move fabric,
+    // so they leave no creases.
+    bind(zoneFn) {
+        this.applyResist(zoneFn);
+        this.panelHistory.push(null);
+    }
+
+    // Cells under zoneFn(x, y) -> strength resist dye from now on
+    applyResist(zoneFn) {
+        for (let i = 0; i < this.count; i++) {
+            const strength = zoneFn(this.x[i], this.y[i]);
+            if (strength > this.resist[i]) {
+                this.resist[i] = strength;
+            }
+        }
+    }
+
+    // Strongest resist anywhere in each folded bucket's stack; a binding
+    // squeezes every layer it passes round
+    getBucketResist() {
+        const resist = new Float32Array(this.cols * this.rows);
+
+        this.forEachStack((col, row, stack) => {
+            let max = 0;
+            for (const cell of stack) {
+                max = Math.max(max, this.resist[cell]);
+            }
+            resist[row * this.cols + col] = max;
+        });
+
+        return resist;
+    }
+
+    // Downsample the folded buckets onto a coarser grid: which coarse cells
+    // hold any fabric, and the strongest resist in each
+    getFieldMasks(fieldCellSize) {
+        const scale = fieldCellSize / this.cellSize;
+        const cols = Math.ceil(this.cols / scale);
+        const rows = Math.ceil(this.rows / scale);
+        const fabric = new Uint8Array(cols * rows);
+        const resist = new Float32Array(cols * rows);
+        const bucketResist = this.getBucketResist();
+
+        this.forEachStack((col, row) => {
+            const i = Math.floor(row / scale) * cols + Math.floor(col / scale);
+            fabric[i] = 1;
+            resist[i] = Math.max(resist[i], bucketResist[row * this.cols + col]);
+        });
+
+        return { cols, rows, fabric, resist };
+    }
+
+    // Cells lying on a crease made by the given fold (1) or not (0)
+    getCreaseMask(foldIndex) {
+        const panels = this.panelHistory[foldIndex];
+        const mask = new Uint8Array(this.count);
+        if (!panels) return mask;
+
+        for (let i = 0; i < this.count; i++) {
+            const col = Math.floor(this.gx[i] / this.cellSize);
+            const row = Math.floor(this.gy[i] / this.cellSize);
+            const offset = this.panel[i] * this.cols * this.rows;
+            const right = col + 1 < this.cols ? this.cellAt[offset + row * this.cols + col + 1] : -1;
+            const below = row + 1 < this.rows ? this.cellAt[offset + (row + 1) * this.cols + col] : -1;
+
+            for (const neighbour of [right, below]) {
+                if (neighbour >= 0 && panels[neighbour] !== panels[i]) {
+                    mask[i] = 1;
+                    mask[neighbour] = 1;
+                }
+            }
+        }
+
+        return mask;
+    }
+
+    bucketIndex(x, y) {
+        const col = Math.floor(x / this.cellSize);
+        const row = Math.floor(y / this.cellSize);
+        if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return -1;
+        return row * this.cols + col;
+    }
+
+    restack(keys) {
+        const buckets = new Int32Array(this.count);
+        for (let i = 0; i < this.count; i++) {
+            buckets[i] = this.bucketIndex(this.x[i], this.y[i]);
+        }
+
+        // Cells that left the canvas are kept but belong to no stack
+        const onCanvas = [];
+        for (let i = 0; i < this.count; i++) {
+            if (buckets[i] >= 0) onCanvas.push(i);
+        }
+
+        const order = Uint32Array.from(onCanvas);
+        order.sort((a, b) => buckets[a] - buckets[b] || keys[a] - keys[b]);
+
+        const bucketStart = new Uint32Array(this.cols * this.rows + 1);
+        for (const i of order) {
+            bucketStart[buckets[i] + 1]++;
+        }
+        for (let b = 1; b < bucketStart.length; b++) {
+            bucketStart[b] += bucketStart[b - 1];
+        }
+
+        for (let n = 0; n < order.length; n++) {
+            const i = order[n];
+            this.depth[i] = n - bucketStart[buckets[i]];
+        }
+
+        this.order = order;
+        this.bucketStart = bucketStart;
+    }
+
+    // Garment cell indices under a folded-space point, top layer first
+    getStack(x, y) {
+        const bucket = this.bucketIndex(x, y);
+        if (bucket < 0) return this.order.subarray(0, 0);
+        return this.order.subarray(this.bucketStart[bucket], this.bucketStart[bucket + 1]);
+    }
+
+    getStackSize(x, y) {
+        const bucket = this.bucketIndex(x, y);
+        if (bucket < 0) return 0;
+        return this.bucketStart[bucket + 1] - this.bucketStart[bucket];
+    }
+
+    // Call callback(col, row, indices) for every non-empty folded bucket
+    forEachStack(callback) {
+        for (let bucket = 0; bucket < this.cols * this.rows; bucket++) {
+            const start = this.bucketStart[bucket];
+            const end = this.bucketStart[bucket + 1];
+            if (end > start) {
+                callback(bucket % this.cols, Math.floor(bucket / this.cols),
+                         this.order.subarray(start, end));
+            }
+        }
+    }
+
+    getMaxDepth() {
+        let max = 0;
+        for (let bucket = 0; bucket < this.cols * this.rows; bucket++) {
+            max = Math.max(max, this.bucketStart[bucket + 1] - this.bucketStart[bucket]);
+        }
+        return max;
+    }
+
+    // Bounding box of the folded bundle
+    getBounds() {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (const i of this.order) {
+            minX = Math.min(minX, this.x[i]);
+            minY = Math.min(minY, this.y[i]);
+            maxX = Math.max(maxX, this.x[i]);
+            maxY = Math.max(maxY, this.y[i]);
+        }
+
+        if (minX === Infinity) return null;
+
+        const half = this.cellSize / 2;
+        return {
+            x: minX - half,
+            y: minY - half,
+            width: maxX - minX + this.cellSize,
+            height: maxY - minY + this.cellSize,
+            centerX: (minX + maxX) / 2,
+            centerY: (minY + maxY) / 2
+        };
+    }
+}
@@ -0,0 +1,109 @@
+// Fabrics.js - Fabric presets and their woven look
+//
+// A fabric scales how fast the solver fixes and wicks dye, sets how much of
+// the colour the fibres hold on to and gives the undyed cloth its tint. Fibre
+// reactive dye only takes to plant fibres, so blends and synthetics come out
+// faded.
+
+import { FABRIC_TYPES } from '../config/constants.js';
+import { hexToRgb } from './utils.js';
+
+export const FABRIC_PRESETS = {
+    [FABRIC_TYPES.COTTON]: {
+        label: 'Cotton',
+        absorption: 1,          // Times DYE_CONFIG.ABSORPTION_RATE
+        wicking: 1,             // Times DYE_CONFIG.WICKING_RATE
+        colorHold: 1,           // Share of the dye's colour the fibres show (0..1)
+        tint: '#fbf9f3',
+        weave: { thread: 3, contrast: 0.08, sheen: 0 }
+    },
+    [FABRIC_TYPES.BLEND]: {
+        label: 'Cotton/Poly Blend',
+        absorption: 0.7,
+        wicking: 0.8,
+        colorHold: 0.55,
+        tint: '#f8f8f6',
+        weave: { thread: 3, contrast: 0.06, sheen: 0.05 }
+    },
+    [FABRIC_TYPES.RAYON]: {
+        label: 'Rayon',
+        absorption: 1.3,
+        wicking: 1.5,
+        colorHold: 0.95,
+        tint: '#fdfcf9',
+        weave: { thread: 2, contrast: 0.05, sheen: 0.1 }
+    },
+    [FABRIC_TYPES.SILK]: {
+        label: 'Silk',
+        absorption: 0.8,
+        wicking: 1.8,
+        colorHold: 0.85,
+        tint: '#f7f0df',
+        weave: { thread: 2, contrast: 0.03, sheen: 0.25 }
+    },
+    [FABRIC_TYPES.POLYESTER]: {
+        label: 'Polyester',
+        absorption: 0.15,
+        wicking: 0.6,
+        colorHold: 0.2,
+        tint: '#ffffff',
+        weave: { thread: 2, contrast: 0.04, sheen: 0.15 }
+    }
+};
+
+export function getFabric(type) {
+    return { type, ...FABRIC_PRESETS[type] };
+}
+
+// Solver parameters for dyeing the given fabric
+export function fabricParams(fabric, config) {
+    return {
+        ...config,
+        ABSORPTION_RATE: config.ABSORPTION_RATE * fabric.absorption,
+        WICKING_RATE: config.WICKING_RATE * fabric.wicking
+    };
+}
+
+// Fixed pseudo-random value in 0..1 for a pixel, so the weave looks the same
+// every time it is drawn
+function grain(x, y) {
+    let h = Math.imul(x, 374761393) + Math.imul(y, 668265263);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+// A repeating tile of plain weave: warp and weft threads crossing over and
+// under each other, rounded across their width, with a little fibre noise
+export function createWeaveTile(fabric) {
+    const { thread, contrast, sheen } = fabric.weave;
+    const size = thread * 16;
+    const tile = document.createElement('canvas');
+    tile.width = size;
+    tile.height = size;
+    const ctx = tile.getContext('2d');
+    const image = ctx.createImageData(size, size);
+    const tint = hexToRgb(fabric.tint);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const col = Math.floor(x / thread);
+            const row = Math.floor(y / thread);
+            const warpOnTop = (col + row) % 2 === 0;
+
+            // Position across the thread on top, 0..1
+            const across = ((warpOnTop ? x : y) % thread + 0.5) / thread;
+            const round = Math.sin(across * Math.PI);
+            const light = 1 - contrast * (1 - round) - contrast * 0.5 * grain(x, y) +
+                sheen * Math.pow(round, 8) * (warpOnTop ? 1 : 0.5);
+
+            const offset = (y * size + x) * 4;
+            image.data[offset] = Math.min(255, tint.r * light);
+            image.data[offset + 1] = Math.min(255, tint.g * light);
+            image.data[offset + 2] = Math.min(255, tint.b * light);
+            image.data[offset + 3] = 255;
+        }
+    }
+
+    ctx.putImageData(image, 0, 0);
+    return tile;
+}
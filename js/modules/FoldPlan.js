@@ -0,0 +1,517 @@
+// FoldPlan.js - The fold plan as a vector drawing and a printable how-to
+//
+// The SVG plan has the garment outline, each fold's guide lines, the centres
+// and points to pinch, where bands go and where dye was laid, each on a layer
+// of its own that Inkscape and Illustrator list by name. Fold guides are
+// drawn by FoldingEngine itself, into a context that writes SVG paths instead
+// of pixels. As in the fold preview, each step is marked where the bundle
+// lies at that step, not on the flat garment. The instruction sheet numbers
+// the same steps the plan is labelled with: the folds and bindings in order,
+// then the dye strokes, grouped while the dye, tool and face stay the same.
+
+import { rgbToHex } from './utils.js';
+import { FOLD_CONFIG, FOLD_TYPES, BINDING_TYPES, FACES, CANVAS_CONFIG, CURE_CONFIG } from '../config/constants.js';
+
+const FOLD_LABELS = {
+    [FOLD_TYPES.ACCORDION]: 'Accordion fold',
+    [FOLD_TYPES.SPIRAL]: 'Spiral',
+    [FOLD_TYPES.CRUMPLE]: 'Crumple',
+    [FOLD_TYPES.DIAGONAL]: 'Diagonal fold',
+    [FOLD_TYPES.BULLSEYE]: 'Bullseye',
+    [FOLD_TYPES.MANDALA]: 'Mandala',
+    [FOLD_TYPES.SUNBURST]: 'Sunburst',
+    [FOLD_TYPES.STRIPES]: 'Stripes',
+    [FOLD_TYPES.SHIBORI]: 'Shibori'
+};
+
+const BINDING_LABELS = {
+    [BINDING_TYPES.BAND]: 'Rubber band',
+    [BINDING_TYPES.STRING]: 'String',
+    [BINDING_TYPES.CLAMP]: 'Clamp'
+};
+
+const TOOL_LABELS = {
+    brush: 'Brush',
+    squeeze: 'Squeeze bottle',
+    pour: 'Pour',
+    dip: 'Dip',
+    spray: 'Spray',
+    ice: 'Ice'
+};
+
+const SUPPLIES = {
+    [BINDING_TYPES.BAND]: count => `${count} rubber ${count === 1 ? 'band' : 'bands'}`,
+    [BINDING_TYPES.STRING]: count => `String for ${count} ${count === 1 ? 'tie' : 'ties'}`,
+    [BINDING_TYPES.CLAMP]: count => `${count} ${count === 1 ? 'clamp' : 'clamps'} and boards`
+};
+
+const OUTLINE_COLOR = '#555';
+const LABEL_COLOR = '#222';
+const MARKER_RADIUS = 5;
+const DYE_ZONE_OPACITY = 0.5;
+
+// Enough of a canvas 2D context for FoldingEngine's drawing, keeping each
+// path that is stroked or filled as an SVG element
+class SvgContext {
+    constructor() {
+        this.elements = [];
+        this.path = '';
+        this.states = [];
+        this.strokeStyle = '#000';
+        this.fillStyle = '#000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.globalAlpha = 1;
+        this.lineDash = [];
+    }
+
+    save() {
+        const { strokeStyle, fillStyle, lineWidth, lineCap, globalAlpha, lineDash } = this;
+        this.states.push({ strokeStyle, fillStyle, lineWidth, lineCap, globalAlpha, lineDash });
+    }
+
+    restore() {
+        Object.assign(this, this.states.pop());
+    }
+
+    setLineDash(dash) {
+        this.lineDash = [...dash];
+    }
+
+    beginPath() {
+        this.path = '';
+    }
+
+    moveTo(x, y) {
+        this.path += `M${point(x, y)}`;
+    }
+
+    lineTo(x, y) {
+        this.path += `${this.path ? 'L' : 'M'}${point(x, y)}`;
+    }
+
+    closePath() {
+        this.path += 'Z';
+    }
+
+    // Canvas arcs turn clockwise on screen, which is SVG's sweep flag 1. A
+    // whole circle takes two arcs, as an SVG arc can't end where it starts.
+    arc(x, y, radius, start, end) {
+        const at = angle => point(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+        const turn = Math.min(end - start, Math.PI * 2);
+        const r = round(radius);
+
+        this.path += `${this.path ? 'L' : 'M'}${at(start)}`;
+        if (turn >= Math.PI * 2) {
+            this.path += `A${r} ${r} 0 0 1 ${at(start + Math.PI)}A${r} ${r} 0 0 1 ${at(start)}`;
+        } else {
+            this.path += `A${r} ${r} 0 ${turn > Math.PI ? 1 : 0} 1 ${at(end)}`;
+        }
+    }
+
+    stroke() {
+        this.addPath(this.path, { fill: 'none', ...this.strokeAttributes() });
+    }
+
+    fill() {
+        this.addPath(this.path, { fill: this.fillStyle });
+    }
+
+    strokeRect(x, y, width, height) {
+        this.addPath(rectPath(x, y, width, height), { fill: 'none', ...this.strokeAttributes() });
+    }
+
+    fillRect(x, y, width, height) {
+        this.addPath(rectPath(x, y, width, height), { fill: this.fillStyle });
+    }
+
+    strokeAttributes() {
+        return {
+            stroke: this.strokeStyle,
+            'stroke-width': round(this.lineWidth),
+            'stroke-linecap': this.lineCap === 'butt' ? null : this.lineCap,
+            'stroke-dasharray': this.lineDash.length > 0 ? this.lineDash.join(' ') : null
+        };
+    }
+
+    addPath(d, attributes) {
+        if (!d) return;
+        this.add('path', { d, ...attributes, opacity: this.globalAlpha < 1 ? this.globalAlpha : null });
+    }
+
+    add(name, attributes, text = null) {
+        this.elements.push(element(name, attributes, text));
+    }
+
+    // Draw into a named group. Top-level groups are layers, nested ones
+    // sublayers.
+    group(id, label, draw) {
+        this.elements.push(`<g id="${id}" inkscape:groupmode="layer" inkscape:label="${escapeXml(label)}">`);
+        draw();
+        this.elements.push('</g>');
+    }
+
+    label(x, y, text) {
+        this.add('text', { x: round(x + MARKER_RADIUS + 2), y: round(y - MARKER_RADIUS - 2),
+                           'class': 'label' }, text);
+    }
+
+    marker(x, y, color) {
+        this.add('circle', { cx: round(x), cy: round(y), r: MARKER_RADIUS, fill: color,
+                             stroke: '#fff', 'stroke-width': 1.5 });
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function point(x, y) {
+    return `${round(x)} ${round(y)}`;
+}
+
+function rectPath(x, y, width, height) {
+    return `M${point(x, y)}H${round(x + width)}V${round(y + height)}H${round(x)}Z`;
+}
+
+function element(name, attributes, text = null) {
+    const markup = Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => ` ${key}="${escapeXml(String(value))}"`)
+        .join('');
+    return text === null ? `<${name}${markup}/>` : `<${name}${markup}>${escapeXml(text)}</${name}>`;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Steps to follow, in order ({ title, text, fold } or { title, text, strokes }).
+// Step numbers are the list position plus one.
+export function createSteps({ canvas, foldingEngine, dyePhysics, colorManager }) {
+    const garment = canvas.getGarment();
+    const steps = [{
+        title: 'Lay it flat',
+        text: `Lay the ${garment.label.toLowerCase()} (${canvas.getFabric().label.toLowerCase()}) ` +
+              'out flat, front up, and smooth out any creases. Damp fabric folds and takes dye best.'
+    }];
+
+    foldingEngine.getFolds().forEach(fold => steps.push({
+        title: fold.binding ? BINDING_LABELS[fold.binding] : FOLD_LABELS[fold.type],
+        text: describeFold(fold),
+        fold
+    }));
+
+    let face = FACES.FRONT;
+    groupStrokes(dyePhysics.getStrokes()).forEach(strokes => {
+        const stroke = strokes[0];
+        const color = dyeName(colorManager, stroke);
+        const turn = stroke.face !== face ? `Turn the bundle over so the ${stroke.face} is up. ` : '';
+        face = stroke.face;
+
+        steps.push({
+            title: `${TOOL_LABELS[stroke.tool]}: ${color}`,
+            text: `${turn}${describeDye(stroke, color)} where the dye zones for this step are ` +
+                  `marked (${strokes.length} ${strokes.length === 1 ? 'stroke' : 'strokes'}).`,
+            strokes
+        });
+    });
+
+    // As long as the design was left to batch, or the usual time if it wasn't
+    const hours = Math.round(dyePhysics.getCureHours() * 10) / 10 || CURE_CONFIG.DEFAULT_HOURS;
+    steps.push({
+        title: 'Batch, rinse and unfold',
+        text: `Wrap the bundle and leave it for about ${hours} ${hours === 1 ? 'hour' : 'hours'}. Rinse it in ` +
+              'cold water until it runs clear, take off the bindings, unfold it and wash it on its own.'
+    });
+
+    return steps;
+}
+
+// Runs of strokes laid with the same dye and tool on the same face
+function groupStrokes(strokes) {
+    const groups = [];
+
+    strokes.forEach(stroke => {
+        const last = groups[groups.length - 1];
+        const previous = last && last[last.length - 1];
+        if (previous && previous.dye === stroke.dye && previous.tool === stroke.tool &&
+            previous.face === stroke.face && colorOf(previous) === colorOf(stroke)) {
+            last.push(stroke);
+        } else {
+            groups.push([stroke]);
+        }
+    });
+
+    return groups;
+}
+
+function colorOf(stroke) {
+    return rgbToHex(stroke.color.r, stroke.color.g, stroke.color.b);
+}
+
+// The library dye a stroke used, or its colour when it was mixed by hand
+function dyeName(colorManager, stroke) {
+    const dye = colorManager.getLibrary().getDye(stroke.dye);
+    return dye ? dye.name : `Mixed colour ${colorOf(stroke)}`;
+}
+
+export function describeFold(fold) {
+    const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+    switch (fold.type) {
+        case FOLD_TYPES.ACCORDION:
+            return `Pleat the bundle back and forth like a paper fan, folding along the ` +
+                   `${count(fold.numFolds, `marked ${fold.direction} line`, `marked ${fold.direction} lines`)}.`;
+        case FOLD_TYPES.SPIRAL:
+            return `Pinch the fabric at the marked centre and twist it round ` +
+                   `${count(fold.rotations, 'time', 'times')}, tucking the edges in, into a flat disc.`;
+        case FOLD_TYPES.CRUMPLE:
+            return `Pinch the fabric up at the ${count(fold.points.length, 'marked point', 'marked points')} ` +
+                   'and scrunch it together into a tight, flat bundle.';
+        case FOLD_TYPES.DIAGONAL:
+            return `Fold the bundle over along the marked line at ${Math.round(fold.angle)}°.`;
+        case FOLD_TYPES.BULLSEYE:
+            return 'Pull the fabric up by the marked point into a long cone and tie ' +
+                   `${count(fold.rings, 'band', 'bands')} round it where the rings are marked.`;
+        case FOLD_TYPES.MANDALA:
+            return `Fold the fabric into ${fold.wedges} equal wedges around the marked centre, ` +
+                   'along the marked lines, like folding a paper snowflake.';
+        case FOLD_TYPES.SUNBURST:
+            return `Pinch up ${count(fold.points.length, 'small spiral', 'small spirals')} at the marked ` +
+                   `centres, twisting each ${count(fold.twist, 'turn', 'turns')}, and band the base of each.`;
+        case FOLD_TYPES.STRIPES:
+            return `Pleat the fabric into a rope across the ${fold.direction} stripes and tie ` +
+                   `${count(fold.bands.length, 'band', 'bands')} along it where marked.`;
+        case FOLD_TYPES.SHIBORI:
+            return fold.variant === 'arashi'
+                ? `Arashi: wrap the bundle round a pole at ${Math.round(fold.angle)}°, along the marked ` +
+                  'lines, tie it on and scrunch it down the pole.'
+                : 'Itajime: fold the bundle into a stack of squares along the marked grid and clamp ' +
+                  'the marked square between two boards.';
+        case FOLD_TYPES.BINDING:
+            return fold.binding === BINDING_TYPES.CLAMP
+                ? 'Clamp a board over the marked area.'
+                : `Tie ${fold.binding === BINDING_TYPES.BAND ? 'a rubber band' : 'string'} tightly ` +
+                  'round the bundle at the marked line.';
+        default:
+            return '';
+    }
+}
+
+function describeDye(stroke, color) {
+    switch (stroke.tool) {
+        case 'squeeze':
+            return `Squeeze ${color} on`;
+        case 'pour':
+            return `Pour ${color} on`;
+        case 'dip':
+            return `Dip the bundle in ${color}`;
+        case 'spray':
+            return `Spray ${color}`;
+        case 'ice':
+            return `Pile ice on and sprinkle ${color} powder over it`;
+        default:
+            return `Brush ${color} on`;
+    }
+}
+
+// The plan as an SVG document
+export function createFoldPlanSvg(modules) {
+    const ctx = drawPlan(modules, createSteps(modules));
+    const { WIDTH: width, HEIGHT: height } = CANVAS_CONFIG;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" ` +
+        `xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+        `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        planStyle(),
+        ...ctx.elements,
+        '</svg>'
+    ].join('\n');
+}
+
+function planStyle() {
+    return `<style>.label { font: bold 13px sans-serif; fill: ${LABEL_COLOR}; ` +
+           'stroke: #fff; stroke-width: 3px; paint-order: stroke; }</style>';
+}
+
+function drawPlan({ canvas, foldingEngine }, steps) {
+    const ctx = new SvgContext();
+    const garment = canvas.getGarment();
+    const numbered = steps.map((step, index) => ({ ...step, number: index + 1 }));
+    const folds = numbered.filter(step => step.fold && step.fold.type !== FOLD_TYPES.BINDING);
+    const bindings = numbered.filter(step => step.fold && (step.fold.type === FOLD_TYPES.BINDING ||
+                                                           step.fold.bands));
+    const pinches = (types) => folds.filter(step => types.includes(step.fold.type));
+
+    ctx.group('garment-outline', 'Garment outline', () => {
+        garment.getPanelNames().forEach(panel => ctx.group(`panel-${panel}`, `Panel: ${panel}`, () => {
+            ctx.strokeStyle = OUTLINE_COLOR;
+            ctx.lineWidth = 1.5;
+            garment.tracePanel(ctx, panel);
+            ctx.stroke();
+        }));
+    });
+
+    ctx.group('fold-lines', 'Fold lines', () => {
+        folds.forEach(({ fold, number, title }) => ctx.group(`fold-${number}`, `${number}. ${title}`, () => {
+            ctx.strokeStyle = FOLD_CONFIG.FOLD_LINE_COLOR;
+            ctx.fillStyle = FOLD_CONFIG.FOLD_LINE_COLOR;
+            ctx.lineWidth = FOLD_CONFIG.FOLD_LINE_WIDTH;
+            ctx.setLineDash([5, 5]);
+            foldingEngine.drawFoldVisualization(ctx, fold);
+            ctx.setLineDash([]);
+
+            const anchor = foldAnchor(fold);
+            if (anchor) ctx.label(anchor.x, anchor.y, String(number));
+        }));
+    });
+
+    ctx.group('spiral-centres', 'Spiral centres', () => {
+        pinches([FOLD_TYPES.SPIRAL, FOLD_TYPES.BULLSEYE, FOLD_TYPES.MANDALA, FOLD_TYPES.SUNBURST])
+            .forEach(({ fold, number, title }) => ctx.group(`centres-${number}`, `${number}. ${title}`, () => {
+                const centres = fold.points || [{ x: fold.centerX, y: fold.centerY }];
+                centres.forEach((centre, index) => {
+                    ctx.marker(centre.x, centre.y, FOLD_CONFIG.PREVIEW_LINE_COLOR);
+                    ctx.label(centre.x, centre.y, centres.length > 1 ? `${number}.${index + 1}` : String(number));
+                });
+            }));
+    });
+
+    ctx.group('crumple-points', 'Crumple points', () => {
+        pinches([FOLD_TYPES.CRUMPLE])
+            .forEach(({ fold, number, title }) => ctx.group(`points-${number}`, `${number}. ${title}`, () => {
+                fold.points.forEach((point, index) => {
+                    ctx.marker(point.x, point.y, FOLD_CONFIG.PREVIEW_LINE_COLOR);
+                    ctx.label(point.x, point.y, `${number}.${index + 1}`);
+                });
+            }));
+    });
+
+    ctx.group('bands', 'Bands', () => {
+        bindings.forEach(({ fold, number, title }) => ctx.group(`bands-${number}`, `${number}. ${title}`, () => {
+            const bands = fold.bands
+                ? fold.bands.map(band => ({ ...band, binding: BINDING_TYPES.BAND }))
+                : [fold];
+            bands.forEach(band => foldingEngine.drawBinding(ctx, band));
+            ctx.label(bands[0].x1, bands[0].y1, String(number));
+        }));
+    });
+
+    ctx.group('dye-zones', 'Dye zones', () => {
+        numbered.filter(step => step.strokes).forEach(({ strokes, number, title }) => {
+            const face = strokes[0].face === FACES.BACK ? ', back (seen through from the front)' : '';
+            ctx.group(`dye-${number}`, `${number}. ${title}${face}`, () => {
+                strokes.forEach(stroke => drawDyeZone(ctx, stroke));
+                ctx.label(strokes[0].samples[0].x, strokes[0].samples[0].y, String(number));
+            });
+        });
+    });
+
+    return ctx;
+}
+
+// Where a fold's step number goes
+function foldAnchor(fold) {
+    if (fold.lines && fold.lines.length > 0) return { x: fold.lines[0].x1, y: fold.lines[0].y1 };
+    if (fold.points && fold.points.length > 0) return fold.points[0];
+    if (fold.bands && fold.bands.length > 0) return { x: fold.bands[0].x1, y: fold.bands[0].y1 };
+    if (fold.centerX !== undefined) return { x: fold.centerX, y: fold.centerY };
+    return null;
+}
+
+// The path a stroke took, as wide as the tool, in the stroke's colour
+function drawDyeZone(ctx, stroke) {
+    const color = colorOf(stroke);
+    const [first, ...rest] = stroke.samples;
+
+    if (rest.length === 0) {
+        ctx.add('circle', { cx: round(first.x), cy: round(first.y), r: round(stroke.radius),
+                            fill: color, opacity: DYE_ZONE_OPACITY });
+        return;
+    }
+
+    ctx.add('path', {
+        d: `M${point(first.x, first.y)}` + rest.map(sample => `L${point(sample.x, sample.y)}`).join(''),
+        fill: 'none',
+        stroke: color,
+        'stroke-width': round(stroke.radius * 2),
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+        opacity: DYE_ZONE_OPACITY
+    });
+}
+
+// A printable HTML page with the plan and the numbered steps
+export function createInstructionSheet(modules) {
+    const steps = createSteps(modules);
+    const ctx = drawPlan(modules, steps);
+    const { WIDTH: width, HEIGHT: height } = CANVAS_CONFIG;
+    const garment = modules.canvas.getGarment();
+    const needs = listSupplies(modules, steps);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>How to fold and dye this ${escapeXml(garment.label.toLowerCase())}</title>
+<style>
+    body { font: 14px/1.5 sans-serif; color: #222; max-width: 60em; margin: 2em auto; padding: 0 1em; }
+    h1 { font-size: 1.6em; margin-bottom: 0.2em; }
+    .plan { width: 100%; height: auto; border: 1px solid #ccc; }
+    ol.steps > li { margin-bottom: 0.6em; break-inside: avoid; }
+    .note { color: #666; font-size: 0.9em; }
+    @media print { .plan { break-after: page; } button { display: none; } }
+</style>
+</head>
+<body>
+<button onclick="print()">Print</button>
+<h1>How to fold and dye this ${escapeXml(garment.label.toLowerCase())}</h1>
+<p class="note">Numbers on the plan match the steps. Each fold is marked where the bundle lies after the steps before it, and dye on the back is marked as seen through from the front.</p>
+<svg class="plan" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}">
+${planStyle()}
+${ctx.elements.join('\n')}
+</svg>
+<h2>You will need</h2>
+<ul>
+${needs.map(need => `    <li>${escapeXml(need)}</li>`).join('\n')}
+</ul>
+<h2>Steps</h2>
+<ol class="steps">
+${steps.map(step => `    <li><strong>${escapeXml(step.title)}.</strong> ${escapeXml(step.text)}</li>`).join('\n')}
+</ol>
+</body>
+</html>
+`;
+}
+
+// Dyes, bindings and other things the steps call for
+function listSupplies({ canvas, colorManager }, steps) {
+    const needs = [`A ${canvas.getGarment().label.toLowerCase()} in ${canvas.getFabric().label.toLowerCase()}`];
+    const bindings = {};
+    const dyes = new Set();
+    const bind = (binding, count) => { bindings[binding] = (bindings[binding] || 0) + count; };
+
+    steps.forEach(({ fold, strokes = [] }) => {
+        if (fold && fold.binding) bind(fold.binding, 1);
+        if (fold && fold.bands) bind(BINDING_TYPES.BAND, fold.bands.length);
+        if (fold && fold.type === FOLD_TYPES.SUNBURST) bind(BINDING_TYPES.BAND, fold.points.length);
+        if (fold && fold.type === FOLD_TYPES.BULLSEYE) bind(BINDING_TYPES.BAND, fold.rings);
+        strokes.forEach(stroke => dyes.add(dyeName(colorManager, stroke)));
+    });
+
+    Object.entries(bindings).forEach(([binding, count]) => needs.push(SUPPLIES[binding](count)));
+    needs.push(...dyes);
+
+    const shibori = steps.filter(({ fold }) => fold && fold.type === FOLD_TYPES.SHIBORI);
+    if (shibori.some(({ fold }) => fold.variant === 'arashi')) needs.push('A pole to wrap the fabric round');
+    if (shibori.some(({ fold }) => fold.variant !== 'arashi')) needs.push('Two boards to clamp the fabric between');
+
+    return needs;
+}
@@ -1,158 +1,731 @@
 // FoldingEngine.js - Handles folding transformations and geometry
 
-import { EventEmitter } from './utils.js';
-import { FOLD_CONFIG, FOLD_TYPES, EVENTS, SHIRT_CONFIG } from '../config/constants.js';
+import { EventEmitter, hexToRgb, Random, randomSeed } from './utils.js';
+import { FabricMap } from './FabricMap.js';
+import { FOLD_CONFIG, FOLD_TYPES, BINDING_TYPES, FACES, EVENTS, CANVAS_CONFIG, DYE_CONFIG } from '../config/constants.js';
 
 export class FoldingEngine extends EventEmitter {
     constructor(canvas) {
         super();
         this.canvas = canvas;
         this.folds = [];
-        this.undoStack = [];
         this.layers = [];
         this.currentFoldType = null;
         this.foldLayer = canvas.getLayer('folds');
+        this.fieldMasks = null;
+        this.face = FACES.FRONT;    // Side of the bundle turned up
+        this.fabricMap = this.createFabricMap();
+
+        // A new garment starts again from flat fabric
+        canvas.on(EVENTS.GARMENT_CHANGED, () => {
+            this.fabricMap = this.createFabricMap();
+            this.clear();
+        });
+
+        // The bundle is drawn in the fabric's colour
+        canvas.on(EVENTS.FABRIC_CHANGED, () => this.visualizeFolds());
     }
 
+    // Cells for every panel of the garment, front first
+    createFabricMap() {
+        const garment = this.canvas.getGarment();
+        return FabricMap.fromGarment(
+            CANVAS_CONFIG.WIDTH,
+            CANVAS_CONFIG.HEIGHT,
+            FOLD_CONFIG.MAP_CELL_SIZE,
+            garment.getPanelNames().map(panel => (x, y) => garment.panelContains(panel, x, y))
+        );
+    }
+
+    // Returns the fold applied, or null
     applyFold(foldType, params = {}) {
         if (this.layers.length >= FOLD_CONFIG.MAX_LAYERS) {
             console.warn('Maximum fold layers reached');
-            return false;
+            return null;
         }
 
         const fold = this.createFold(foldType, params);
-        if (!fold) return false;
+        if (!fold) return null;
+
+        this.addFold(fold);
+        return fold;
+    }
+
+    // Tie a rubber band, string or clamp onto the bundle. Bindings live in
+    // the fold list so they undo, redo and save like folds. Returns the
+    // binding, or null.
+    addBinding(bindingType, geometry) {
+        const binding = this.createBinding(bindingType, geometry);
+        if (!binding) return null;
 
+        this.addFold(binding);
+        return binding;
+    }
+
+    // Put a fold or binding made earlier on top of the bundle
+    addFold(fold) {
         this.folds.push(fold);
+        this.applyToMap(fold);
         this.updateLayers();
         this.visualizeFolds();
-        
+
         this.emit(EVENTS.FOLD_APPLIED, { fold, layers: this.layers });
-        return true;
     }
 
-    createFold(foldType, params) {
+    createBinding(bindingType, geometry) {
+        const { x1, y1, x2, y2 } = geometry;
+
+        switch (bindingType) {
+            case BINDING_TYPES.BAND:
+                return { type: FOLD_TYPES.BINDING, binding: bindingType, x1, y1, x2, y2,
+                         width: geometry.width || FOLD_CONFIG.BAND_WIDTH,
+                         resist: FOLD_CONFIG.BAND_RESIST };
+            case BINDING_TYPES.STRING:
+                return { type: FOLD_TYPES.BINDING, binding: bindingType, x1, y1, x2, y2,
+                         width: geometry.width || FOLD_CONFIG.STRING_WIDTH,
+                         resist: FOLD_CONFIG.STRING_RESIST };
+            case BINDING_TYPES.CLAMP:
+                // Clamps press a board between two corners
+                return { type: FOLD_TYPES.BINDING, binding: bindingType,
+                         x1: Math.min(x1, x2), y1: Math.min(y1, y2),
+                         x2: Math.max(x1, x2), y2: Math.max(y1, y2),
+                         resist: FOLD_CONFIG.CLAMP_RESIST };
+            default:
+                return null;
+        }
+    }
+
+    // How strongly a binding resists dye at a folded-space point
+    bindingStrength(binding, x, y) {
+        if (binding.binding === BINDING_TYPES.CLAMP) {
+            const inside = x >= binding.x1 && x <= binding.x2 &&
+                           y >= binding.y1 && y <= binding.y2;
+            return inside ? binding.resist : 0;
+        }
+
+        return distanceToSegment(x, y, binding) <= binding.width / 2 ? binding.resist : 0;
+    }
+
+    applyToMap(fold) {
+        if (fold.type === FOLD_TYPES.BINDING) {
+            this.fabricMap.bind((x, y) => this.bindingStrength(fold, x, y));
+            return;
+        }
+
+        this.fabricMap.apply((x, y) => this.foldPoint(fold, x, y));
+
+        // Folds that come bound (stripes) tie their bands straight away
+        if (fold.bands) {
+            const bands = fold.bands.map(band => 
+                this.createBinding(BINDING_TYPES.BAND, band));
+            this.fabricMap.applyResist((x, y) => 
+                Math.max(...bands.map(band => this.bindingStrength(band, x, y))));
+        }
+    }
+
+    createFold(foldType, rawParams) {
+        // Fold geometry is laid out on the bundle as it is now
+        const bounds = this.getBundleBounds();
+        if (!bounds) return null;
+
+        const params = this.resolveFoldParams(foldType, rawParams);
+        let fold;
+
         switch (foldType) {
             case FOLD_TYPES.ACCORDION:
-                return this.createAccordionFold(params);
+                fold = this.createAccordionFold(params, bounds);
+                break;
             case FOLD_TYPES.SPIRAL:
-                return this.createSpiralFold(params);
+                fold = this.createSpiralFold(params, bounds);
+                break;
             case FOLD_TYPES.CRUMPLE:
-                return this.createCrumpleFold(params);
+                fold = this.createCrumpleFold(params);
+                break;
             case FOLD_TYPES.DIAGONAL:
-                return this.createDiagonalFold(params);
+                fold = this.createDiagonalFold(params, bounds);
+                break;
+            case FOLD_TYPES.BULLSEYE:
+                fold = this.createBullseyeFold(params, bounds);
+                break;
+            case FOLD_TYPES.MANDALA:
+                fold = this.createMandalaFold(params, bounds);
+                break;
+            case FOLD_TYPES.SUNBURST:
+                fold = this.createSunburstFold(params, bounds);
+                break;
+            case FOLD_TYPES.STRIPES:
+                fold = this.createStripesFold(params, bounds);
+                break;
+            case FOLD_TYPES.SHIBORI:
+                fold = this.createShiboriFold(params, bounds);
+                break;
             default:
                 return null;
         }
+
+        // Keep the parameters the fold was made with
+        fold.params = params;
+        return fold;
     }
 
-    createAccordionFold(params) {
-        const { CENTER_X, CENTER_Y, WIDTH, HEIGHT } = SHIRT_CONFIG;
-        const direction = params.direction || 'horizontal';
-        const numFolds = params.numFolds || 3;
-        
+    createAccordionFold(params, bounds) {
+        const { direction, numFolds } = params;
+        const horizontal = direction === 'horizontal';
+        const start = horizontal ? bounds.y : bounds.x;
+        const extent = horizontal ? bounds.height : bounds.width;
+        // A spacing of 0 spreads the folds evenly over the bundle
+        const spacing = params.spacing || extent / (numFolds + 1);
+
         return {
             type: FOLD_TYPES.ACCORDION,
             direction,
             numFolds,
-            lines: this.calculateAccordionLines(direction, numFolds),
-            layerMultiplier: numFolds
+            start,
+            spacing,
+            lines: this.calculateAccordionLines(direction, numFolds, spacing, bounds)
         };
     }
 
-    calculateAccordionLines(direction, numFolds) {
-        const { CENTER_X, CENTER_Y, WIDTH, HEIGHT } = SHIRT_CONFIG;
+    calculateAccordionLines(direction, numFolds, spacing, bounds) {
         const lines = [];
-        
+
         if (direction === 'horizontal') {
-            const spacing = HEIGHT / (numFolds + 1);
-            const startY = CENTER_Y - HEIGHT / 2 + 80;
-            
             for (let i = 1; i <= numFolds; i++) {
                 lines.push({
-                    x1: CENTER_X - WIDTH / 2,
-                    y1: startY + spacing * i,
-                    x2: CENTER_X + WIDTH / 2,
-                    y2: startY + spacing * i
+                    x1: bounds.x,
+                    y1: bounds.y + spacing * i,
+                    x2: bounds.x + bounds.width,
+                    y2: bounds.y + spacing * i
                 });
             }
         } else {
-            const spacing = WIDTH / (numFolds + 1);
-            const startX = CENTER_X - WIDTH / 2;
-            const startY = CENTER_Y - HEIGHT / 2 + 80;
-            
             for (let i = 1; i <= numFolds; i++) {
                 lines.push({
-                    x1: startX + spacing * i,
-                    y1: startY,
-                    x2: startX + spacing * i,
-                    y2: startY + HEIGHT - 80
+                    x1: bounds.x + spacing * i,
+                    y1: bounds.y,
+                    x2: bounds.x + spacing * i,
+                    y2: bounds.y + bounds.height
                 });
             }
         }
-        
+
         return lines;
     }
 
-    createSpiralFold(params) {
-        const { CENTER_X, CENTER_Y } = SHIRT_CONFIG;
-        const centerX = params.centerX || CENTER_X;
-        const centerY = params.centerY || CENTER_Y;
-        const rotations = params.rotations || 2;
-        
+    // Radius from a point that reaches the furthest corner of the bundle
+    getReach(bounds, centerX, centerY) {
+        return Math.max(
+            Math.hypot(bounds.x - centerX, bounds.y - centerY),
+            Math.hypot(bounds.x + bounds.width - centerX, bounds.y - centerY),
+            Math.hypot(bounds.x - centerX, bounds.y + bounds.height - centerY),
+            Math.hypot(bounds.x + bounds.width - centerX, bounds.y + bounds.height - centerY)
+        );
+    }
+
+    createSpiralFold(params, bounds) {
+        const { x: centerX, y: centerY } = params.center;
+        const { rotations } = params;
+        const radius = this.getReach(bounds, centerX, centerY);
+
         return {
             type: FOLD_TYPES.SPIRAL,
             centerX,
             centerY,
             rotations,
-            layerMultiplier: rotations * 2
+            radius,
+            scale: 1 / (rotations + 1)
         };
     }
 
     createCrumpleFold(params) {
-        const points = params.points || this.generateRandomCrumplePoints(5);
-        
         return {
             type: FOLD_TYPES.CRUMPLE,
-            points,
-            layerMultiplier: points.length
+            points: params.points.map(point => ({ ...point }))
         };
     }
 
-    generateRandomCrumplePoints(count) {
-        const { CENTER_X, CENTER_Y, WIDTH, HEIGHT } = SHIRT_CONFIG;
+    // Points scattered over the bundle from a seed. More points from the same
+    // seed add to the ones before rather than moving them.
+    generateRandomCrumplePoints(count, bounds, seed) {
+        const random = new Random(seed);
         const points = [];
-        
+
         for (let i = 0; i < count; i++) {
             points.push({
-                x: CENTER_X - WIDTH / 2 + Math.random() * WIDTH,
-                y: CENTER_Y - HEIGHT / 2 + 80 + Math.random() * (HEIGHT - 80)
+                x: bounds.x + random.next() * bounds.width,
+                y: bounds.y + random.next() * bounds.height
             });
         }
-        
+
         return points;
     }
 
-    createDiagonalFold(params) {
-        const { CENTER_X, CENTER_Y, WIDTH, HEIGHT } = SHIRT_CONFIG;
-        const angle = params.angle || 45;
-        
+    createDiagonalFold(params, bounds) {
         return {
             type: FOLD_TYPES.DIAGONAL,
-            angle,
-            layerMultiplier: 2
+            angle: params.angle,
+            centerX: params.center.x,
+            centerY: params.center.y,
+            length: Math.hypot(bounds.width, bounds.height) * 2
         };
     }
 
-    updateLayers() {
-        this.layers = [];
-        let currentMultiplier = 1;
-        
+    createBullseyeFold(params, bounds) {
+        const { x: centerX, y: centerY } = params.center;
+        const radius = this.getReach(bounds, centerX, centerY);
+
+        return {
+            type: FOLD_TYPES.BULLSEYE,
+            centerX,
+            centerY,
+            radius,
+            rings: params.rings,
+            length: radius * params.length,
+            width: params.width
+        };
+    }
+
+    createMandalaFold(params, bounds) {
+        const { x: centerX, y: centerY } = params.center;
+
+        return {
+            type: FOLD_TYPES.MANDALA,
+            centerX,
+            centerY,
+            wedges: params.wedges,
+            rotation: params.rotation,
+            radius: this.getReach(bounds, centerX, centerY)
+        };
+    }
+
+    createSunburstFold(params, bounds) {
+        return {
+            type: FOLD_TYPES.SUNBURST,
+            points: params.points.map(point => ({ ...point })),
+            twist: params.twist,
+            // Roughly the radius of fabric each pinch gathers up
+            reach: Math.sqrt(bounds.width * bounds.height / params.points.length) / 1.2
+        };
+    }
+
+    createStripesFold(params, bounds) {
+        const { direction, bands, ropeWidth, bandWidth } = params;
+        const horizontal = direction === 'horizontal';
+        // Fabric is pleated across the stripes into a rope, then bound
+        const ropeCenter = horizontal ? bounds.centerX : bounds.centerY;
+        const along = horizontal ? bounds.y : bounds.x;
+        const length = horizontal ? bounds.height : bounds.width;
+        const bandLines = [];
+
+        for (let i = 1; i <= bands; i++) {
+            const pos = along + (length * i) / (bands + 1);
+            bandLines.push(horizontal
+                ? { x1: ropeCenter - ropeWidth / 2, y1: pos, x2: ropeCenter + ropeWidth / 2, y2: pos, width: bandWidth }
+                : { x1: pos, y1: ropeCenter - ropeWidth / 2, x2: pos, y2: ropeCenter + ropeWidth / 2, width: bandWidth });
+        }
+
+        return {
+            type: FOLD_TYPES.STRIPES,
+            direction,
+            start: horizontal ? bounds.x : bounds.y,
+            ropeCenter,
+            ropeWidth,
+            along,
+            length,
+            bands: bandLines
+        };
+    }
+
+    createShiboriFold(params, bounds) {
+        return {
+            type: FOLD_TYPES.SHIBORI,
+            variant: params.variant,
+            size: params.size,
+            angle: params.angle,
+            scrunch: params.scrunch,
+            originX: bounds.x,
+            originY: bounds.y,
+            width: bounds.width,
+            height: bounds.height,
+            centerX: bounds.centerX,
+            centerY: bounds.centerY,
+            reach: Math.hypot(bounds.width, bounds.height) / 2
+        };
+    }
+
+    // Parameters each fold type accepts, with defaults fitted to the bundle
+    getFoldSchema(foldType) {
+        const bounds = this.getBundleBounds() || this.canvas.getGarment().getBounds();
+        return getFoldSchema(foldType, { x: bounds.centerX, y: bounds.centerY });
+    }
+
+    resolveFoldParams(foldType, params = {}) {
+        const resolved = {};
+
+        for (const field of this.getFoldSchema(foldType)) {
+            const value = params[field.key];
+            resolved[field.key] = value !== undefined && value !== null ? value : field.default;
+        }
+
+        // Crumple and sunburst points are scattered from the fold's seed and
+        // follow the requested count. Changing the count keeps the points
+        // there are, moved or not, and adds or drops points at the end.
+        if (foldType === FOLD_TYPES.CRUMPLE || foldType === FOLD_TYPES.SUNBURST) {
+            if (resolved.seed === null) resolved.seed = randomSeed();
+            const existing = resolved.points || [];
+            const bounds = this.getBundleBounds() || this.canvas.getGarment().getBounds();
+            if (existing.length > resolved.count) {
+                resolved.points = existing.slice(0, resolved.count);
+            } else if (existing.length < resolved.count) {
+                resolved.points = [
+                    ...existing,
+                    ...this.generateRandomCrumplePoints(resolved.count, bounds, resolved.seed)
+                        .slice(existing.length)
+                ];
+            }
+        }
+
+        return resolved;
+    }
+
+    // Draggable handles for a fold's point and angle parameters
+    getFoldHandles(foldType, rawParams) {
+        const params = this.resolveFoldParams(foldType, rawParams);
+        const handles = [];
+
+        for (const field of this.getFoldSchema(foldType)) {
+            if (field.type === 'point') {
+                const { x, y } = params[field.key];
+                handles.push({ key: field.key, type: 'point', x, y });
+            } else if (field.type === 'points') {
+                params[field.key].forEach((point, index) => {
+                    handles.push({ key: field.key, type: 'point', index, x: point.x, y: point.y });
+                });
+            } else if (field.type === 'angle') {
+                const rad = (params[field.key] * Math.PI) / 180;
+                const bounds = this.getBundleBounds();
+                const origin = params.center || { x: bounds.centerX, y: bounds.centerY };
+                handles.push({
+                    key: field.key,
+                    type: 'angle',
+                    origin,
+                    x: origin.x + Math.cos(rad) * FOLD_CONFIG.HANDLE_DISTANCE,
+                    y: origin.y + Math.sin(rad) * FOLD_CONFIG.HANDLE_DISTANCE
+                });
+            }
+        }
+
+        return handles;
+    }
+
+    // Show a fold on the bundle without applying it
+    previewFold(foldType, params) {
+        this.visualizeFolds();
+
+        const fold = this.createFold(foldType, params);
+        if (!fold) return;
+
+        const ctx = this.foldLayer.getContext('2d');
+        ctx.save();
+        ctx.strokeStyle = FOLD_CONFIG.PREVIEW_LINE_COLOR;
+        ctx.fillStyle = FOLD_CONFIG.PREVIEW_LINE_COLOR;
+        ctx.lineWidth = FOLD_CONFIG.FOLD_LINE_WIDTH;
+        ctx.setLineDash([8, 4]);
+        this.drawFoldVisualization(ctx, fold);
+        ctx.setLineDash([]);
+
+        for (const handle of this.getFoldHandles(foldType, params)) {
+            if (handle.type === 'angle') {
+                ctx.beginPath();
+                ctx.moveTo(handle.origin.x, handle.origin.y);
+                ctx.lineTo(handle.x, handle.y);
+                ctx.stroke();
+            }
+            ctx.beginPath();
+            ctx.arc(handle.x, handle.y, FOLD_CONFIG.HANDLE_RADIUS, 0, Math.PI * 2);
+            ctx.fillStyle = '#ffffff';
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        ctx.restore();
+        this.canvas.markDirty();
+    }
+
+    clearPreview() {
+        this.visualizeFolds();
+    }
+
+    // Where a folded-space point ends up after the fold, which stacking level
+    // it lands on (higher is on top) and whether the fabric there is turned over
+    foldPoint(fold, x, y) {
+        switch (fold.type) {
+            case FOLD_TYPES.ACCORDION:
+                return this.foldAccordionPoint(fold, x, y);
+            case FOLD_TYPES.SPIRAL:
+                return this.foldSpiralPoint(fold, x, y);
+            case FOLD_TYPES.CRUMPLE:
+                return this.foldCrumplePoint(fold, x, y);
+            case FOLD_TYPES.DIAGONAL:
+                return this.foldDiagonalPoint(fold, x, y);
+            case FOLD_TYPES.BULLSEYE:
+                return this.foldBullseyePoint(fold, x, y);
+            case FOLD_TYPES.MANDALA:
+                return this.foldMandalaPoint(fold, x, y);
+            case FOLD_TYPES.SUNBURST:
+                return this.foldSunburstPoint(fold, x, y);
+            case FOLD_TYPES.STRIPES:
+                return this.foldStripesPoint(fold, x, y);
+            case FOLD_TYPES.SHIBORI:
+                return fold.variant === 'arashi'
+                    ? this.foldArashiPoint(fold, x, y)
+                    : this.foldItajimePoint(fold, x, y);
+            default:
+                return { x, y, level: 0, flipped: false };
+        }
+    }
+
+    foldAccordionPoint(fold, x, y) {
+        const { start, spacing, numFolds } = fold;
+        const horizontal = fold.direction === 'horizontal';
+        const offset = (horizontal ? y : x) - start;
+
+        // Each panel between fold lines is pleated onto the first one
+        const panel = Math.max(0, Math.min(numFolds, Math.floor(offset / spacing)));
+        const local = offset - panel * spacing;
+        const flipped = panel % 2 === 1;
+        const folded = start + (flipped ? spacing - local : local);
+
+        return {
+            x: horizontal ? x : folded,
+            y: horizontal ? folded : y,
+            level: -panel,
+            flipped
+        };
+    }
+
+    foldSpiralPoint(fold, x, y) {
+        const { centerX, centerY, rotations, radius, scale } = fold;
+        const dx = x - centerX;
+        const dy = y - centerY;
+        const r = Math.hypot(dx, dy);
+
+        // Twisting winds each radius round by a growing angle while the
+        // fabric gathers into a disk, pleating like a fan as it goes
+        const angle = Math.atan2(dy, dx) - Math.PI * 2 * rotations * (r / radius);
+        const pleatAngle = Math.PI / (rotations * 3);
+        const pleat = Math.floor(angle / pleatAngle);
+
+        return {
+            x: centerX + Math.cos(angle) * r * scale,
+            y: centerY + Math.sin(angle) * r * scale,
+            level: 0,
+            flipped: Math.abs(pleat % 2) === 1
+        };
+    }
+
+    foldCrumplePoint(fold, x, y) {
+        const { points } = fold;
+
+        // Fabric bunches towards the nearest pinch point
+        const { point: nearest, index, dist: nearestDist } = this.findNearestPoint(points, x, y);
+
+        // Smooth pseudo-random ripple so neighbouring fabric folds together
+        const phase = nearest.x * 0.131 + nearest.y * 0.217;
+        const ripple = Math.sin(x * 0.045 + phase) * Math.sin(y * 0.038 - phase) +
+                       0.5 * Math.sin((x + y) * 0.09 + phase * 2);
+        const angle = Math.atan2(y - nearest.y, x - nearest.x) + ripple * 0.6;
+        const squeezed = nearestDist * 0.35;
+
+        return {
+            x: nearest.x + Math.cos(angle) * squeezed,
+            y: nearest.y + Math.sin(angle) * squeezed,
+            level: -nearestDist,
+            flipped: ripple < 0,
+            panel: index * 2 + (ripple < 0 ? 1 : 0)
+        };
+    }
+
+    findNearestPoint(points, x, y) {
+        let nearest = { point: points[0], index: 0, dist: Infinity };
+
+        points.forEach((point, index) => {
+            const dist = Math.hypot(x - point.x, y - point.y);
+            if (dist < nearest.dist) {
+                nearest = { point, index, dist };
+            }
+        });
+
+        return nearest;
+    }
+
+    foldDiagonalPoint(fold, x, y) {
+        const { centerX, centerY } = fold;
+        const rad = (fold.angle * Math.PI) / 180;
+        const dx = x - centerX;
+        const dy = y - centerY;
+
+        // Only the half on one side of the fold line is turned over
+        const side = -dx * Math.sin(rad) + dy * Math.cos(rad);
+        if (side <= 0) {
+            return { x, y, level: 0, flipped: false };
+        }
+
+        const cos2 = Math.cos(2 * rad);
+        const sin2 = Math.sin(2 * rad);
+
+        return {
+            x: centerX + dx * cos2 + dy * sin2,
+            y: centerY + dx * sin2 - dy * cos2,
+            level: 1,
+            flipped: true
+        };
+    }
+
+    foldBullseyePoint(fold, x, y) {
+        const { centerX, centerY, radius, length, width } = fold;
+        const dx = x - centerX;
+        const dy = y - centerY;
+        const r = Math.hypot(dx, dy);
+
+        // Pulled up by the pinch point the fabric forms a cone, laid down
+        // pointing away from the pinch and pressed flat into two layers
+        const along = (r / radius) * length;
+        const halfWidth = (width / 2) * (0.25 + 0.75 * (r / radius));
+        const turn = (Math.atan2(dy, dx) + Math.PI * 2) % (Math.PI * 2) / Math.PI;
+        const top = turn < 1;
+        const across = top ? turn : 2 - turn;
+
+        return {
+            x: centerX - halfWidth + across * halfWidth * 2,
+            y: centerY + along,
+            level: top ? 1 : 0,
+            flipped: !top
+        };
+    }
+
+    foldMandalaPoint(fold, x, y) {
+        const { centerX, centerY, wedges } = fold;
+        const wedge = (Math.PI * 2) / wedges;
+        const start = (fold.rotation * Math.PI) / 180 - wedge / 2;
+        const dx = x - centerX;
+        const dy = y - centerY;
+        const r = Math.hypot(dx, dy);
+
+        // Wedges are folded onto each other like a paper snowflake
+        const angle = ((Math.atan2(dy, dx) - start) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+        const index = Math.min(wedges - 1, Math.floor(angle / wedge));
+        const local = angle - index * wedge;
+        const flipped = index % 2 === 1;
+        const folded = start + (flipped ? wedge - local : local);
+
+        return {
+            x: centerX + Math.cos(folded) * r,
+            y: centerY + Math.sin(folded) * r,
+            level: -index,
+            flipped
+        };
+    }
+
+    foldSunburstPoint(fold, x, y) {
+        const { points, twist, reach } = fold;
+        const { point, index, dist } = this.findNearestPoint(points, x, y);
+
+        // Each pinch gathers the fabric around it into a small twisted spiral
+        const angle = Math.atan2(y - point.y, x - point.x) -
+            Math.PI * 2 * twist * Math.min(1, dist / reach);
+        const pleat = Math.floor(angle / (Math.PI / 6));
+        const flipped = Math.abs(pleat % 2) === 1;
+
+        return {
+            x: point.x + Math.cos(angle) * dist * 0.4,
+            y: point.y + Math.sin(angle) * dist * 0.4,
+            level: -dist,
+            flipped,
+            panel: index * 1000 + pleat
+        };
+    }
+
+    foldStripesPoint(fold, x, y) {
+        const { start, ropeCenter, ropeWidth } = fold;
+        const horizontal = fold.direction === 'horizontal';
+        const offset = (horizontal ? x : y) - start;
+
+        // Narrow pleats across the stripes gather the fabric into a rope
+        const panel = Math.floor(offset / ropeWidth);
+        const local = offset - panel * ropeWidth;
+        const flipped = Math.abs(panel % 2) === 1;
+        const folded = ropeCenter - ropeWidth / 2 + (flipped ? ropeWidth - local : local);
+
+        return {
+            x: horizontal ? folded : x,
+            y: horizontal ? y : folded,
+            level: -panel,
+            flipped
+        };
+    }
+
+    foldItajimePoint(fold, x, y) {
+        const { size, originX, originY, centerX, centerY } = fold;
+
+        // Accordion-pleated one way, then the other, into a stack of
+        // squares that get clamped between boards
+        const col = Math.floor((x - originX) / size);
+        const row = Math.floor((y - originY) / size);
+        let localX = x - originX - col * size;
+        let localY = y - originY - row * size;
+        if (col % 2 === 1) localX = size - localX;
+        if (row % 2 === 1) localY = size - localY;
+
+        return {
+            x: centerX - size / 2 + localX,
+            y: centerY - size / 2 + localY,
+            level: -(row * 100 + col),
+            flipped: (col + row) % 2 === 1
+        };
+    }
+
+    foldArashiPoint(fold, x, y) {
+        const { size, scrunch, centerX, centerY, reach } = fold;
+        const rad = (fold.angle * Math.PI) / 180;
+        const dx = x - centerX;
+        const dy = y - centerY;
+
+        // Wrapped at an angle around a pole of circumference `size`, then
+        // scrunched along it. Seen from above, the front half of every wrap
+        // lies on the pole and the back half underneath it.
+        const along = dx * Math.cos(rad) + dy * Math.sin(rad);
+        const around = -dx * Math.sin(rad) + dy * Math.cos(rad) + reach;
+        const wrap = Math.floor(around / size);
+        const onWrap = around - wrap * size;
+        const front = onWrap < size / 2;
+        const across = front ? onWrap : size - onWrap;
+        const crinkle = Math.sin(along * 0.35) * 3;
+
+        return {
+            x: centerX + along * scrunch + crinkle,
+            y: centerY - size / 4 + across,
+            level: front ? 1000 + wrap : -(1000 + wrap),
+            flipped: !front,
+            panel: wrap * 2 + (front ? 1 : 0)
+        };
+    }
+
+    // Rebuild the fabric map from the flat garment by replaying every fold
+    rebuildFabricMap() {
+        this.fabricMap.reset();
         for (const fold of this.folds) {
-            currentMultiplier *= fold.layerMultiplier;
+            this.applyToMap(fold);
         }
-        
-        this.layers = Array(Math.min(currentMultiplier, FOLD_CONFIG.MAX_LAYERS))
+    }
+
+    updateLayers() {
+        // The bundle changed, so the resist mask has to be rebuilt
+        this.fieldMasks = null;
+
+        const depth = this.folds.length > 0 ? this.fabricMap.getMaxDepth() : 0;
+
+        this.layers = Array(Math.min(depth, FOLD_CONFIG.MAX_LAYERS))
             .fill(null)
             .map((_, i) => ({
                 index: i,
@@ -163,19 +736,105 @@ export class FoldingEngine extends EventEmitter {
     visualizeFolds() {
         const ctx = this.foldLayer.getContext('2d');
         ctx.clearRect(0, 0, this.foldLayer.width, this.foldLayer.height);
-        
+
+        // The folded bundle replaces the flat shirt while there are folds
+        this.canvas.setLayerVisible('base', this.folds.length === 0);
+        if (this.folds.length > 0) {
+            this.drawBundle(ctx);
+        }
+
         ctx.strokeStyle = FOLD_CONFIG.FOLD_LINE_COLOR;
+        ctx.fillStyle = FOLD_CONFIG.FOLD_LINE_COLOR;
         ctx.lineWidth = FOLD_CONFIG.FOLD_LINE_WIDTH;
         ctx.setLineDash([5, 5]);
-        
-        for (const fold of this.folds) {
-            this.drawFoldVisualization(ctx, fold);
+
+        // Show where the most recent fold was made, and the bindings tied
+        // on since (older ones have been folded out of place)
+        let index = this.folds.length - 1;
+        while (index >= 0 && this.folds[index].type === FOLD_TYPES.BINDING) index--;
+
+        if (index >= 0) {
+            this.drawFoldVisualization(ctx, this.folds[index]);
         }
-        
         ctx.setLineDash([]);
+        this.folds.slice(index + 1).forEach(binding => this.drawBinding(ctx, binding));
+
+        this.canvas.markDirty();
+    }
+
+    drawBinding(ctx, binding) {
+        ctx.save();
+        ctx.strokeStyle = FOLD_CONFIG.BINDING_COLOR;
+        ctx.fillStyle = FOLD_CONFIG.BINDING_COLOR;
+
+        if (binding.binding === BINDING_TYPES.CLAMP) {
+            ctx.globalAlpha = 0.35;
+            ctx.fillRect(binding.x1, binding.y1, binding.x2 - binding.x1, binding.y2 - binding.y1);
+            ctx.globalAlpha = 1;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(binding.x1, binding.y1, binding.x2 - binding.x1, binding.y2 - binding.y1);
+        } else {
+            ctx.lineWidth = binding.width;
+            ctx.lineCap = binding.binding === BINDING_TYPES.BAND ? 'round' : 'butt';
+            ctx.beginPath();
+            ctx.moveTo(binding.x1, binding.y1);
+            ctx.lineTo(binding.x2, binding.y2);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    // Show a binding being placed without tying it
+    previewBinding(bindingType, geometry) {
+        this.visualizeFolds();
+
+        const binding = this.createBinding(bindingType, geometry);
+        if (!binding) return;
+
+        const ctx = this.foldLayer.getContext('2d');
+        ctx.save();
+        ctx.globalAlpha = 0.6;
+        this.drawBinding(ctx, binding);
+        ctx.restore();
         this.canvas.markDirty();
     }
 
+    // Where the bundle lies and how strongly bindings squeeze it, on the
+    // dye solver's grid
+    getFieldMasks() {
+        if (!this.fieldMasks) {
+            this.fieldMasks = this.fabricMap.getFieldMasks(DYE_CONFIG.FIELD_CELL_SIZE);
+        }
+        return this.fieldMasks;
+    }
+
+    // Draw the folded bundle, darker where more layers are stacked
+    drawBundle(ctx) {
+        const map = this.fabricMap;
+        const bundle = document.createElement('canvas');
+        bundle.width = map.cols;
+        bundle.height = map.rows;
+        const bundleCtx = bundle.getContext('2d');
+        const image = bundleCtx.createImageData(map.cols, map.rows);
+        const tint = hexToRgb(this.canvas.getFabric().tint);
+        const base = [tint.r, tint.g, tint.b];
+
+        map.forEachStack((col, row, stack) => {
+            const darken = Math.min(0.6, (stack.length - 1) * FOLD_CONFIG.LAYER_OPACITY_STEP);
+            const offset = (row * map.cols + col) * 4;
+            image.data[offset] = base[0] * (1 - darken);
+            image.data[offset + 1] = base[1] * (1 - darken);
+            image.data[offset + 2] = base[2] * (1 - darken);
+            image.data[offset + 3] = 255;
+        });
+
+        bundleCtx.putImageData(image, 0, 0);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(bundle, 0, 0, map.cols * map.cellSize, map.rows * map.cellSize);
+        ctx.imageSmoothingEnabled = true;
+    }
+
     drawFoldVisualization(ctx, fold) {
         switch (fold.type) {
             case FOLD_TYPES.ACCORDION:
@@ -199,62 +858,322 @@ export class FoldingEngine extends EventEmitter {
             case FOLD_TYPES.DIAGONAL:
                 this.drawDiagonalVisualization(ctx, fold);
                 break;
+            case FOLD_TYPES.BULLSEYE:
+                this.drawBullseyeVisualization(ctx, fold);
+                break;
+            case FOLD_TYPES.MANDALA:
+                this.drawMandalaVisualization(ctx, fold);
+                break;
+            case FOLD_TYPES.SUNBURST:
+                this.drawSunburstVisualization(ctx, fold);
+                break;
+            case FOLD_TYPES.STRIPES:
+                this.drawStripesVisualization(ctx, fold);
+                break;
+            case FOLD_TYPES.SHIBORI:
+                this.drawShiboriVisualization(ctx, fold);
+                break;
+        }
+    }
+
+    drawBullseyeVisualization(ctx, fold) {
+        const { centerX, centerY, radius, rings } = fold;
+
+        // Where each ring will fall once unfolded
+        for (let i = 1; i <= rings; i++) {
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, (radius * i) / (rings + 1), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    drawMandalaVisualization(ctx, fold) {
+        const { centerX, centerY, wedges, radius } = fold;
+        const wedge = (Math.PI * 2) / wedges;
+        const start = (fold.rotation * Math.PI) / 180 - wedge / 2;
+
+        for (let i = 0; i < wedges; i++) {
+            const angle = start + i * wedge;
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.lineTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+            ctx.stroke();
+        }
+    }
+
+    drawSunburstVisualization(ctx, fold) {
+        fold.points.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, fold.reach * 0.4, 0, Math.PI * 2);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    drawStripesVisualization(ctx, fold) {
+        const { ropeCenter, ropeWidth, along, length } = fold;
+        const horizontal = fold.direction === 'horizontal';
+
+        // Outline of the rope and its binding bands
+        if (horizontal) {
+            ctx.strokeRect(ropeCenter - ropeWidth / 2, along, ropeWidth, length);
+        } else {
+            ctx.strokeRect(along, ropeCenter - ropeWidth / 2, length, ropeWidth);
+        }
+
+        ctx.save();
+        ctx.setLineDash([]);
+        fold.bands.forEach(band => {
+            ctx.lineWidth = band.width;
+            ctx.beginPath();
+            ctx.moveTo(band.x1, band.y1);
+            ctx.lineTo(band.x2, band.y2);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    drawShiboriVisualization(ctx, fold) {
+        const { size, centerX, centerY, reach } = fold;
+
+        if (fold.variant === 'arashi') {
+            // Wrap lines around the pole
+            const rad = (fold.angle * Math.PI) / 180;
+            const ux = Math.cos(rad), uy = Math.sin(rad);
+            for (let offset = -reach; offset <= reach; offset += size) {
+                const px = centerX - uy * offset;
+                const py = centerY + ux * offset;
+                ctx.beginPath();
+                ctx.moveTo(px - ux * reach, py - uy * reach);
+                ctx.lineTo(px + ux * reach, py + uy * reach);
+                ctx.stroke();
+            }
+            return;
+        }
+
+        // Pleat grid and the clamped square
+        const { originX, originY, width, height } = fold;
+        for (let x = originX + size; x < originX + width; x += size) {
+            ctx.beginPath();
+            ctx.moveTo(x, originY);
+            ctx.lineTo(x, originY + height);
+            ctx.stroke();
+        }
+        for (let y = originY + size; y < originY + height; y += size) {
+            ctx.beginPath();
+            ctx.moveTo(originX, y);
+            ctx.lineTo(originX + width, y);
+            ctx.stroke();
         }
+        ctx.strokeRect(centerX - size / 2, centerY - size / 2, size, size);
     }
 
     drawSpiralVisualization(ctx, fold) {
         ctx.beginPath();
-        ctx.arc(fold.centerX, fold.centerY, 50, 0, Math.PI * 2);
+        ctx.arc(fold.centerX, fold.centerY, fold.radius * fold.scale, 0, Math.PI * 2);
         ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(fold.centerX, fold.centerY, 3, 0, Math.PI * 2);
+        ctx.fill();
     }
 
     drawDiagonalVisualization(ctx, fold) {
-        const { CENTER_X, CENTER_Y, WIDTH, HEIGHT } = SHIRT_CONFIG;
+        const { centerX, centerY, length } = fold;
         const rad = (fold.angle * Math.PI) / 180;
-        
+        const dx = Math.cos(rad) * length / 2;
+        const dy = Math.sin(rad) * length / 2;
+
         ctx.beginPath();
-        ctx.moveTo(CENTER_X - WIDTH / 2, CENTER_Y);
-        ctx.lineTo(CENTER_X + WIDTH / 2, CENTER_Y);
+        ctx.moveTo(centerX - dx, centerY - dy);
+        ctx.lineTo(centerX + dx, centerY + dy);
         ctx.stroke();
     }
 
-    undo() {
-        if (this.folds.length === 0) return false;
-        
+    // Take the top fold or binding off again; undo and redo go through the
+    // app's History
+    removeLastFold() {
+        if (this.folds.length === 0) return null;
+
         const fold = this.folds.pop();
-        this.undoStack.push(fold);
+        this.rebuildFabricMap();
         this.updateLayers();
         this.visualizeFolds();
-        
-        this.emit(EVENTS.FOLD_UNDONE, { fold });
-        return true;
-    }
 
-    redo() {
-        if (this.undoStack.length === 0) return false;
-        
-        const fold = this.undoStack.pop();
-        this.folds.push(fold);
-        this.updateLayers();
-        this.visualizeFolds();
-        
-        this.emit(EVENTS.FOLD_APPLIED, { fold });
-        return true;
+        this.emit(EVENTS.FOLD_UNDONE, { fold });
+        return fold;
     }
 
     clear() {
         this.folds = [];
-        this.undoStack = [];
         this.layers = [];
+        this.fieldMasks = null;
+        this.fabricMap.reset();
+        this.setFace(FACES.FRONT);
         this.visualizeFolds();
         this.emit(EVENTS.FOLD_CLEARED);
     }
 
+    // Turn the bundle over. The back is seen mirrored left to right, so the
+    // fold and dye layers are drawn mirrored while it is up.
+    flipBundle() {
+        this.setFace(this.face === FACES.FRONT ? FACES.BACK : FACES.FRONT);
+    }
+
+    setFace(face) {
+        if (face === this.face) return;
+
+        this.face = face;
+        const mirrored = face === FACES.BACK;
+        this.canvas.setLayerMirrored('folds', mirrored);
+        this.canvas.setLayerMirrored('dye', mirrored);
+        this.emit(EVENTS.BUNDLE_FLIPPED, { face });
+    }
+
+    getFace() {
+        return this.face;
+    }
+
+    // Canvas point to bundle coordinates, undoing the mirror of the back
+    viewToBundle(x, y) {
+        return this.face === FACES.BACK ? { x: this.canvas.canvas.width - x, y } : { x, y };
+    }
+
     getFolds() {
         return [...this.folds];
     }
 
+    // Folds and bindings are plain data, so projects keep them as they are
+    serialize() {
+        return this.folds.map(fold => JSON.parse(JSON.stringify(fold)));
+    }
+
+    deserialize(folds) {
+        this.clear();
+        folds.forEach(fold => this.addFold(fold));
+    }
+
     getLayers() {
         return [...this.layers];
     }
-}
\ No newline at end of file
+
+    getFabricMap() {
+        return this.fabricMap;
+    }
+
+    getBundleBounds() {
+        return this.fabricMap.getBounds();
+    }
+
+    isPointOnBundle(x, y) {
+        return this.fabricMap.getStackSize(x, y) > 0;
+    }
+
+    // Number of fabric layers stacked under a folded-space point
+    getStackSize(x, y) {
+        return this.fabricMap.getStackSize(x, y);
+    }
+}
+
+// Parameters each fold type accepts. Types: range (min/max/step), select
+// (options), angle (degrees), point ({ x, y } on the canvas), points (a list
+// of canvas points) and seed. Points default to `center`.
+export function getFoldSchema(foldType, center) {
+    switch (foldType) {
+        case FOLD_TYPES.ACCORDION:
+            return [
+                { key: 'direction', label: 'Direction', type: 'select',
+                  options: ['horizontal', 'vertical'], default: 'horizontal' },
+                { key: 'numFolds', label: 'Folds', type: 'range',
+                  min: 1, max: 8, step: 1, default: 3 },
+                { key: 'spacing', label: 'Pleat spacing (0 = fit)', type: 'range',
+                  min: 0, max: 200, step: 5, default: 0 }
+            ];
+        case FOLD_TYPES.SPIRAL:
+            return [
+                { key: 'center', label: 'Centre', type: 'point', default: center },
+                { key: 'rotations', label: 'Rotations', type: 'range',
+                  min: 0.5, max: 5, step: 0.5, default: 2 }
+            ];
+        case FOLD_TYPES.CRUMPLE:
+            return [
+                { key: 'count', label: 'Pinch points', type: 'range',
+                  min: 2, max: 12, step: 1, default: 5 },
+                { key: 'seed', label: 'Seed', type: 'seed', default: null },
+                { key: 'points', label: 'Pinch points', type: 'points', default: null }
+            ];
+        case FOLD_TYPES.DIAGONAL:
+            return [
+                { key: 'center', label: 'Fold line through', type: 'point', default: center },
+                { key: 'angle', label: 'Angle', type: 'angle',
+                  min: 0, max: 180, step: 1, default: 45 }
+            ];
+        case FOLD_TYPES.BULLSEYE:
+            return [
+                { key: 'center', label: 'Pinch point', type: 'point', default: center },
+                { key: 'rings', label: 'Rings', type: 'range',
+                  min: 2, max: 10, step: 1, default: 4 },
+                { key: 'length', label: 'Cone length', type: 'range',
+                  min: 0.3, max: 1, step: 0.05, default: 0.6 },
+                { key: 'width', label: 'Cone width', type: 'range',
+                  min: 20, max: 120, step: 5, default: 60 }
+            ];
+        case FOLD_TYPES.MANDALA:
+            return [
+                { key: 'center', label: 'Centre', type: 'point', default: center },
+                { key: 'wedges', label: 'Wedges', type: 'range',
+                  min: 4, max: 16, step: 2, default: 8 },
+                { key: 'rotation', label: 'Rotation', type: 'angle',
+                  min: 0, max: 180, step: 1, default: 90 }
+            ];
+        case FOLD_TYPES.SUNBURST:
+            return [
+                { key: 'count', label: 'Spirals', type: 'range',
+                  min: 2, max: 8, step: 1, default: 4 },
+                { key: 'seed', label: 'Seed', type: 'seed', default: null },
+                { key: 'points', label: 'Spiral centres', type: 'points', default: null },
+                { key: 'twist', label: 'Twist', type: 'range',
+                  min: 0, max: 3, step: 0.25, default: 1 }
+            ];
+        case FOLD_TYPES.STRIPES:
+            return [
+                { key: 'direction', label: 'Stripes', type: 'select',
+                  options: ['horizontal', 'vertical'], default: 'horizontal' },
+                { key: 'bands', label: 'Bands', type: 'range',
+                  min: 1, max: 10, step: 1, default: 4 },
+                { key: 'bandWidth', label: 'Band width', type: 'range',
+                  min: 2, max: 20, step: 1, default: 8 },
+                { key: 'ropeWidth', label: 'Rope width', type: 'range',
+                  min: 10, max: 80, step: 5, default: 30 }
+            ];
+        case FOLD_TYPES.SHIBORI:
+            return [
+                { key: 'variant', label: 'Technique', type: 'select',
+                  options: ['itajime', 'arashi'], default: 'itajime' },
+                { key: 'size', label: 'Board size / pole circumference', type: 'range',
+                  min: 20, max: 160, step: 5, default: 70 },
+                { key: 'angle', label: 'Wrap angle (arashi)', type: 'angle',
+                  min: 0, max: 180, step: 1, default: 45 },
+                { key: 'scrunch', label: 'Scrunch (arashi)', type: 'range',
+                  min: 0.2, max: 1, step: 0.05, default: 0.4 }
+            ];
+        default:
+            return [];
+    }
+}
+
+function distanceToSegment(x, y, { x1, y1, x2, y2 }) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0
+        : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSq));
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
@@ -0,0 +1,142 @@
+// Gallery.js - Designs kept in the browser's IndexedDB
+//
+// A design is a project (see Project.js) with a name, tags, a thumbnail and
+// the phase it was left in. The session being worked on is autosaved in a
+// store of its own, so it can be brought back after a crash or a closed tab.
+
+const DB_NAME = 'tie-dye-gallery';
+const DB_VERSION = 1;
+const DESIGN_STORE = 'designs';
+const SESSION_STORE = 'session';
+const SESSION_KEY = 'current';
+
+export class Gallery {
+    constructor(indexedDB = getIndexedDB()) {
+        this.indexedDB = indexedDB;
+        this.db = null;
+    }
+
+    isAvailable() {
+        return Boolean(this.indexedDB);
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.indexedDB) throw new Error('IndexedDB is not available');
+
+        const open = this.indexedDB.open(DB_NAME, DB_VERSION);
+        open.onupgradeneeded = () => {
+            const db = open.result;
+            if (!db.objectStoreNames.contains(DESIGN_STORE)) {
+                db.createObjectStore(DESIGN_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                db.createObjectStore(SESSION_STORE);
+            }
+        };
+        this.db = await settle(open);
+        return this.db;
+    }
+
+    async store(name, mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    // Designs, newest first, whose name or tags hold every word of the query
+    async list(query = '') {
+        const designs = await settle((await this.store(DESIGN_STORE)).getAll());
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return designs
+            .filter(design => words.every(word =>
+                design.name.toLowerCase().includes(word) ||
+                design.tags.some(tag => tag.toLowerCase().includes(word))))
+            .sort((a, b) => b.updated - a.updated);
+    }
+
+    async get(id) {
+        return (await settle((await this.store(DESIGN_STORE)).get(id))) || null;
+    }
+
+    async put(design) {
+        await settle((await this.store(DESIGN_STORE, 'readwrite')).put(design));
+        return design;
+    }
+
+    // Save a new design ({ name, tags, project, thumbnail, phase })
+    async add(design) {
+        const now = Date.now();
+        return this.put({
+            ...design,
+            id: `design-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: design.name.trim() || 'Untitled',
+            tags: normalizeTags(design.tags),
+            created: now,
+            updated: now
+        });
+    }
+
+    async update(id, changes) {
+        const design = await this.get(id);
+        if (!design) throw new Error('The design is no longer in the gallery');
+
+        return this.put({
+            ...design,
+            ...changes,
+            id,
+            name: (changes.name ?? design.name).trim() || design.name,
+            tags: normalizeTags(changes.tags ?? design.tags),
+            updated: Date.now()
+        });
+    }
+
+    async rename(id, name) {
+        return this.update(id, { name });
+    }
+
+    async duplicate(id) {
+        const design = await this.get(id);
+        if (!design) throw new Error('The design is no longer in the gallery');
+
+        const { id: _id, created, updated, ...copy } = design;
+        return this.add({ ...copy, name: `${design.name} (copy)` });
+    }
+
+    async remove(id) {
+        await settle((await this.store(DESIGN_STORE, 'readwrite')).delete(id));
+    }
+
+    // The session being worked on ({ project, phase, designId })
+    async saveSession(session) {
+        await settle((await this.store(SESSION_STORE, 'readwrite'))
+            .put({ ...session, saved: Date.now() }, SESSION_KEY));
+    }
+
+    async loadSession() {
+        return (await settle((await this.store(SESSION_STORE)).get(SESSION_KEY))) || null;
+    }
+}
+
+// Tags as given (a list, or text separated by commas), trimmed and unique
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => tag.trim()).filter(Boolean))];
+}
+
+// Promise for an IndexedDB request
+function settle(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// IndexedDB where the page is allowed to use it
+function getIndexedDB() {
+    try {
+        return typeof indexedDB !== 'undefined' ? indexedDB : null;
+    } catch (error) {
+        return null;
+    }
+}
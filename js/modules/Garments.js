@@ -0,0 +1,295 @@
+// Garments.js - Garment templates as outline polygons
+//
+// Every template is laid flat and centred on the origin, in pixels at the
+// reference size (REFERENCE_WIDTH x REFERENCE_HEIGHT is a T-shirt body).
+// Garments have a front and a back panel; flat goods like bandanas are a
+// single ply and only have a front. Outlines run clockwise.
+//
+// Sewn garments also say how they are cut, for their right half: the corners
+// of the sleeve (shoulder, top and bottom of the cuff, underarm), all of them
+// points on the outline, and the edges where the front and back are sewn
+// together. The rest of the outline is hems, cuffs and necklines.
+
+import { GARMENT_TYPES, FACES, SHIRT_CONFIG, addConfigCheck } from '../config/constants.js';
+
+const REFERENCE_WIDTH = 320;
+const REFERENCE_HEIGHT = 500;
+
+// Points along an elliptical arc, from and to in radians (y points down)
+function arc(cx, cy, rx, ry, from, to, steps = 10) {
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const angle = from + (to - from) * (i / steps);
+        points.push({ x: cx + Math.cos(angle) * rx, y: cy + Math.sin(angle) * ry });
+    }
+    return points;
+}
+
+// Points along a quadratic curve, leaving out the start point
+function curve(from, control, to, steps = 8) {
+    const points = [];
+    for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const u = 1 - t;
+        points.push({
+            x: u * u * from.x + 2 * u * t * control.x + t * t * to.x,
+            y: u * u * from.y + 2 * u * t * control.y + t * t * to.y
+        });
+    }
+    return points;
+}
+
+// Whole outline from its right half, drawn from the top centre clockwise
+// down to the bottom centre
+function symmetric(rightHalf) {
+    const left = rightHalf
+        .filter(point => Math.abs(point.x) > 1e-9)
+        .map(point => ({ x: -point.x, y: point.y }))
+        .reverse();
+    return [...rightHalf, ...left];
+}
+
+function rectangle(width, height) {
+    return [
+        { x: -width / 2, y: -height / 2 },
+        { x: width / 2, y: -height / 2 },
+        { x: width / 2, y: height / 2 },
+        { x: -width / 2, y: height / 2 }
+    ];
+}
+
+// Short-sleeved top with a round neck; the back neckline sits higher
+function teeHalf(neckDepth) {
+    return [
+        ...arc(0, -210, 45, neckDepth, Math.PI / 2, 0),
+        { x: 130, y: -195 },
+        { x: 240, y: -120 },
+        { x: 205, y: -65 },
+        { x: 160, y: -95 },
+        { x: 160, y: 250 },
+        { x: 0, y: 250 }
+    ];
+}
+
+function longSleeveHalf(neckDepth) {
+    return [
+        ...arc(0, -210, 45, neckDepth, Math.PI / 2, 0),
+        { x: 130, y: -195 },
+        { x: 300, y: 55 },
+        { x: 262, y: 78 },
+        { x: 160, y: -95 },
+        { x: 160, y: 250 },
+        { x: 0, y: 250 }
+    ];
+}
+
+function tankHalf(neckDepth) {
+    const strap = { x: 95, y: -215 };
+    return [
+        ...arc(0, -215, 55, neckDepth, Math.PI / 2, 0),
+        strap,
+        ...curve(strap, { x: 100, y: -85 }, { x: 160, y: -75 }),
+        { x: 165, y: 250 },
+        { x: 0, y: 250 }
+    ];
+}
+
+// Shoulder and side seams of the tees
+const TEE_SEAMS = [
+    [{ x: 45, y: -210 }, { x: 130, y: -195 }],
+    [{ x: 160, y: -95 }, { x: 160, y: 250 }]
+];
+
+// Body and sleeves of a hoodie below the neck or hood
+const HOODIE_BODY = [
+    { x: 140, y: -190 },
+    { x: 310, y: 60 },
+    { x: 268, y: 85 },
+    { x: 170, y: -85 },
+    { x: 170, y: 235 },
+    { x: 160, y: 250 },
+    { x: 0, y: 250 }
+];
+
+function onesieHalf(neckDepth) {
+    const hip = { x: 105, y: 40 };
+    return [
+        ...arc(0, -175, 35, neckDepth, Math.PI / 2, 0),
+        { x: 90, y: -165 },
+        { x: 150, y: -115 },
+        { x: 128, y: -80 },
+        { x: 100, y: -100 },
+        hip,
+        ...curve(hip, { x: 100, y: 140 }, { x: 30, y: 175 }),
+        { x: 0, y: 175 }
+    ];
+}
+
+export const GARMENT_TEMPLATES = {
+    [GARMENT_TYPES.TSHIRT]: {
+        label: 'T-Shirt',
+        panels: { front: symmetric(teeHalf(40)), back: symmetric(teeHalf(12)) },
+        sleeve: [{ x: 130, y: -195 }, { x: 240, y: -120 }, { x: 205, y: -65 }, { x: 160, y: -95 }],
+        seams: TEE_SEAMS
+    },
+    [GARMENT_TYPES.TANK]: {
+        label: 'Tank Top',
+        panels: { front: symmetric(tankHalf(75)), back: symmetric(tankHalf(30)) },
+        seams: [
+            [{ x: 55, y: -215 }, { x: 95, y: -215 }],
+            [{ x: 160, y: -75 }, { x: 165, y: 250 }]
+        ]
+    },
+    [GARMENT_TYPES.LONG_SLEEVE]: {
+        label: 'Long Sleeve',
+        panels: { front: symmetric(longSleeveHalf(40)), back: symmetric(longSleeveHalf(12)) },
+        sleeve: [{ x: 130, y: -195 }, { x: 300, y: 55 }, { x: 262, y: 78 }, { x: 160, y: -95 }],
+        seams: TEE_SEAMS
+    },
+    [GARMENT_TYPES.HOODIE]: {
+        label: 'Hoodie',
+        panels: {
+            front: symmetric([
+                ...arc(0, -205, 50, 30, Math.PI / 2, 0),
+                ...HOODIE_BODY
+            ]),
+            // The hood lies flat behind the shoulders
+            back: symmetric([
+                { x: 0, y: -320 },
+                ...curve({ x: 0, y: -320 }, { x: 85, y: -318 }, { x: 95, y: -240 }),
+                ...curve({ x: 95, y: -240 }, { x: 100, y: -205 }, { x: 140, y: -190 }),
+                ...HOODIE_BODY.slice(1)
+            ])
+        },
+        // The hood is cut with the back, so only the sides are seams
+        sleeve: [{ x: 140, y: -190 }, { x: 310, y: 60 }, { x: 268, y: 85 }, { x: 170, y: -85 }],
+        seams: [[{ x: 170, y: -85 }, { x: 170, y: 235 }]]
+    },
+    [GARMENT_TYPES.ONESIE]: {
+        label: 'Baby Onesie',
+        panels: { front: symmetric(onesieHalf(25)), back: symmetric(onesieHalf(8)) },
+        sleeve: [{ x: 90, y: -165 }, { x: 150, y: -115 }, { x: 128, y: -80 }, { x: 100, y: -100 }],
+        seams: [
+            [{ x: 35, y: -175 }, { x: 90, y: -165 }],
+            [{ x: 100, y: -100 }, { x: 105, y: 40 }]
+        ]
+    },
+    [GARMENT_TYPES.BANDANA]: {
+        label: 'Bandana',
+        singlePly: true,
+        panels: { front: rectangle(360, 360) }
+    },
+    [GARMENT_TYPES.TAPESTRY]: {
+        label: 'Tapestry',
+        singlePly: true,
+        panels: { front: rectangle(520, 360) }
+    }
+};
+
+export function pointInPolygon(points, x, y) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y) &&
+            x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// A template placed on the canvas
+export class Garment {
+    constructor(type, centerX, centerY, scaleX = 1, scaleY = 1) {
+        const template = GARMENT_TEMPLATES[type];
+        this.type = type;
+        this.label = template.label;
+        this.singlePly = Boolean(template.singlePly);
+        this.panels = {};
+
+        const place = point => ({ x: centerX + point.x * scaleX, y: centerY + point.y * scaleY });
+        const mirror = point => ({ x: -point.x, y: point.y });
+
+        for (const [name, outline] of Object.entries(template.panels)) {
+            this.panels[name] = outline.map(place);
+        }
+
+        // Sleeves are named as worn, so the left one is on the right of the
+        // front. Seams are listed for both halves.
+        this.sleeves = template.sleeve
+            ? { left: template.sleeve.map(place), right: template.sleeve.map(mirror).map(place) }
+            : {};
+        this.seams = (template.seams || []).flatMap(seam => [seam.map(place), seam.map(mirror).map(place)]);
+
+        this.bounds = this.measureBounds();
+    }
+
+    measureBounds() {
+        const points = Object.values(this.panels).flat();
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        const width = Math.max(...xs) - x;
+        const height = Math.max(...ys) - y;
+
+        return { x, y, width, height, centerX: x + width / 2, centerY: y + height / 2 };
+    }
+
+    getBounds() {
+        return { ...this.bounds };
+    }
+
+    getPanelNames() {
+        return Object.keys(this.panels);
+    }
+
+    // Panel whose outside is seen from the given side. A single ply shows
+    // its one panel from both sides.
+    surfacePanel(side) {
+        return side === FACES.BACK && !this.singlePly ? 'back' : 'front';
+    }
+
+    // On any panel of the flat-laid garment
+    contains(x, y) {
+        return Object.values(this.panels).some(points => pointInPolygon(points, x, y));
+    }
+
+    panelContains(panel, x, y) {
+        return Boolean(this.panels[panel]) && pointInPolygon(this.panels[panel], x, y);
+    }
+
+    // A panel's outline without its sleeves, cut off along the armholes
+    bodyOutline(panel) {
+        const cuffs = Object.values(this.sleeves).flatMap(([, top, bottom]) => [top, bottom]);
+        return this.panels[panel].filter(point =>
+            !cuffs.some(cuff => Math.hypot(cuff.x - point.x, cuff.y - point.y) < 1e-6));
+    }
+
+    tracePanel(ctx, panel) {
+        const points = this.panels[panel];
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.closePath();
+    }
+}
+
+// The given template at the configured garment position and size
+export function createGarment(type, shirt = SHIRT_CONFIG) {
+    return new Garment(type, shirt.CENTER_X, shirt.CENTER_Y,
+                       shirt.WIDTH / REFERENCE_WIDTH,
+                       shirt.HEIGHT / REFERENCE_HEIGHT);
+}
+
+// Any template can be picked, so all of them have to fit on the canvas
+addConfigCheck(({ CANVAS_CONFIG: canvas, SHIRT_CONFIG: shirt }) => Object.keys(GARMENT_TEMPLATES)
+    .map(type => createGarment(type, shirt))
+    .filter(garment => {
+        const { x, y, width, height } = garment.getBounds();
+        return x < 0 || y < 0 || x + width > canvas.WIDTH || y + height > canvas.HEIGHT;
+    })
+    .map(garment => `SHIRT_CONFIG puts the ${garment.label} outside CANVAS_CONFIG`));
@@ -0,0 +1,242 @@
+// History.js - One undo history for every phase
+//
+// Each step the user takes is a command that knows how to undo and redo
+// itself. The history is a list of commands with a position: everything
+// before it is applied, everything after it has been undone and can be
+// redone until a new step replaces it. Moving the position steps through the
+// commands in between, which is what the timeline scrubs.
+
+import { EventEmitter } from './utils.js';
+import { HISTORY_CONFIG, PHASES, EVENTS } from '../config/constants.js';
+
+export class History extends EventEmitter {
+    constructor() {
+        super();
+        this.entries = [];
+        this.position = 0;
+        this.applying = false;      // Set while a command runs, so it isn't recorded again
+    }
+
+    // Record a step that has just been taken
+    push(command) {
+        if (this.applying) {
+            command.dispose();
+            return;
+        }
+
+        // Redo is only possible until something new happens
+        this.entries.splice(this.position).forEach(entry => entry.dispose());
+
+        const last = this.entries[this.entries.length - 1];
+        if (last && last.merge(command)) {
+            this.emit(EVENTS.HISTORY_CHANGED, { command: last });
+            return;
+        }
+
+        this.entries.push(command);
+        this.position = this.entries.length;
+        this.trim();
+        this.emit(EVENTS.HISTORY_CHANGED, { command });
+    }
+
+    undo() {
+        if (!this.canUndo()) return false;
+
+        const command = this.entries[--this.position];
+        this.run(() => command.undo());
+        this.trim();
+        this.emit(EVENTS.HISTORY_CHANGED, { command, undone: true });
+        return true;
+    }
+
+    // Let go of the oldest steps while there are too many or they hold too
+    // much. The last step taken can always be undone.
+    trim() {
+        let bytes = this.entries.reduce((total, entry) => total + entry.getBytes(), 0);
+
+        while (this.position > 1 && (this.entries.length > HISTORY_CONFIG.MAX_ENTRIES ||
+                                     bytes > HISTORY_CONFIG.MAX_BYTES)) {
+            const entry = this.entries.shift();
+            bytes -= entry.getBytes();
+            entry.dispose();
+            this.position--;
+        }
+    }
+
+    redo() {
+        if (!this.canRedo()) return false;
+
+        const command = this.entries[this.position++];
+        this.run(() => command.redo());
+        this.emit(EVENTS.HISTORY_CHANGED, { command });
+        return true;
+    }
+
+    // Undo or redo until `position` steps are applied
+    seek(position) {
+        const target = Math.max(0, Math.min(position, this.entries.length));
+        while (this.position > target) this.undo();
+        while (this.position < target) this.redo();
+    }
+
+    run(callback) {
+        this.applying = true;
+        try {
+            callback();
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    canUndo() {
+        return this.position > 0;
+    }
+
+    canRedo() {
+        return this.position < this.entries.length;
+    }
+
+    getPosition() {
+        return this.position;
+    }
+
+    getLength() {
+        return this.entries.length;
+    }
+
+    // Label of the step at a position (1 is the first step), or null
+    getLabel(position = this.position) {
+        const entry = this.entries[position - 1];
+        return entry ? entry.label : null;
+    }
+
+    clear() {
+        this.entries.forEach(entry => entry.dispose());
+        this.entries = [];
+        this.position = 0;
+        this.emit(EVENTS.HISTORY_CHANGED, { command: null });
+    }
+}
+
+// Base command. `phase` is where the step was taken, so undoing it can go
+// back there; steps that belong to no phase leave it as null.
+export class Command {
+    constructor(label, phase = null) {
+        this.label = label;
+        this.phase = phase;
+    }
+
+    undo() {}
+
+    redo() {}
+
+    // Fold a following command into this one; true if it was
+    merge() {
+        return false;
+    }
+
+    // Memory held for undo
+    getBytes() {
+        return 0;
+    }
+
+    // Let go of anything held for undo once the command is dropped
+    dispose() {}
+}
+
+// A fold or binding added to the bundle
+export class FoldCommand extends Command {
+    constructor(foldingEngine, fold) {
+        super(fold.binding ? `Binding: ${fold.binding}` : `Fold: ${fold.type}`, PHASES.FOLD);
+        this.foldingEngine = foldingEngine;
+        this.fold = fold;
+    }
+
+    undo() {
+        this.foldingEngine.removeLastFold();
+    }
+
+    redo() {
+        this.foldingEngine.addFold(this.fold);
+    }
+}
+
+export class ClearFoldsCommand extends Command {
+    constructor(foldingEngine, folds) {
+        super('Clear folds', PHASES.FOLD);
+        this.foldingEngine = foldingEngine;
+        this.folds = folds;
+    }
+
+    undo() {
+        this.folds.forEach(fold => this.foldingEngine.addFold(fold));
+    }
+
+    redo() {
+        this.foldingEngine.clear();
+    }
+}
+
+// Any change to the dye on the bundle: a stroke, a rinse, clearing it. The
+// dye field is checkpointed before the change; undoing checkpoints the state
+// it leaves, which redo goes back to.
+export class DyeCommand extends Command {
+    constructor(dyePhysics, label, before, phase = PHASES.DYE) {
+        super(label, phase);
+        this.dyePhysics = dyePhysics;
+        this.before = before;
+        this.after = null;
+    }
+
+    undo() {
+        if (this.after !== null) this.dyePhysics.dropCheckpoint(this.after);
+        this.after = this.dyePhysics.checkpoint();
+        this.dyePhysics.restoreCheckpoint(this.before);
+    }
+
+    redo() {
+        this.dyePhysics.restoreCheckpoint(this.after);
+    }
+
+    getBytes() {
+        return this.dyePhysics.getCheckpointBytes(this.before) +
+               (this.after !== null ? this.dyePhysics.getCheckpointBytes(this.after) : 0);
+    }
+
+    dispose() {
+        this.dyePhysics.dropCheckpoint(this.before);
+        if (this.after !== null) this.dyePhysics.dropCheckpoint(this.after);
+    }
+}
+
+// A setting going from one value to another. Quick changes to the same
+// setting, like dragging a slider, make a single step.
+export class SettingCommand extends Command {
+    constructor(key, label, from, to, apply) {
+        super(label);
+        this.key = key;
+        this.from = from;
+        this.to = to;
+        this.apply = apply;
+        this.time = Date.now();
+    }
+
+    undo() {
+        this.apply(this.from);
+    }
+
+    redo() {
+        this.apply(this.to);
+    }
+
+    merge(command) {
+        if (!(command instanceof SettingCommand) || command.key !== this.key ||
+            command.time - this.time > HISTORY_CONFIG.MERGE_WINDOW) {
+            return false;
+        }
+
+        this.to = command.to;
+        this.time = command.time;
+        return true;
+    }
+}
@@ -0,0 +1,137 @@
+// PaletteAssistant.js - Harmonious dye palettes and muddy overlap warnings
+//
+// Harmonies are laid out on the CIELAB hue circle and filled with the
+// nearest dyes from the library. Neighbouring dyes in a palette meet on the
+// fabric, so each adjacent pair is mixed as dye (Kubelka–Munk) to preview the
+// overlap. A mix that comes out grey or brown when neither dye is counts as
+// mud.
+
+import { lchFromRgb } from './Spectral.js';
+import { PALETTE_CONFIG, PALETTE_SCHEMES } from '../config/constants.js';
+
+// Hue offsets from the base dye, in the order dyes join the palette
+const SCHEME_OFFSETS = {
+    [PALETTE_SCHEMES.ANALOGOUS]: [0, 30, -30, 60, -60],
+    [PALETTE_SCHEMES.TRIADIC]: [0, 120, 240, 30, 150],
+    [PALETTE_SCHEMES.SPLIT_COMPLEMENTARY]: [0, 150, 210, 30, -30]
+};
+
+export const SCHEME_LABELS = {
+    [PALETTE_SCHEMES.ANALOGOUS]: 'Analogous',
+    [PALETTE_SCHEMES.TRIADIC]: 'Triadic',
+    [PALETTE_SCHEMES.SPLIT_COMPLEMENTARY]: 'Split-Complementary'
+};
+
+function hueDistance(a, b) {
+    const d = Math.abs(a - b) % 360;
+    return Math.min(d, 360 - d);
+}
+
+function* permutations(items) {
+    if (items.length <= 1) {
+        yield items;
+        return;
+    }
+    for (let i = 0; i < items.length; i++) {
+        const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+        for (const order of permutations(rest)) {
+            yield [items[i], ...order];
+        }
+    }
+}
+
+export class PaletteAssistant {
+    constructor(colorManager) {
+        this.colorManager = colorManager;
+    }
+
+    // Grey, or a dark and dull orange to yellow
+    isMuddy(color) {
+        const { lightness, chroma, hue } = lchFromRgb(color);
+        if (chroma < PALETTE_CONFIG.MUD_CHROMA) return true;
+        return hue >= PALETTE_CONFIG.BROWN_HUE_MIN && hue <= PALETTE_CONFIG.BROWN_HUE_MAX &&
+            lightness < PALETTE_CONFIG.BROWN_LIGHTNESS && chroma < PALETTE_CONFIG.BROWN_CHROMA;
+    }
+
+    // Library dyes and recipes clean enough to build a harmony from
+    getCandidates() {
+        const candidates = [];
+        for (const dyes of this.colorManager.getLibrary().getFamilies().values()) {
+            for (const dye of dyes) {
+                const color = this.colorManager.getDyeColor(dye.id);
+                if (!this.isMuddy(color)) {
+                    candidates.push({ id: dye.id, hue: lchFromRgb(color).hue });
+                }
+            }
+        }
+        return candidates;
+    }
+
+    // Dye ids for a scheme around the base colour, nearest dye per hue
+    suggest(scheme, baseColor, size = PALETTE_CONFIG.DEFAULT_SIZE) {
+        const baseHue = lchFromRgb(baseColor).hue;
+        const candidates = this.getCandidates();
+        const dyes = [];
+
+        for (const offset of SCHEME_OFFSETS[scheme].slice(0, size)) {
+            const target = (baseHue + offset + 360) % 360;
+            let best = null;
+            for (const candidate of candidates) {
+                if (dyes.includes(candidate.id)) continue;
+                if (!best || hueDistance(candidate.hue, target) < hueDistance(best.hue, target)) {
+                    best = candidate;
+                }
+            }
+            if (best) dyes.push(best.id);
+        }
+
+        return { scheme, ...this.arrange(dyes) };
+    }
+
+    // Order the dyes (base dye kept first) so the fewest neighbours make mud
+    arrange(dyes) {
+        if (dyes.length < 3) return { dyes, ...this.analyze(dyes) };
+
+        let best = null;
+
+        for (const order of permutations(dyes.slice(1))) {
+            const candidate = [dyes[0], ...order];
+            const analysis = this.analyze(candidate);
+            const mud = analysis.pairs.filter(pair => pair.muddy).length;
+            if (!best || mud < best.mud) {
+                best = { mud, dyes: candidate, ...analysis };
+            }
+            if (mud === 0) break;
+        }
+
+        const { mud, ...arranged } = best;
+        return arranged;
+    }
+
+    // One suggestion per scheme
+    suggestAll(baseColor, size) {
+        return Object.values(PALETTE_SCHEMES).map(scheme => this.suggest(scheme, baseColor, size));
+    }
+
+    // Overlap of every adjacent pair of dyes; in a palette of three or more
+    // the last dye also meets the first, as round a spiral
+    analyze(dyes) {
+        const pairs = [];
+        const count = dyes.length > 2 ? dyes.length : dyes.length - 1;
+
+        for (let i = 0; i < count; i++) {
+            const a = dyes[i];
+            const b = dyes[(i + 1) % dyes.length];
+            const colorA = this.colorManager.getDyeColor(a);
+            const colorB = this.colorManager.getDyeColor(b);
+            const mix = this.colorManager.mixColors(colorA, colorB);
+            pairs.push({
+                dyes: [a, b],
+                mix,
+                muddy: this.isMuddy(mix) && !this.isMuddy(colorA) && !this.isMuddy(colorB)
+            });
+        }
+
+        return { pairs, muddy: pairs.some(pair => pair.muddy) };
+    }
+}
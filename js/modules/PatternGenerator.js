@@ -1,7 +1,7 @@
 // PatternGenerator.js - Calculates final unfolded pattern
 
 import { EventEmitter } from './utils.js';
-import { EVENTS, SHIRT_CONFIG, FOLD_TYPES } from '../config/constants.js';
+import { EVENTS, FOLD_CONFIG, FOLD_TYPES, DYE_CONFIG, FACES } from '../config/constants.js';
 
 export class PatternGenerator extends EventEmitter {
     constructor(canvas, foldingEngine, dyePhysics) {
@@ -9,207 +9,264 @@ export class PatternGenerator extends EventEmitter {
         this.canvas = canvas;
         this.foldingEngine = foldingEngine;
         this.dyePhysics = dyePhysics;
-        this.finalLayer = canvas.getLayer('final');
+        this.pattern = null;        // Cells of the last unfold, to render again at any size
     }
 
     async generatePattern() {
         this.emit(EVENTS.UNFOLD_START);
-        
-        const folds = this.foldingEngine.getFolds();
-        const dyePoints = this.dyePhysics.getDyePoints();
-        
-        if (folds.length === 0) {
-            // No folds, just copy dye layer
-            this.copyDyeToFinal();
-            this.emit(EVENTS.UNFOLD_COMPLETE);
-            return;
-        }
-        
-        // Generate unfolded pattern based on fold types
-        await this.unfoldPattern(folds, dyePoints);
-        
+
+        // Unfold the dye as it is now
+        this.dyePhysics.stopSimulation();
+
+        // A flat shirt is a fabric map with no folds, so it unfolds the same way
+        await this.unfoldPattern(this.foldingEngine.getFolds(), this.foldingEngine.getFabricMap());
+
         this.emit(EVENTS.UNFOLD_COMPLETE);
     }
 
-    async unfoldPattern(folds, dyePoints) {
-        const ctx = this.finalLayer.getContext('2d');
-        ctx.clearRect(0, 0, this.finalLayer.width, this.finalLayer.height);
-        
+    async unfoldPattern(folds, fabricMap) {
+        const cells = this.scatterDye(fabricMap);
+
         // Process each fold in reverse order (unfold from inside out)
         for (let i = folds.length - 1; i >= 0; i--) {
-            const fold = folds[i];
-            await this.applyUnfoldTransform(fold, dyePoints);
+            this.applyUnfoldTransform(folds[i], fabricMap.getCreaseMask(i), cells);
+        }
+        this.pattern = { fabricMap, cells };
+
+        // Both sides of the garment come out of the one bundle
+        for (const side of Object.values(FACES)) {
+            const surface = this.canvas.getSurface(side);
+            const ctx = surface.final.getContext('2d');
+            ctx.clearRect(0, 0, surface.final.width, surface.final.height);
+
+            this.renderCells(ctx, fabricMap, cells, side);
+            this.renderFaceMap(surface.faces, fabricMap, cells, side);
         }
-        
+
         this.canvas.markDirty();
     }
 
-    async applyUnfoldTransform(fold, dyePoints) {
+    // Soak the dye on each face of the bundle into the garment cells stacked
+    // beneath it. Each layer passes on LAYER_ATTENUATION of what reaches it,
+    // so the layers nearest a dyed face get the most. Returns the colour and
+    // coverage of every garment cell, plus how much dye came from each face.
+    scatterDye(fabricMap) {
+        const { cellSize, count, depth } = fabricMap;
+        const cells = {
+            r: new Float32Array(count),
+            g: new Float32Array(count),
+            b: new Float32Array(count),
+            a: new Float32Array(count),
+            front: new Float32Array(count),
+            back: new Float32Array(count)
+        };
+        const scale = DYE_CONFIG.FIELD_CELL_SIZE / cellSize;
+
+        fabricMap.forEachStack((col, row, stack) => {
+            const fieldCol = Math.floor(col / scale);
+            const fieldRow = Math.floor(row / scale);
+            const front = this.dyePhysics.getDyesAt(FACES.FRONT, fieldCol, fieldRow);
+            const back = this.dyePhysics.getDyesAt(FACES.BACK, fieldCol, fieldRow);
+            if (front.length === 0) return;
+
+            const frontTotal = front.reduce((sum, dye) => sum + dye.amount, 0);
+            const backTotal = back.reduce((sum, dye) => sum + dye.amount, 0);
+            if (frontTotal + backTotal === 0) return;
+
+            for (const cell of stack) {
+                const fromFront = Math.pow(FOLD_CONFIG.LAYER_ATTENUATION, depth[cell]);
+                const fromBack = Math.pow(FOLD_CONFIG.LAYER_ATTENUATION, stack.length - 1 - depth[cell]);
+                const color = this.dyePhysics.dyeColor(front.map((dye, k) => ({
+                    color: dye.color,
+                    amount: dye.amount * fromFront + back[k].amount * fromBack
+                })));
+                if (!color) continue;
+
+                cells.r[cell] = color.r;
+                cells.g[cell] = color.g;
+                cells.b[cell] = color.b;
+                cells.a[cell] = color.a;
+                cells.front[cell] = frontTotal * fromFront;
+                cells.back[cell] = backTotal * fromBack;
+            }
+        });
+
+        return cells;
+    }
+
+    // Creases press the layers together and keep some dye out. How much
+    // depends on how the fabric was folded.
+    applyUnfoldTransform(fold, creases, cells) {
         switch (fold.type) {
             case FOLD_TYPES.ACCORDION:
-                this.unfoldAccordion(fold, dyePoints);
+            case FOLD_TYPES.MANDALA:
+            case FOLD_TYPES.STRIPES:
+                this.applyCreaseResist(cells, creases, 0.15);
+                break;
+            case FOLD_TYPES.DIAGONAL:
+                this.applyCreaseResist(cells, creases, 0.1);
                 break;
             case FOLD_TYPES.SPIRAL:
-                this.unfoldSpiral(fold, dyePoints);
+            case FOLD_TYPES.BULLSEYE:
+                this.applyCreaseResist(cells, creases, 0.2);
+                break;
+            case FOLD_TYPES.SUNBURST:
+                this.applyCreaseResist(cells, creases, 0.25);
                 break;
             case FOLD_TYPES.CRUMPLE:
-                this.unfoldCrumple(fold, dyePoints);
+                // The white veins of a crumple come from tight creases
+                this.applyCreaseResist(cells, creases, 0.35);
                 break;
-            case FOLD_TYPES.DIAGONAL:
-                this.unfoldDiagonal(fold, dyePoints);
+            case FOLD_TYPES.SHIBORI:
+                // Arashi's fine diagonal lines are the scrunched pole creases
+                this.applyCreaseResist(cells, creases, fold.variant === 'arashi' ? 0.5 : 0.3);
                 break;
         }
-        
-        // Small delay for visual effect
-        await new Promise(resolve => setTimeout(resolve, 100));
     }
 
-    unfoldAccordion(fold, dyePoints) {
-        const ctx = this.finalLayer.getContext('2d');
-        const { direction, lines } = fold;
-        
-        // For accordion folds, mirror dye across fold lines
-        dyePoints.forEach(point => {
-            this.renderPointWithSymmetry(ctx, point, lines, direction);
-        });
+    applyCreaseResist(cells, creases, strength) {
+        for (let i = 0; i < creases.length; i++) {
+            if (creases[i]) {
+                cells.a[i] *= 1 - strength;
+            }
+        }
     }
 
-    renderPointWithSymmetry(ctx, point, lines, direction) {
-        const { x, y, color, intensity, radius } = point;
-        
-        // Render original point
-        this.renderFinalPoint(ctx, x, y, color, intensity, radius);
-        
-        // Mirror across each fold line
-        lines.forEach(line => {
-            const mirrored = this.mirrorPoint(x, y, line, direction);
-            this.renderFinalPoint(ctx, mirrored.x, mirrored.y, color, intensity, radius);
-        });
+    hasPattern() {
+        return this.pattern !== null;
+    }
+
+    // Draw the last unfolded pattern of one side in garment coordinates,
+    // at whatever scale ctx is set to, e.g. for print. `bleed` carries the
+    // pattern that many garment pixels past the panel outline.
+    renderPattern(ctx, side, bleed = 0) {
+        if (!this.pattern) return;
+        this.renderCells(ctx, this.pattern.fabricMap, this.pattern.cells, side, bleed);
     }
 
-    mirrorPoint(x, y, line, direction) {
-        if (direction === 'horizontal') {
-            const dy = line.y1 - y;
-            return { x, y: line.y1 + dy };
+    // Draw the cells of the panel seen from `side` at their place on the
+    // flat garment, mirrored for the back
+    renderCells(ctx, fabricMap, cells, side, bleed = 0) {
+        const { cellSize, cols, rows, count, gx, gy } = fabricMap;
+        const garment = this.canvas.getGarment();
+        const panelName = garment.surfacePanel(side);
+        const panel = garment.getPanelNames().indexOf(panelName);
+        const image = document.createElement('canvas');
+        image.width = cols;
+        image.height = rows;
+        const imageCtx = image.getContext('2d');
+        const data = imageCtx.createImageData(cols, rows);
+        const inside = new Uint8Array(cols * rows);
+
+        for (let i = 0; i < count; i++) {
+            if (fabricMap.panel[i] !== panel) continue;
+
+            const pixel = Math.floor(gy[i] / cellSize) * cols + Math.floor(gx[i] / cellSize);
+            const offset = pixel * 4;
+            data.data[offset] = cells.r[i];
+            data.data[offset + 1] = cells.g[i];
+            data.data[offset + 2] = cells.b[i];
+            data.data[offset + 3] = cells.a[i];
+            inside[pixel] = 1;
+        }
+
+        if (bleed > 0) {
+            this.growCells(data.data, inside, cols, rows, Math.ceil(bleed / cellSize) + 1);
+        }
+        imageCtx.putImageData(data, 0, 0);
+
+        const transform = ctx.getTransform();
+        ctx.save();
+        this.canvas.mirrorForSide(ctx, side);
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(image, 0, 0, cols * cellSize, rows * cellSize);
+
+        // Trim the smoothed edge back to the panel outline
+        ctx.globalCompositeOperation = 'destination-in';
+        if (bleed > 0) {
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.drawImage(this.createTrimMask(ctx.canvas, transform, panelName, side, bleed), 0, 0);
         } else {
-            const dx = line.x1 - x;
-            return { x: line.x1 + dx, y };
+            garment.tracePanel(ctx, panelName);
+            ctx.fill();
         }
+        ctx.restore();
     }
 
-    unfoldSpiral(fold, dyePoints) {
-        const ctx = this.finalLayer.getContext('2d');
-        const { centerX, centerY, rotations } = fold;
-        
-        dyePoints.forEach(point => {
-            // Create rotational symmetry
-            for (let i = 0; i < rotations * 4; i++) {
-                const angle = (i / (rotations * 4)) * Math.PI * 2;
-                const rotated = this.rotatePoint(point.x, point.y, centerX, centerY, angle);
-                this.renderFinalPoint(ctx, rotated.x, rotated.y, point.color, 
-                                     point.intensity, point.radius);
-            }
-        });
-    }
+    // Spread the panel's edge cells outward `steps` cells, so the pattern
+    // runs on into the bleed
+    growCells(pixels, inside, cols, rows, steps) {
+        for (let step = 0; step < steps; step++) {
+            const grown = inside.slice();
 
-    rotatePoint(x, y, centerX, centerY, angle) {
-        const dx = x - centerX;
-        const dy = y - centerY;
-        
-        return {
-            x: centerX + dx * Math.cos(angle) - dy * Math.sin(angle),
-            y: centerY + dx * Math.sin(angle) + dy * Math.cos(angle)
-        };
-    }
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    const pixel = row * cols + col;
+                    if (inside[pixel]) continue;
 
-    unfoldCrumple(fold, dyePoints) {
-        const ctx = this.finalLayer.getContext('2d');
-        
-        // Crumple creates a more organic, scattered pattern
-        dyePoints.forEach(point => {
-            // Render with slight variations for organic feel
-            const variations = this.generateCrumpleVariations(point, fold.points);
-            variations.forEach(varied => {
-                this.renderFinalPoint(ctx, varied.x, varied.y, point.color,
-                                     point.intensity * 0.7, point.radius);
-            });
-        });
-    }
+                    const neighbour = [
+                        col > 0 ? pixel - 1 : -1,
+                        col < cols - 1 ? pixel + 1 : -1,
+                        row > 0 ? pixel - cols : -1,
+                        row < rows - 1 ? pixel + cols : -1
+                    ].find(n => n >= 0 && inside[n]);
+                    if (neighbour === undefined) continue;
 
-    generateCrumpleVariations(point, crumplePoints) {
-        const variations = [point];
-        
-        // Add scattered copies near crumple points
-        crumplePoints.forEach(cp => {
-            const offset = {
-                x: (Math.random() - 0.5) * 40,
-                y: (Math.random() - 0.5) * 40
-            };
-            
-            variations.push({
-                x: point.x + offset.x,
-                y: point.y + offset.y,
-                color: point.color,
-                intensity: point.intensity,
-                radius: point.radius
-            });
-        });
-        
-        return variations;
-    }
+                    pixels.copyWithin(pixel * 4, neighbour * 4, neighbour * 4 + 4);
+                    grown[pixel] = 1;
+                }
+            }
 
-    unfoldDiagonal(fold, dyePoints) {
-        const ctx = this.finalLayer.getContext('2d');
-        const { angle } = fold;
-        const { CENTER_X, CENTER_Y } = SHIRT_CONFIG;
-        
-        dyePoints.forEach(point => {
-            // Render original
-            this.renderFinalPoint(ctx, point.x, point.y, point.color,
-                                 point.intensity, point.radius);
-            
-            // Mirror across diagonal
-            const mirrored = this.mirrorDiagonal(point.x, point.y, CENTER_X, 
-                                                CENTER_Y, angle);
-            this.renderFinalPoint(ctx, mirrored.x, mirrored.y, point.color,
-                                 point.intensity, point.radius);
-        });
+            inside.set(grown);
+        }
     }
 
-    mirrorDiagonal(x, y, centerX, centerY, angle) {
-        // Reflect point across a line through center at given angle
-        const rad = (angle * Math.PI) / 180;
-        const dx = x - centerX;
-        const dy = y - centerY;
-        
-        const cos2 = Math.cos(2 * rad);
-        const sin2 = Math.sin(2 * rad);
-        
-        return {
-            x: centerX + dx * cos2 + dy * sin2,
-            y: centerY + dx * sin2 - dy * cos2
-        };
-    }
+    // The panel outline grown by `bleed`, drawn at the target's scale
+    createTrimMask(target, transform, panelName, side, bleed) {
+        const mask = document.createElement('canvas');
+        mask.width = target.width;
+        mask.height = target.height;
 
-    renderFinalPoint(ctx, x, y, color, intensity, radius) {
-        const alpha = (intensity / 100) * 0.6;
-        
-        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-        gradient.addColorStop(0, `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha})`);
-        gradient.addColorStop(0.7, `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha * 0.5})`);
-        gradient.addColorStop(1, `rgba(${color.r}, ${color.g}, ${color.b}, 0)`);
-        
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        const ctx = mask.getContext('2d');
+        ctx.setTransform(transform);
+        this.canvas.mirrorForSide(ctx, side);
+        this.canvas.getGarment().tracePanel(ctx, panelName);
         ctx.fill();
+        ctx.lineWidth = bleed * 2;
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+        return mask;
     }
 
-    copyDyeToFinal() {
-        const ctx = this.finalLayer.getContext('2d');
-        const dyeLayer = this.canvas.getLayer('dye');
-        ctx.clearRect(0, 0, this.finalLayer.width, this.finalLayer.height);
-        ctx.drawImage(dyeLayer, 0, 0);
-        this.canvas.markDirty();
+    // Tint the unfolded shirt by the face its dye came from: the front
+    // colour, the back colour, or both where dye met from either side
+    renderFaceMap(layer, fabricMap, cells, side) {
+        const ctx = layer.getContext('2d');
+        ctx.clearRect(0, 0, layer.width, layer.height);
+
+        const faces = [
+            { share: cells.front, color: DYE_CONFIG.FRONT_FACE_COLOR },
+            { share: cells.back, color: DYE_CONFIG.BACK_FACE_COLOR }
+        ];
+
+        for (const { share, color } of faces) {
+            const alpha = new Float32Array(fabricMap.count);
+            for (let i = 0; i < fabricMap.count; i++) {
+                alpha[i] = (1 - Math.exp(-DYE_CONFIG.DYE_OPACITY * share[i])) * 255;
+            }
+
+            const mask = document.createElement('canvas');
+            mask.width = layer.width;
+            mask.height = layer.height;
+            const maskCtx = mask.getContext('2d');
+            this.renderCells(maskCtx, fabricMap, { r: alpha, g: alpha, b: alpha, a: alpha }, side);
+
+            // Colour the mask in, keeping its coverage
+            maskCtx.globalCompositeOperation = 'source-in';
+            maskCtx.fillStyle = color;
+            maskCtx.fillRect(0, 0, mask.width, mask.height);
+
+            ctx.drawImage(mask, 0, 0);
+        }
     }
-}
\ No newline at end of file
+}
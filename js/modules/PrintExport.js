@@ -0,0 +1,386 @@
+// PrintExport.js - Print files of the unfolded pattern
+//
+// The pattern is drawn again from the unfold's cells (see PatternGenerator)
+// at the chosen size and resolution, on a transparent background: the whole
+// garment, or one panel cut to its outline. The bleed carries the pattern on
+// past the outline, and crop marks sit outside the bleed. Files are PNG or
+// uncompressed TIFF, both tagged with their resolution and an sRGB profile.
+
+import { FACES, PRINT_CONFIG } from '../config/constants.js';
+
+export const PRINT_AREAS = Object.freeze({
+    GARMENT: 'garment',
+    FRONT: FACES.FRONT,
+    BACK: FACES.BACK
+});
+
+export const PRINT_FORMATS = Object.freeze({
+    PNG: 'png',
+    TIFF: 'tiff'
+});
+
+const MIME_TYPES = {
+    [PRINT_FORMATS.PNG]: 'image/png',
+    [PRINT_FORMATS.TIFF]: 'image/tiff'
+};
+
+// Garment pixels between the two sides of a whole-garment print
+const SIDE_GAP = 20;
+
+// Where each side goes on the print, in garment pixels from the trim box's
+// top left, and the size of the trim box
+function layoutArea(canvas, area) {
+    const garment = canvas.getGarment();
+    const sides = area === PRINT_AREAS.GARMENT ? Object.values(FACES) : [area];
+    const boxes = sides.map(side => {
+        const bounds = area === PRINT_AREAS.GARMENT
+            ? garment.getBounds()
+            : outlineBounds(garment.panels[garment.surfacePanel(side)]);
+        // The back is drawn mirrored, so its outline sits mirrored too
+        const x = side === FACES.BACK ? canvas.canvas.width - bounds.x - bounds.width : bounds.x;
+        return { side, x, y: bounds.y, width: bounds.width, height: bounds.height };
+    });
+
+    let left = 0;
+    const placed = boxes.map(box => {
+        const placement = { ...box, left };
+        left += box.width + SIDE_GAP;
+        return placement;
+    });
+
+    return {
+        sides: placed,
+        width: left - SIDE_GAP,
+        height: Math.max(...boxes.map(box => box.height))
+    };
+}
+
+function outlineBounds(points) {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+// Pixel size of a print. `width` is the trim width in inches; the height
+// follows from the area's shape.
+export function getPrintSize(canvas, { area, dpi, width, bleed, cropMarks }) {
+    const layout = layoutArea(canvas, area);
+    const scale = width * dpi / layout.width;
+    const marks = cropMarks ? PRINT_CONFIG.CROP_MARK_OFFSET + PRINT_CONFIG.CROP_MARK_LENGTH : 0;
+    const margin = (bleed + marks) * dpi;
+
+    return {
+        layout,
+        scale,
+        margin,
+        width: Math.round(layout.width * scale + margin * 2),
+        height: Math.round(layout.height * scale + margin * 2),
+        trimWidth: width,
+        trimHeight: layout.height * scale / dpi
+    };
+}
+
+export function renderPrint(canvas, patternGenerator, options) {
+    const size = getPrintSize(canvas, options);
+    if (size.width * size.height > PRINT_CONFIG.MAX_PIXELS) {
+        throw new Error('The print is too large; lower the size or resolution');
+    }
+
+    const print = document.createElement('canvas');
+    print.width = size.width;
+    print.height = size.height;
+    const ctx = print.getContext('2d');
+    const bleed = options.bleed * options.dpi / size.scale;
+
+    // Each side trims itself to its outline, so it is drawn on its own first
+    for (const box of size.layout.sides) {
+        const layer = document.createElement('canvas');
+        layer.width = print.width;
+        layer.height = print.height;
+        const layerCtx = layer.getContext('2d');
+        layerCtx.setTransform(size.scale, 0, 0, size.scale,
+                              size.margin + (box.left - box.x) * size.scale,
+                              size.margin - box.y * size.scale);
+        patternGenerator.renderPattern(layerCtx, box.side, bleed);
+        ctx.drawImage(layer, 0, 0);
+    }
+
+    if (options.cropMarks) {
+        drawCropMarks(ctx, size, options.dpi, options.bleed);
+    }
+
+    return print;
+}
+
+// Marks in line with the trim box's edges, clear of the bleed
+function drawCropMarks(ctx, size, dpi, bleed) {
+    const left = size.margin;
+    const top = size.margin;
+    const right = size.width - size.margin;
+    const bottom = size.height - size.margin;
+    const start = (bleed + PRINT_CONFIG.CROP_MARK_OFFSET) * dpi;
+    const end = start + PRINT_CONFIG.CROP_MARK_LENGTH * dpi;
+
+    ctx.save();
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = Math.max(1, dpi / 288);     // A quarter point
+    ctx.beginPath();
+    for (const x of [left, right]) {
+        for (const y of [top, bottom]) {
+            const dx = x === left ? -1 : 1;
+            const dy = y === top ? -1 : 1;
+            ctx.moveTo(x + dx * start, y);
+            ctx.lineTo(x + dx * end, y);
+            ctx.moveTo(x, y + dy * start);
+            ctx.lineTo(x, y + dy * end);
+        }
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+// The print as a file
+export async function encodePrint(print, format, dpi) {
+    const profile = createSrgbProfile();
+
+    if (format === PRINT_FORMATS.TIFF) {
+        const image = print.getContext('2d').getImageData(0, 0, print.width, print.height);
+        return new Blob([encodeTiff(image, dpi, profile)], { type: MIME_TYPES[format] });
+    }
+
+    const blob = await new Promise(resolve => print.toBlob(resolve, MIME_TYPES[format]));
+    return tagPng(new Uint8Array(await blob.arrayBuffer()), dpi, profile);
+}
+
+// Swap the browser's colour and resolution chunks for the print's own: a
+// pHYs chunk with the resolution and an iCCP chunk with the profile
+async function tagPng(png, dpi, profile) {
+    const replaced = ['pHYs', 'iCCP', 'sRGB', 'gAMA', 'cHRM'];
+    const parts = [png.subarray(0, 8)];
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+
+    for (let offset = 8; offset < png.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+        const end = offset + length + 12;
+        if (!replaced.includes(type)) parts.push(png.subarray(offset, end));
+
+        if (type === 'IHDR') {
+            const pixelsPerMetre = Math.round(dpi / 0.0254);
+            const phys = new Uint8Array(9);
+            new DataView(phys.buffer).setUint32(0, pixelsPerMetre);
+            new DataView(phys.buffer).setUint32(4, pixelsPerMetre);
+            phys[8] = 1;    // Metres
+            parts.push(pngChunk('pHYs', phys));
+
+            // Profile name, a null, compression method 0 and the zlib stream
+            const compressed = await deflate(profile);
+            const iccp = new Uint8Array(6 + compressed.length);
+            iccp.set(ascii('sRGB'), 0);
+            iccp.set(compressed, 6);
+            parts.push(pngChunk('iCCP', iccp));
+        }
+        offset = end;
+    }
+
+    return new Blob(parts, { type: MIME_TYPES[PRINT_FORMATS.PNG] });
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(ascii(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+    return chunk;
+}
+
+let crcTable = null;
+
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function ascii(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+// Baseline little-endian TIFF: one strip of 8-bit RGBA with unassociated
+// alpha, as canvas image data comes
+function encodeTiff(image, dpi, profile) {
+    const SHORT = 3;
+    const LONG = 4;
+    const RATIONAL = 5;
+    const UNDEFINED = 7;
+    const pixels = image.data;
+
+    // Tags in ascending order; values over four bytes go after the IFD
+    const tags = [
+        [256, LONG, 1, image.width],            // ImageWidth
+        [257, LONG, 1, image.height],           // ImageLength
+        [258, SHORT, 4, [8, 8, 8, 8]],          // BitsPerSample
+        [259, SHORT, 1, 1],                     // Compression: none
+        [262, SHORT, 1, 2],                     // PhotometricInterpretation: RGB
+        [273, LONG, 1, 0],                      // StripOffsets, filled in below
+        [277, SHORT, 1, 4],                     // SamplesPerPixel
+        [278, LONG, 1, image.height],           // RowsPerStrip
+        [279, LONG, 1, pixels.length],          // StripByteCounts
+        [282, RATIONAL, 1, [dpi, 1]],           // XResolution
+        [283, RATIONAL, 1, [dpi, 1]],           // YResolution
+        [284, SHORT, 1, 1],                     // PlanarConfiguration: chunky
+        [296, SHORT, 1, 2],                     // ResolutionUnit: inch
+        [338, SHORT, 1, 2],                     // ExtraSamples: unassociated alpha
+        [34675, UNDEFINED, profile.length, profile]   // ICC profile
+    ];
+    const sizes = { [SHORT]: 2, [LONG]: 4, [RATIONAL]: 8, [UNDEFINED]: 1 };
+
+    const ifdSize = 2 + tags.length * 12 + 4;
+    let dataOffset = 8 + ifdSize;
+    const extras = [];
+    for (const tag of tags) {
+        const size = sizes[tag[1]] * tag[2];
+        if (size > 4) {
+            extras.push({ tag, offset: dataOffset });
+            dataOffset += size + (size % 2);    // Values start on a word boundary
+        }
+    }
+    tags.find(tag => tag[0] === 273)[3] = dataOffset;
+
+    const tiff = new Uint8Array(dataOffset + pixels.length);
+    const view = new DataView(tiff.buffer);
+    tiff.set(ascii('II'), 0);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, 8, true);
+    view.setUint16(8, tags.length, true);
+
+    const writeValues = (offset, type, values) => {
+        [values].flat().forEach((value, i) => {
+            if (type === SHORT) view.setUint16(offset + i * 2, value, true);
+            else if (type === LONG || type === RATIONAL) view.setUint32(offset + i * 4, value, true);
+        });
+    };
+
+    tags.forEach(([id, type, count, value], i) => {
+        const entry = 10 + i * 12;
+        view.setUint16(entry, id, true);
+        view.setUint16(entry + 2, type, true);
+        view.setUint32(entry + 4, count, true);
+
+        const extra = extras.find(item => item.tag[0] === id);
+        if (extra) {
+            view.setUint32(entry + 8, extra.offset, true);
+            if (type === UNDEFINED) tiff.set(value, extra.offset);
+            else writeValues(extra.offset, type, value);
+        } else {
+            writeValues(entry + 8, type, value);
+        }
+    });
+    view.setUint32(10 + tags.length * 12, 0, true);    // No further IFDs
+
+    tiff.set(pixels, dataOffset);
+    return tiff;
+}
+
+// A small ICC v2 sRGB display profile: D50-adapted sRGB primaries and the
+// sRGB tone curve sampled at 1024 points
+let srgbProfile = null;
+
+export function createSrgbProfile() {
+    if (srgbProfile) return srgbProfile;
+
+    const fixed = value => Math.round(value * 65536);
+    const xyz = (x, y, z) => {
+        const data = new DataView(new ArrayBuffer(20));
+        ascii('XYZ ').forEach((byte, i) => data.setUint8(i, byte));
+        [x, y, z].forEach((value, i) => data.setInt32(8 + i * 4, fixed(value)));
+        return new Uint8Array(data.buffer);
+    };
+    const text = value => {
+        const data = new Uint8Array(8 + value.length + 1);
+        data.set(ascii('text'), 0);
+        data.set(ascii(value), 8);
+        return data;
+    };
+    const description = value => {
+        // ASCII part, then empty Unicode and ScriptCode parts
+        const data = new Uint8Array(12 + value.length + 1 + 8 + 3 + 67);
+        const view = new DataView(data.buffer);
+        data.set(ascii('desc'), 0);
+        view.setUint32(8, value.length + 1);
+        data.set(ascii(value), 12);
+        return data;
+    };
+    const curve = () => {
+        const points = 1024;
+        const data = new DataView(new ArrayBuffer(12 + points * 2));
+        ascii('curv').forEach((byte, i) => data.setUint8(i, byte));
+        data.setUint32(8, points);
+        for (let i = 0; i < points; i++) {
+            const v = i / (points - 1);
+            const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+            data.setUint16(12 + i * 2, Math.round(linear * 65535));
+        }
+        return new Uint8Array(data.buffer);
+    };
+
+    const trc = curve();
+    const tags = [
+        ['desc', description('sRGB')],
+        ['cprt', text('No copyright, use freely')],
+        ['wtpt', xyz(0.9642, 1, 0.8249)],
+        ['rXYZ', xyz(0.4361, 0.2225, 0.0139)],
+        ['gXYZ', xyz(0.3851, 0.7169, 0.0971)],
+        ['bXYZ', xyz(0.1431, 0.0606, 0.7141)],
+        ['rTRC', trc],
+        ['gTRC', trc],
+        ['bTRC', trc]
+    ];
+
+    // The three tone curves share one copy of the data
+    const offsets = new Map();
+    let size = 128 + 4 + tags.length * 12;
+    for (const [, data] of tags) {
+        if (offsets.has(data)) continue;
+        offsets.set(data, size);
+        size += Math.ceil(data.length / 4) * 4;
+    }
+
+    const profile = new Uint8Array(size);
+    const view = new DataView(profile.buffer);
+    view.setUint32(0, size);
+    view.setUint32(8, 0x02100000);              // Version 2.1
+    profile.set(ascii('mntrRGB XYZ '), 12);     // Display class, RGB data, XYZ connection space
+    profile.set(ascii('acsp'), 36);
+    [0.9642, 1, 0.8249].forEach((value, i) => view.setInt32(68 + i * 4, fixed(value)));
+
+    view.setUint32(128, tags.length);
+    tags.forEach(([signature, data], i) => {
+        const entry = 132 + i * 12;
+        profile.set(ascii(signature), entry);
+        view.setUint32(entry + 4, offsets.get(data));
+        view.setUint32(entry + 8, data.length);
+    });
+    for (const [data, offset] of offsets) profile.set(data, offset);
+
+    srgbProfile = profile;
+    return profile;
+}
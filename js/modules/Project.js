@@ -0,0 +1,296 @@
+// Project.js - Saving designs as .tiedye project files and opening them again
+//
+// A project is JSON holding the garment, fabric, folds and bindings, the dye
+// strokes with the tool settings, any batching and rinsing between them, the
+// dye in use and the palette, plus any recipes those use. Each module
+// serializes its own part. Every file records the format version it was
+// written in; files from older versions are brought up to date one version
+// at a time before they are opened.
+
+import { getFoldSchema } from './FoldingEngine.js';
+import { MAX_SEED } from './utils.js';
+import { GARMENT_TYPES, FABRIC_TYPES, FOLD_TYPES, BINDING_TYPES, DYE_TOOLS, FACES, TREATMENTS } from '../config/constants.js';
+
+export const PROJECT_FORMAT = 'tie-dye-project';
+export const PROJECT_VERSION = 3;
+export const PROJECT_EXTENSION = '.tiedye';
+
+// MIGRATIONS[n] turns a version n project into a version n + 1 one
+const MIGRATIONS = {
+    // Strokes scatter dye from a seed. Older strokes get a fixed one, so the
+    // project at least opens the same way every time.
+    1: project => {
+        const dye = project.dye;
+        if (!dye || !Array.isArray(dye.strokes)) return { ...project, version: 2 };
+
+        return {
+            ...project,
+            version: 2,
+            dye: { ...dye, strokes: dye.strokes.map((stroke, index) => ({ seed: index + 1, ...stroke })) }
+        };
+    },
+
+    // Batching and rinsing are kept with the strokes. Older projects didn't
+    // record them.
+    2: project => {
+        if (!project.dye) return { ...project, version: 3 };
+        return { ...project, version: 3, dye: { treatments: [], ...project.dye } };
+    }
+};
+
+// What each kind of fold keeps besides its parameters: numbers, choices
+// checked against the parameter of the same name, and lists of points or
+// of lines
+const FOLD_GEOMETRY = {
+    [FOLD_TYPES.ACCORDION]: { numbers: ['numFolds', 'start', 'spacing'], choices: ['direction'],
+                              lines: ['lines'] },
+    [FOLD_TYPES.SPIRAL]: { numbers: ['centerX', 'centerY', 'rotations', 'radius', 'scale'] },
+    [FOLD_TYPES.CRUMPLE]: { points: ['points'] },
+    [FOLD_TYPES.DIAGONAL]: { numbers: ['angle', 'centerX', 'centerY', 'length'] },
+    [FOLD_TYPES.BULLSEYE]: { numbers: ['centerX', 'centerY', 'radius', 'rings', 'length', 'width'] },
+    [FOLD_TYPES.MANDALA]: { numbers: ['centerX', 'centerY', 'wedges', 'rotation', 'radius'] },
+    [FOLD_TYPES.SUNBURST]: { numbers: ['twist', 'reach'], points: ['points'] },
+    [FOLD_TYPES.STRIPES]: { numbers: ['start', 'ropeCenter', 'ropeWidth', 'along', 'length'],
+                            choices: ['direction'], lines: ['bands'] },
+    [FOLD_TYPES.SHIBORI]: { numbers: ['size', 'angle', 'scrunch', 'originX', 'originY', 'width', 'height',
+                                      'centerX', 'centerY', 'reach'], choices: ['variant'] }
+};
+
+export class ProjectError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProjectError';
+    }
+}
+
+// Everything needed to open the design again
+export function serializeProject({ canvas, foldingEngine, dyePhysics, colorManager }) {
+    const color = colorManager.serialize();
+    const dye = dyePhysics.serialize();
+    const used = new Set([color.dye, ...color.palette, ...dye.strokes.map(stroke => stroke.dye)]);
+
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        ...canvas.serialize(),
+        folds: foldingEngine.serialize(),
+        dye,
+        color,
+        recipes: colorManager.getLibrary().serialize(used)
+    };
+}
+
+// Read a project file's text, upgraded to the current version. Throws a
+// ProjectError if it isn't a project this version can open.
+export function parseProject(text) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch (error) {
+        throw new ProjectError('The file is not a tie-dye project');
+    }
+    return readProject(project);
+}
+
+// The same for a project that is already parsed, e.g. from the gallery
+export function readProject(project) {
+    if (!project || project.format !== PROJECT_FORMAT) {
+        throw new ProjectError('The file is not a tie-dye project');
+    }
+    if (!Number.isInteger(project.version) || project.version < 1) {
+        throw new ProjectError('The project has no valid format version');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new ProjectError(`The project was saved by a newer version (format ${project.version})`);
+    }
+
+    const migrated = migrateProject(project);
+    const errors = collectErrors(migrated);
+    if (errors.length > 0) {
+        throw new ProjectError(`The project is damaged: ${errors.join('; ')}`);
+    }
+    return migrated;
+}
+
+export function migrateProject(project) {
+    let migrated = project;
+
+    while (migrated.version < PROJECT_VERSION) {
+        const migrate = MIGRATIONS[migrated.version];
+        if (!migrate) {
+            throw new ProjectError(`Projects in format ${migrated.version} can no longer be opened`);
+        }
+        migrated = migrate(migrated);
+    }
+
+    return migrated;
+}
+
+const isList = value => Array.isArray(value);
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isPoint = value => Boolean(value) && isNumber(value.x) && isNumber(value.y);
+const isLine = value => Boolean(value) && ['x1', 'y1', 'x2', 'y2'].every(key => isNumber(value[key]));
+const isChannel = value => isNumber(value) && value >= 0 && value <= 255;
+
+function collectErrors(project) {
+    const errors = [];
+
+    if (!Object.values(GARMENT_TYPES).includes(project.garment)) {
+        errors.push(`unknown garment "${project.garment}"`);
+    }
+    if (!Object.values(FABRIC_TYPES).includes(project.fabric)) {
+        errors.push(`unknown fabric "${project.fabric}"`);
+    }
+    if (!isList(project.folds) ||
+        !project.folds.every(fold => fold && Object.values(FOLD_TYPES).includes(fold.type))) {
+        errors.push('folds must be a list of known fold types');
+    } else {
+        project.folds.forEach((fold, index) => {
+            const error = checkFold(fold);
+            if (error) errors.push(`fold ${index + 1} ${error}`);
+        });
+    }
+
+    const dye = project.dye;
+    if (!dye || !Object.values(DYE_TOOLS).includes(dye.tool) || !isList(dye.strokes)) {
+        errors.push('dye must name a known tool and list its strokes');
+    } else {
+        if (!isNumber(dye.brushSize) || dye.brushSize <= 0 || !isNumber(dye.intensity) || dye.intensity < 0) {
+            errors.push('dye needs a brush size and an intensity');
+        }
+        dye.strokes.forEach((stroke, index) => {
+            const error = checkStroke(stroke);
+            if (error) errors.push(`stroke ${index + 1} ${error}`);
+        });
+        if (!isList(dye.treatments)) {
+            errors.push('dye must list its treatments');
+        } else {
+            dye.treatments.forEach((treatment, index) => {
+                const previous = dye.treatments[index - 1];
+                const after = isObject(previous) ? previous.strokes : 0;
+                const error = checkTreatment(treatment, after, dye.strokes.length);
+                if (error) errors.push(`treatment ${index + 1} ${error}`);
+            });
+        }
+    }
+
+    const color = project.color;
+    if (!color || !isList(color.palette) || !color.palette.every(id => typeof id === 'string')) {
+        errors.push('color must list a palette of dye ids');
+    } else if (typeof color.color !== 'string' || (color.dye !== null && typeof color.dye !== 'string')) {
+        errors.push('color needs a colour and a dye id or null');
+    }
+    if (!isList(project.recipes)) {
+        errors.push('recipes must be a list');
+    }
+
+    return errors;
+}
+
+// What is wrong with a saved fold, or null. Bindings carry their geometry;
+// other folds the parameters they were made with, checked against their
+// schema, and the geometry made from them.
+function checkFold(fold) {
+    if (fold.type === FOLD_TYPES.BINDING) {
+        if (!Object.values(BINDING_TYPES).includes(fold.binding)) return 'is an unknown binding';
+        if (!isLine(fold) || !isNumber(fold.resist) || fold.resist < 0 || fold.resist > 1) {
+            return 'needs two corners and a resist from 0 to 1';
+        }
+        if (fold.binding !== BINDING_TYPES.CLAMP && (!isNumber(fold.width) || fold.width <= 0)) {
+            return 'needs a width';
+        }
+        return null;
+    }
+
+    if (!fold.params || typeof fold.params !== 'object') return 'has no parameters';
+
+    const schema = getFoldSchema(fold.type, null);
+    for (const field of schema) {
+        const value = fold.params[field.key];
+        let valid;
+        switch (field.type) {
+            case 'range':
+            case 'angle':
+                valid = isNumber(value) && value >= field.min && value <= field.max;
+                break;
+            case 'select':
+                valid = field.options.includes(value);
+                break;
+            case 'point':
+                valid = isPoint(value);
+                break;
+            case 'points':
+                valid = isList(value) && value.length > 0 && value.every(isPoint);
+                break;
+            case 'seed':
+                valid = Number.isInteger(value) && value >= 0 && value <= MAX_SEED;
+                break;
+            default:
+                valid = true;
+        }
+        if (!valid) return `has a bad ${field.key}`;
+    }
+
+    const geometry = FOLD_GEOMETRY[fold.type];
+    if ((geometry.numbers || []).some(key => !isNumber(fold[key])) ||
+        (geometry.choices || []).some(key =>
+            !schema.find(field => field.key === key).options.includes(fold[key])) ||
+        (geometry.points || []).some(key =>
+            !isList(fold[key]) || fold[key].length === 0 || !fold[key].every(isPoint)) ||
+        (geometry.lines || []).some(key => !isList(fold[key]) || !fold[key].every(isLine))) {
+        return 'has damaged geometry';
+    }
+    return null;
+}
+
+// What is wrong with a saved stroke, or null
+function checkStroke(stroke) {
+    if (!stroke || !Object.values(DYE_TOOLS).includes(stroke.tool) ||
+        !Object.values(FACES).includes(stroke.face)) {
+        return 'needs a known tool and a face';
+    }
+    if (!stroke.color || !['r', 'g', 'b'].every(channel => isChannel(stroke.color[channel]))) {
+        return 'needs a colour';
+    }
+    if (stroke.dye !== null && stroke.dye !== undefined && typeof stroke.dye !== 'string') {
+        return 'has a bad dye id';
+    }
+    if (!isNumber(stroke.concentration) || stroke.concentration <= 0 ||
+        !isNumber(stroke.radius) || stroke.radius <= 0 ||
+        (stroke.time !== undefined && (!isNumber(stroke.time) || stroke.time < 0))) {
+        return 'needs a concentration, a radius and a time';
+    }
+    if (!Number.isInteger(stroke.seed) || stroke.seed < 0 || stroke.seed > MAX_SEED) {
+        return 'needs a seed';
+    }
+    if (!isList(stroke.samples) || stroke.samples.length % 4 !== 0 || !stroke.samples.every(isNumber)) {
+        return 'needs its samples as numbers';
+    }
+    return null;
+}
+
+// What is wrong with a saved batch or rinse, or null. Its place among the
+// strokes is the number done before it, from `after` to `strokes`.
+function checkTreatment(treatment, after, strokes) {
+    if (!isObject(treatment) || !Object.values(TREATMENTS).includes(treatment.type)) {
+        return 'needs a known type';
+    }
+    if (!isNumber(treatment.time) || treatment.time < 0 ||
+        !Number.isInteger(treatment.strokes) || treatment.strokes < after || treatment.strokes > strokes) {
+        return 'needs a time and a place among the strokes';
+    }
+    if (treatment.type === TREATMENTS.CURE && (!isNumber(treatment.hours) || treatment.hours < 0)) {
+        return 'needs its hours';
+    }
+    return null;
+}
+
+// Replace the design being worked on with a project
+export function loadProject({ canvas, foldingEngine, dyePhysics, colorManager }, project) {
+    colorManager.getLibrary().importRecipes(project.recipes);
+    canvas.deserialize(project);
+    colorManager.deserialize(project.color);
+    foldingEngine.deserialize(project.folds);
+    dyePhysics.deserialize(project.dye);
+}
@@ -0,0 +1,55 @@
+// ShareLink.js - Designs packed into a link's hash
+//
+// The link carries the whole project (see Project.js) and the phase it was
+// shared from, as deflated JSON in base64url. Opening it replays the folds
+// and strokes; strokes scatter dye from their own seeds, so the design comes
+// out as it was shared.
+
+import { readProject, ProjectError } from './Project.js';
+import { PHASES } from '../config/constants.js';
+
+const HASH_PREFIX = '#design=';
+
+// The hash for a link to a project
+export async function encodeShareLink(project, phase) {
+    const json = new TextEncoder().encode(JSON.stringify({ project, phase }));
+    return HASH_PREFIX + toBase64Url(await transform(json, new CompressionStream('deflate-raw')));
+}
+
+// The project and phase (if known) in a link's hash, or null if it doesn't
+// hold a design. Throws a ProjectError if the design can't be opened.
+export async function decodeShareLink(hash) {
+    if (!hash.startsWith(HASH_PREFIX)) return null;
+
+    let shared;
+    try {
+        const bytes = await transform(fromBase64Url(hash.slice(HASH_PREFIX.length)),
+                                      new DecompressionStream('deflate-raw'));
+        shared = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new ProjectError('The link is incomplete or damaged');
+    }
+
+    return {
+        project: readProject(shared.project),
+        phase: Object.values(PHASES).includes(shared.phase) ? shared.phase : undefined
+    };
+}
+
+async function transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
@@ -0,0 +1,168 @@
+// Spectral.js - Reflectance spectra and Kubelka–Munk mixing
+//
+// Colours are handled as reflectance sampled in 20 nm bands from 400 to
+// 700 nm. Dyes on fabric absorb but hardly scatter (the fibres do that), so
+// each dye is described by its K/S curve, the ratio of absorption to
+// scattering per band. K/S of a mixture is the concentration-weighted sum of
+// its dyes' K/S, which is what makes blue and yellow give green rather than
+// the grey an average of their RGB values would.
+//
+// The module has no DOM dependencies.
+
+export const BANDS = [400, 420, 440, 460, 480, 500, 520, 540, 560, 580, 600, 620, 640, 660, 680, 700];
+
+// CIE 1931 2° colour matching functions (x̄, ȳ, z̄) per band
+const CMF = [
+    [0.01431, 0.000396, 0.06785], [0.13438, 0.004, 0.6456], [0.34828, 0.023, 1.74706],
+    [0.2908, 0.06, 1.6692], [0.09564, 0.13902, 0.81295], [0.0049, 0.323, 0.272],
+    [0.06327, 0.71, 0.07825], [0.2904, 0.954, 0.0203], [0.5945, 0.995, 0.0039],
+    [0.9163, 0.87, 0.00165], [1.0622, 0.631, 0.0008], [0.85445, 0.381, 0.00019],
+    [0.4479, 0.175, 0.00002], [0.1649, 0.061, 0], [0.04677, 0.017, 0], [0.01136, 0.004102, 0]
+];
+
+// Relative power of the D65 daylight illuminant per band
+const D65 = [82.75, 93.43, 104.86, 117.81, 115.92, 109.35, 104.79, 104.41,
+             100, 95.79, 90.01, 87.7, 83.7, 80.21, 78.28, 71.61];
+
+const XYZ_TO_RGB = [
+    [3.2406, -1.5372, -0.4986],
+    [-0.9689, 1.8758, 0.0415],
+    [0.0557, -0.204, 1.057]
+];
+
+const RGB_TO_XYZ = [
+    [0.4124, 0.3576, 0.1805],
+    [0.2126, 0.7152, 0.0722],
+    [0.0193, 0.1192, 0.9505]
+];
+
+const D65_WHITE = [0.95047, 1, 1.08883];
+
+// Darkest reflectance a band may reach; keeps K/S finite
+const MIN_REFLECTANCE = 0.001;
+
+// Linear sRGB per unit of reflectance in each band, scaled so a perfect
+// white reflector comes out as (1, 1, 1)
+const TO_RGB = (() => {
+    const rows = [[], [], []];
+    BANDS.forEach((_, band) => {
+        const xyz = CMF[band].map(value => value * D65[band]);
+        for (let c = 0; c < 3; c++) {
+            rows[c].push(XYZ_TO_RGB[c][0] * xyz[0] + XYZ_TO_RGB[c][1] * xyz[1] +
+                         XYZ_TO_RGB[c][2] * xyz[2]);
+        }
+    });
+    return rows.map(row => {
+        const white = row.reduce((sum, value) => sum + value, 0);
+        return row.map(value => value / white);
+    });
+})();
+
+// Overlapping red, green and blue spectra that add up to a flat white and
+// map back exactly onto the sRGB primaries. The overlap between them lets a
+// blue reflect some green and a yellow too, as real dyes do.
+const BASIS = (() => {
+    const bell = (peak, width) => BANDS.map(band => Math.exp(-(((band - peak) / width) ** 2)));
+    const raw = [bell(620, 70), bell(535, 45), bell(450, 45)];
+
+    // Partition of unity: every band's weights sum to one
+    const guess = BANDS.map((_, band) => {
+        const total = raw[0][band] + raw[1][band] + raw[2][band];
+        return raw.map(curve => curve[band] / total);
+    });
+
+    // Correct the guess so it projects onto the identity
+    const projected = TO_RGB.map(row =>
+        [0, 1, 2].map(k => row.reduce((sum, value, band) => sum + value * guess[band][k], 0)));
+    const inverse = invert3(projected);
+    return guess.map(weights =>
+        [0, 1, 2].map(k => weights[0] * inverse[0][k] + weights[1] * inverse[1][k] +
+                           weights[2] * inverse[2][k]));
+})();
+
+function invert3(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    return [
+        [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+        [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+        [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+    ];
+}
+
+function toLinear(value) {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(value) {
+    const v = Math.min(1, Math.max(0, value));
+    return Math.round(255 * (v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055));
+}
+
+// A smooth reflectance curve that looks like the given colour
+export function reflectanceFromRgb(rgb) {
+    const linear = [toLinear(rgb.r), toLinear(rgb.g), toLinear(rgb.b)];
+    return BASIS.map(weights => Math.min(1, Math.max(MIN_REFLECTANCE,
+        weights[0] * linear[0] + weights[1] * linear[1] + weights[2] * linear[2])));
+}
+
+export function rgbFromReflectance(reflectance) {
+    let r = 0, g = 0, b = 0;
+    for (let band = 0; band < BANDS.length; band++) {
+        r += TO_RGB[0][band] * reflectance[band];
+        g += TO_RGB[1][band] * reflectance[band];
+        b += TO_RGB[2][band] * reflectance[band];
+    }
+    return { r: fromLinear(r), g: fromLinear(g), b: fromLinear(b) };
+}
+
+// CIELAB lightness, chroma and hue angle (degrees) of an sRGB colour
+export function lchFromRgb(rgb) {
+    const linear = [toLinear(rgb.r), toLinear(rgb.g), toLinear(rgb.b)];
+    const [fx, fy, fz] = RGB_TO_XYZ.map((row, i) => {
+        const t = (row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]) / D65_WHITE[i];
+        return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    });
+    const a = 500 * (fx - fy);
+    const b = 200 * (fy - fz);
+
+    return {
+        lightness: 116 * fy - 16,
+        chroma: Math.hypot(a, b),
+        hue: (Math.atan2(b, a) * 180 / Math.PI + 360) % 360
+    };
+}
+
+// Kubelka–Munk: K/S of an opaque layer from its reflectance, and back
+export function ksFromReflectance(reflectance) {
+    return reflectance.map(value => {
+        const R = Math.max(MIN_REFLECTANCE, value);
+        return (1 - R) ** 2 / (2 * R);
+    });
+}
+
+export function reflectanceFromKs(ks, out = new Float64Array(BANDS.length)) {
+    for (let band = 0; band < BANDS.length; band++) {
+        const value = ks[band];
+        out[band] = 1 + value - Math.sqrt(value * value + 2 * value);
+    }
+    return out;
+}
+
+// K/S curve of a dye from its absorption bands, [peak nm, width nm, strength]
+export function ksFromAbsorption(bands) {
+    return BANDS.map(band => bands.reduce((sum, [peak, width, strength]) =>
+        sum + strength * Math.exp(-(((band - peak) / width) ** 2)), 0));
+}
+
+// Weighted sum of K/S curves ([{ ks, weight }])
+export function mixKs(components, mixed = new Float64Array(BANDS.length)) {
+    mixed.fill(0);
+    for (const { ks, weight } of components) {
+        for (let band = 0; band < BANDS.length; band++) {
+            mixed[band] += ks[band] * weight;
+        }
+    }
+    return mixed;
+}
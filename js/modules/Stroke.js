@@ -0,0 +1,99 @@
+// Stroke.js - A stroke of dye as a polyline of pointer samples
+//
+// Pointer events come as often as the browser and the hand allow, so a stroke
+// keeps the raw samples (position in bundle pixels, pen pressure and time
+// since the stroke began) and tools read it back at even spacing along its
+// length. What a stroke lays down then depends on its path, not on how fast
+// it was drawn or the frame rate. Tools that scatter dye draw their random
+// numbers from the stroke's seed, so replaying a stroke scatters it the same.
+
+import { clamp, distance, lerp, Random, randomSeed } from './utils.js';
+import { TOOL_CONFIG } from '../config/constants.js';
+
+export class Stroke {
+    constructor({ tool, color, dye = null, face, concentration, radius, time = 0, seed = randomSeed() }) {
+        this.tool = tool;
+        this.color = color;
+        this.dye = dye;                     // Library dye id, or null for a colour of its own
+        this.face = face;
+        this.concentration = concentration; // Teaspoons per cup
+        this.radius = radius;
+        this.time = time;                   // Simulated seconds into dyeing it began at
+        this.seed = seed;                   // Tools scatter dye with `random`, seeded by this
+        this.random = new Random(seed);
+        this.samples = [];                  // { x, y, pressure, time, distance }
+        this.length = 0;
+    }
+
+    // Add a pointer sample. Samples that hardly move from the last one are
+    // dropped; returns whether it was kept. Samples are rounded as they are
+    // saved, so a stroke read back from a project follows the same path.
+    addSample(x, y, pressure = TOOL_CONFIG.DEFAULT_PRESSURE, time = 0) {
+        x = Math.round(x * 10) / 10;
+        y = Math.round(y * 10) / 10;
+        pressure = Math.round(pressure * 100) / 100;
+        time = Math.round(time);
+
+        const last = this.samples[this.samples.length - 1];
+        const step = last ? distance(last.x, last.y, x, y) : 0;
+        if (last && step < TOOL_CONFIG.MIN_SAMPLE_DISTANCE) return false;
+
+        this.length += step;
+        this.samples.push({ x, y, pressure, time, distance: this.length });
+        return true;
+    }
+
+    // Position, pressure and time a distance along the stroke
+    pointAt(along) {
+        const samples = this.samples;
+        if (samples.length === 0) return null;
+
+        // First sample at or beyond the distance
+        let low = 0;
+        let high = samples.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (samples[mid].distance < along) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        const b = samples[low];
+        const a = samples[Math.max(0, low - 1)];
+        const span = b.distance - a.distance;
+        const t = span > 0 ? clamp((along - a.distance) / span, 0, 1) : 0;
+
+        return {
+            x: lerp(a.x, b.x, t),
+            y: lerp(a.y, b.y, t),
+            pressure: lerp(a.pressure, b.pressure, t),
+            time: lerp(a.time, b.time, t)
+        };
+    }
+
+    // Compact form for saving: samples flattened to [x, y, pressure, time, ...]
+    toJSON() {
+        return {
+            tool: this.tool,
+            color: this.color,
+            dye: this.dye,
+            face: this.face,
+            concentration: this.concentration,
+            radius: this.radius,
+            time: this.time,
+            seed: this.seed,
+            samples: this.samples.flatMap(sample => [sample.x, sample.y, sample.pressure, sample.time])
+        };
+    }
+
+    static fromJSON(data) {
+        const stroke = new Stroke(data);
+        for (let i = 0; i + 3 < data.samples.length; i += 4) {
+            stroke.addSample(data.samples[i], data.samples[i + 1], data.samples[i + 2],
+                             data.samples[i + 3]);
+        }
+        return stroke;
+    }
+}
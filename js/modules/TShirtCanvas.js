@@ -1,7 +1,9 @@
 // TShirtCanvas.js - Core rendering engine for the t-shirt visualization
 
 import { EventEmitter } from './utils.js';
-import { CANVAS_CONFIG, SHIRT_CONFIG, EVENTS } from '../config/constants.js';
+import { createGarment } from './Garments.js';
+import { getFabric, createWeaveTile } from './Fabrics.js';
+import { CANVAS_CONFIG, SHIRT_CONFIG, GALLERY_CONFIG, FACES, EVENTS } from '../config/constants.js';
 
 export class TShirtCanvas extends EventEmitter {
     constructor(canvasId) {
@@ -13,16 +15,36 @@ export class TShirtCanvas extends EventEmitter {
         this.canvas.width = CANVAS_CONFIG.WIDTH;
         this.canvas.height = CANVAS_CONFIG.HEIGHT;
         
-        // Canvas layers for different rendering stages
+        // Each side of the garment has its own drawing, pattern and face map
+        this.surfaces = {
+            [FACES.FRONT]: this.createSurface(),
+            [FACES.BACK]: this.createSurface()
+        };
+        this.viewSide = FACES.FRONT;
+        
+        // Canvas layers for different rendering stages. base, final and faces
+        // belong to the side being viewed.
         this.layers = {
-            base: this.createOffscreenCanvas(),      // Base shirt
+            base: this.surfaces[FACES.FRONT].base,   // Base shirt
             folds: this.createOffscreenCanvas(),     // Fold visualization
             dye: this.createOffscreenCanvas(),       // Dye application
-            final: this.createOffscreenCanvas()      // Final pattern
+            final: this.surfaces[FACES.FRONT].final, // Final pattern
+            faces: this.surfaces[FACES.FRONT].faces, // Which face each area was dyed from
+            reveal: this.createOffscreenCanvas()     // Unfolding animation, over everything
         };
         
-        // Shirt geometry
-        this.shirtGeometry = this.createShirtGeometry();
+        // Layers left out of compositing (e.g. the flat shirt while folded)
+        this.hiddenLayers = new Set(['faces', 'reveal']);
+        
+        // Layers drawn mirrored left to right (e.g. the bundle seen from the back)
+        this.mirroredLayers = new Set();
+        
+        // Garment geometry from the selected template
+        this.garment = createGarment(SHIRT_CONFIG.TEMPLATE);
+        
+        // What the garment is made of, and its weave to fill it with
+        this.fabric = getFabric(SHIRT_CONFIG.FABRIC);
+        this.weave = createWeaveTile(this.fabric);
         
         // State
         this.currentLayer = 'base';
@@ -44,77 +66,119 @@ export class TShirtCanvas extends EventEmitter {
         return canvas;
     }
 
-    createShirtGeometry() {
-        const { WIDTH, HEIGHT, CENTER_X, CENTER_Y } = SHIRT_CONFIG;
-        
-        // T-shirt shape as a path
+    drawBackground() {
+        this.ctx.fillStyle = CANVAS_CONFIG.BACKGROUND_COLOR;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    createSurface() {
         return {
-            body: {
-                x: CENTER_X - WIDTH / 2,
-                y: CENTER_Y - HEIGHT / 2 + 80,
-                width: WIDTH,
-                height: HEIGHT - 80
-            },
-            neckline: {
-                x: CENTER_X,
-                y: CENTER_Y - HEIGHT / 2 + 80,
-                radius: 40
-            },
-            sleeves: [
-                { // Left sleeve
-                    x: CENTER_X - WIDTH / 2,
-                    y: CENTER_Y - HEIGHT / 2 + 100,
-                    width: -80,
-                    height: 120
-                },
-                { // Right sleeve
-                    x: CENTER_X + WIDTH / 2,
-                    y: CENTER_Y - HEIGHT / 2 + 100,
-                    width: 80,
-                    height: 120
-                }
-            ]
+            base: this.createOffscreenCanvas(),
+            final: this.createOffscreenCanvas(),
+            faces: this.createOffscreenCanvas()
         };
     }
 
-    drawBackground() {
-        this.ctx.fillStyle = CANVAS_CONFIG.BACKGROUND_COLOR;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    getSurface(side) {
+        return this.surfaces[side];
+    }
+
+    // Show the garment from the front or turned over. The back is seen
+    // mirrored left to right, like the back of the bundle.
+    setViewSide(side) {
+        if (side === this.viewSide) return;
+        
+        this.viewSide = side;
+        const surface = this.surfaces[side];
+        this.layers.base = surface.base;
+        this.layers.final = surface.final;
+        this.layers.faces = surface.faces;
+        this.isDirty = true;
+        this.emit(EVENTS.VIEW_SIDE_CHANGED, { side });
+    }
+
+    getViewSide() {
+        return this.viewSide;
+    }
+
+    // Clear the finished pattern and face map of both sides
+    clearSurfaces() {
+        for (const surface of Object.values(this.surfaces)) {
+            surface.final.getContext('2d').clearRect(0, 0, surface.final.width, surface.final.height);
+            surface.faces.getContext('2d').clearRect(0, 0, surface.faces.width, surface.faces.height);
+        }
+        this.isDirty = true;
+    }
+
+    // Mirror a context so drawing in garment coordinates shows the back
+    mirrorForSide(ctx, side) {
+        if (side === FACES.BACK) {
+            ctx.translate(this.canvas.width, 0);
+            ctx.scale(-1, 1);
+        }
+    }
+
+    // Switch to another garment template and redraw it
+    setGarment(type) {
+        this.garment = createGarment(type);
+        this.drawShirt();
+        this.emit(EVENTS.GARMENT_CHANGED, { garment: this.garment });
+    }
+
+    // Switch to another fabric and redraw the cloth
+    setFabric(type) {
+        this.fabric = getFabric(type);
+        this.weave = createWeaveTile(this.fabric);
+        this.drawShirt();
+        this.emit(EVENTS.FABRIC_CHANGED, { fabric: this.fabric });
+    }
+
+    getFabric() {
+        return this.fabric;
+    }
+
+    getGarment() {
+        return this.garment;
+    }
+
+    // Garment and fabric, for project files
+    serialize() {
+        return { garment: this.garment.type, fabric: this.fabric.type };
+    }
+
+    deserialize(data) {
+        this.setGarment(data.garment);
+        this.setFabric(data.fabric);
     }
 
     drawShirt() {
-        const ctx = this.layers.base.getContext('2d');
-        const { body, neckline, sleeves } = this.shirtGeometry;
+        for (const side of Object.values(FACES)) {
+            this.drawGarmentSide(this.surfaces[side].base.getContext('2d'), side);
+        }
         
+        this.isDirty = true;
+    }
+
+    drawGarmentSide(ctx, side) {
         ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Draw shirt body
-        ctx.fillStyle = SHIRT_CONFIG.COLOR;
+        ctx.save();
+        this.mirrorForSide(ctx, side);
+        ctx.fillStyle = ctx.createPattern(this.weave, 'repeat');
         ctx.strokeStyle = SHIRT_CONFIG.OUTLINE_COLOR;
         ctx.lineWidth = SHIRT_CONFIG.OUTLINE_WIDTH;
         
-        ctx.beginPath();
-        
-        // Body rectangle
-        ctx.rect(body.x, body.y, body.width, body.height);
-        
-        // Left sleeve
-        ctx.rect(sleeves[0].x, sleeves[0].y, sleeves[0].width, sleeves[0].height);
-        
-        // Right sleeve
-        ctx.rect(sleeves[1].x, sleeves[1].y, sleeves[1].width, sleeves[1].height);
-        
-        ctx.fill();
-        ctx.stroke();
-        
-        // Draw neckline
-        ctx.fillStyle = CANVAS_CONFIG.BACKGROUND_COLOR;
-        ctx.beginPath();
-        ctx.arc(neckline.x, neckline.y, neckline.radius, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.stroke();
+        // The panel facing the viewer goes on top, with the other showing
+        // through the neckline and around the hood
+        const panels = side === FACES.BACK ? ['front', 'back'] : ['back', 'front'];
+        for (const panel of panels) {
+            if (!this.garment.panels[panel]) continue;
+            this.garment.tracePanel(ctx, panel);
+            ctx.fill();
+            ctx.stroke();
+        }
         
-        this.isDirty = true;
+        ctx.restore();
     }
 
     render() {
@@ -122,11 +186,20 @@ export class TShirtCanvas extends EventEmitter {
         
         this.drawBackground();
         
-        // Composite all layers
-        this.ctx.drawImage(this.layers.base, 0, 0);
-        this.ctx.drawImage(this.layers.folds, 0, 0);
-        this.ctx.drawImage(this.layers.dye, 0, 0);
-        this.ctx.drawImage(this.layers.final, 0, 0);
+        // Composite all visible layers
+        for (const [name, layer] of Object.entries(this.layers)) {
+            if (this.hiddenLayers.has(name)) continue;
+            
+            if (this.mirroredLayers.has(name)) {
+                this.ctx.save();
+                this.ctx.translate(this.canvas.width, 0);
+                this.ctx.scale(-1, 1);
+                this.ctx.drawImage(layer, 0, 0);
+                this.ctx.restore();
+            } else {
+                this.ctx.drawImage(layer, 0, 0);
+            }
+        }
         
         this.isDirty = false;
     }
@@ -142,32 +215,69 @@ export class TShirtCanvas extends EventEmitter {
         this.isDirty = true;
     }
 
+    setLayerVisible(layerName, visible) {
+        if (visible) {
+            this.hiddenLayers.delete(layerName);
+        } else {
+            this.hiddenLayers.add(layerName);
+        }
+        this.isDirty = true;
+    }
+
+    setLayerMirrored(layerName, mirrored) {
+        if (mirrored) {
+            this.mirroredLayers.add(layerName);
+        } else {
+            this.mirroredLayers.delete(layerName);
+        }
+        this.isDirty = true;
+    }
+
     markDirty() {
         this.isDirty = true;
     }
 
     isPointOnShirt(x, y) {
-        const { body, sleeves } = this.shirtGeometry;
-        
-        // Check body
-        if (x >= body.x && x <= body.x + body.width &&
-            y >= body.y && y <= body.y + body.height) {
-            return true;
-        }
+        return this.garment.contains(x, y);
+    }
+
+    // Both sides of the garment with their pattern, side by side and cropped
+    // to the garment's outline
+    exportGarment(margin = 10) {
+        const bounds = this.garment.getBounds();
+        const width = Math.ceil(bounds.width + margin * 2);
+        const canvas = document.createElement('canvas');
+        canvas.width = width * 2;
+        canvas.height = Math.ceil(bounds.height + margin * 2);
         
-        // Check sleeves
-        for (const sleeve of sleeves) {
-            const sleeveRight = sleeve.x + sleeve.width;
-            const sleeveBottom = sleeve.y + sleeve.height;
+        const ctx = canvas.getContext('2d');
+        Object.values(FACES).forEach((side, i) => {
+            // The back view is mirrored, so its outline sits mirrored too
+            const left = side === FACES.BACK
+                ? this.canvas.width - bounds.x - bounds.width
+                : bounds.x;
             
-            if ((sleeve.width > 0 && x >= sleeve.x && x <= sleeveRight ||
-                 sleeve.width < 0 && x <= sleeve.x && x >= sleeveRight) &&
-                y >= sleeve.y && y <= sleeveBottom) {
-                return true;
-            }
-        }
+            ctx.save();
+            ctx.translate(i * width + margin - left, margin - bounds.y);
+            ctx.drawImage(this.surfaces[side].base, 0, 0);
+            ctx.drawImage(this.surfaces[side].final, 0, 0);
+            ctx.restore();
+        });
+        return canvas;
+    }
+
+    // A small copy of an image (the garment view by default), scaled to fit
+    // a square of `size` pixels
+    createThumbnail(source = this.canvas, size = GALLERY_CONFIG.THUMBNAIL_SIZE) {
+        const scale = Math.min(1, size / Math.max(source.width, source.height));
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = Math.round(source.width * scale);
+        thumbnail.height = Math.round(source.height * scale);
         
-        return false;
+        const ctx = thumbnail.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, 0, 0, thumbnail.width, thumbnail.height);
+        return thumbnail;
     }
 
     getImageData() {
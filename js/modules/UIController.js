@@ -1,92 +1,484 @@
 // UIController.js - Manages user interface interactions
 
-import { EventEmitter, getCanvasPoint } from './utils.js';
-import { PHASES, FOLD_TYPES, EVENTS, COLOR_PRESETS } from '../config/constants.js';
+import { EventEmitter, getCanvasPoint, distance, rgbToHex, debounce, randomSeed, MAX_SEED } from './utils.js';
+import { GARMENT_TEMPLATES } from './Garments.js';
+import { FABRIC_PRESETS } from './Fabrics.js';
+import { SWATCH_CONCENTRATIONS, RECIPE_FAMILY } from './DyeLibrary.js';
+import { PaletteAssistant, SCHEME_LABELS } from './PaletteAssistant.js';
+import { FoldCommand, ClearFoldsCommand, DyeCommand, SettingCommand } from './History.js';
+import { serializeProject, parseProject, readProject, loadProject, PROJECT_EXTENSION } from './Project.js';
+import { encodeShareLink } from './ShareLink.js';
+import { getPrintSize, renderPrint, encodePrint } from './PrintExport.js';
+import { getSewingSize, exportPieces } from './CutAndSew.js';
+import { createFoldPlanSvg, createInstructionSheet } from './FoldPlan.js';
+import { getVideoType } from './UnfoldAnimation.js';
+import { PHASES, FACES, EVENTS, FOLD_CONFIG, CURE_CONFIG, PALETTE_CONFIG, PRINT_CONFIG, SEWING_CONFIG, GALLERY_CONFIG } from '../config/constants.js';
 
 export class UIController extends EventEmitter {
-    constructor(canvas, foldingEngine, dyePhysics, colorManager, patternGenerator) {
+    constructor(canvas, foldingEngine, dyePhysics, colorManager, patternGenerator, history, gallery,
+                unfoldAnimation) {
         super();
         this.canvas = canvas;
         this.foldingEngine = foldingEngine;
         this.dyePhysics = dyePhysics;
         this.colorManager = colorManager;
         this.patternGenerator = patternGenerator;
+        this.history = history;
+        this.gallery = gallery;
+        this.unfoldAnimation = unfoldAnimation;
         
         this.currentPhase = PHASES.FOLD;
         this.selectedFoldType = null;
+        this.foldParams = {};
+        this.dragHandle = null;
+        this.selectedBinding = null;
+        this.bindingDrag = null;
+        this.paletteAssistant = new PaletteAssistant(colorManager);
+        this.designId = null;           // Gallery design being worked on, if any
+        this.unfolded = false;          // Whether the garment shows the unfolded pattern
+        this.savingAnimation = false;
+        this.autosave = debounce(() => this.saveSession(), GALLERY_CONFIG.AUTOSAVE_DELAY);
         
         this.initializeUI();
         this.attachEventListeners();
     }
 
     initializeUI() {
-        this.createColorPresets();
+        this.createGarmentOptions();
+        this.createFabricOptions();
+        this.createDyeLibrary();
+        this.createRecipeBuilder();
+        this.initializePaletteControls();
+        this.updateConcentration();
+        this.initializeCureControls();
+        this.initializePrintControls();
         this.updatePhaseDisplay();
     }
 
-    createColorPresets() {
-        const container = document.getElementById('preset-colors');
+    initializeCureControls() {
+        const hours = document.getElementById('cure-hours');
+        hours.min = CURE_CONFIG.MIN_HOURS;
+        hours.max = CURE_CONFIG.MAX_HOURS;
+        hours.value = CURE_CONFIG.DEFAULT_HOURS;
+        this.updateCureHours();
+    }
+
+    initializePrintControls() {
+        document.getElementById('print-width').value = PRINT_CONFIG.DEFAULT_WIDTH;
+        document.getElementById('print-dpi').value = PRINT_CONFIG.DEFAULT_DPI;
+        document.getElementById('print-bleed').value = PRINT_CONFIG.DEFAULT_BLEED;
+        this.updatePrintSize();
+
+        document.getElementById('sew-width').value = SEWING_CONFIG.DEFAULT_BODY_WIDTH;
+        document.getElementById('sew-dpi').value = SEWING_CONFIG.DEFAULT_DPI;
+        document.getElementById('sew-allowance').value = SEWING_CONFIG.DEFAULT_ALLOWANCE;
+        this.updateSewingSize();
+
+        // Video is recorded by the browser, which not every one can do
+        document.querySelector('#animation-format option[value="webm"]').disabled = !getVideoType();
+        this.updatePlayback();
+    }
+
+    updateCureHours() {
+        document.getElementById('cure-hours-value').textContent = 
+            `${document.getElementById('cure-hours').value} h`;
+    }
+
+    createGarmentOptions() {
+        const select = document.getElementById('garment-select');
+        
+        Object.entries(GARMENT_TEMPLATES).forEach(([type, template]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = template.label;
+            select.appendChild(option);
+        });
         
-        COLOR_PRESETS.forEach(preset => {
-            const colorDiv = document.createElement('div');
-            colorDiv.className = 'preset-color';
-            colorDiv.style.backgroundColor = preset.hex;
-            colorDiv.title = preset.name;
-            colorDiv.dataset.color = preset.hex;
+        select.value = this.canvas.getGarment().type;
+    }
+
+    createFabricOptions() {
+        const select = document.getElementById('fabric-select');
+        
+        Object.entries(FABRIC_PRESETS).forEach(([type, fabric]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = fabric.label;
+            select.appendChild(option);
+        });
+        
+        select.value = this.canvas.getFabric().type;
+    }
+
+    // Library swatches grouped by family; saved recipes can be removed
+    createDyeLibrary() {
+        const container = document.getElementById('dye-library');
+        const library = this.colorManager.getLibrary();
+        const current = this.colorManager.getCurrentDye();
+        container.replaceChildren();
+        
+        for (const [family, dyes] of library.getFamilies()) {
+            const heading = document.createElement('h4');
+            heading.textContent = family;
+            const swatches = document.createElement('div');
+            swatches.className = 'preset-colors';
             
-            colorDiv.addEventListener('click', () => {
-                this.selectPresetColor(preset.hex);
-                document.querySelectorAll('.preset-color').forEach(el => 
-                    el.classList.remove('active'));
-                colorDiv.classList.add('active');
+            dyes.forEach(dye => {
+                const colorDiv = document.createElement('div');
+                colorDiv.className = 'preset-color';
+                colorDiv.style.backgroundColor = this.toHex(this.colorManager.getDyeColor(dye.id));
+                colorDiv.title = dye.components
+                    ? `${dye.name} (${library.getComponents(dye.id).map(c => c.dye.name).join(', ')})`
+                    : dye.name;
+                colorDiv.dataset.dye = dye.id;
+                colorDiv.classList.toggle('active', current === dye);
+                colorDiv.addEventListener('click', () => this.selectDye(dye.id));
+                
+                if (family === RECIPE_FAMILY) {
+                    const remove = document.createElement('button');
+                    remove.className = 'remove-recipe';
+                    remove.textContent = '×';
+                    remove.title = `Delete ${dye.name}`;
+                    remove.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.deleteRecipe(dye.id);
+                    });
+                    colorDiv.appendChild(remove);
+                }
+                
+                swatches.appendChild(colorDiv);
             });
             
-            container.appendChild(colorDiv);
+            container.appendChild(heading);
+            container.appendChild(swatches);
+        }
+    }
+
+    // One parts field per pure dye; mixed dyes are recipes already
+    createRecipeBuilder() {
+        const container = document.getElementById('recipe-parts');
+        
+        this.colorManager.getLibrary().getBaseDyes().forEach(dye => {
+            const label = document.createElement('label');
+            label.className = 'recipe-part';
+            const swatch = document.createElement('span');
+            swatch.className = 'recipe-swatch';
+            swatch.style.backgroundColor = this.toHex(this.colorManager.getDyeColor(dye.id));
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = 0;
+            input.max = 10;
+            input.value = 0;
+            input.dataset.recipeDye = dye.id;
+            input.addEventListener('input', () => this.updateRecipePreview());
+            
+            label.append(swatch, dye.name, input);
+            container.appendChild(label);
+        });
+        
+        document.getElementById('recipe-name').addEventListener('input', () => 
+            this.updateRecipePreview());
+        document.getElementById('save-recipe').addEventListener('click', () => 
+            this.saveRecipe());
+    }
+
+    getRecipeParts() {
+        return Array.from(document.querySelectorAll('[data-recipe-dye]'))
+            .map(input => ({ dye: input.dataset.recipeDye, parts: parseFloat(input.value) || 0 }))
+            .filter(part => part.parts > 0);
+    }
+
+    updateRecipePreview() {
+        const parts = this.getRecipeParts();
+        const total = parts.reduce((sum, part) => sum + part.parts, 0);
+        const library = this.colorManager.getLibrary();
+        const preview = document.getElementById('recipe-preview');
+        
+        preview.style.backgroundColor = total > 0
+            ? this.toHex(this.colorManager.mixColorants(parts.map(part => ({
+                ks: library.getColorant(part.dye),
+                weight: part.parts / total
+            }))))
+            : 'transparent';
+        document.getElementById('save-recipe').disabled = 
+            total === 0 || !document.getElementById('recipe-name').value.trim();
+    }
+
+    saveRecipe() {
+        const name = document.getElementById('recipe-name').value;
+        const recipe = this.colorManager.getLibrary().saveRecipe(name, this.getRecipeParts());
+        
+        document.getElementById('recipe-name').value = '';
+        document.querySelectorAll('[data-recipe-dye]').forEach(input => { input.value = 0; });
+        this.updateRecipePreview();
+        this.createDyeLibrary();
+        this.selectDye(recipe.id);
+    }
+
+    deleteRecipe(id) {
+        // Keep dyeing with its colour, just no longer as the recipe
+        const current = this.colorManager.getCurrentDye();
+        if (current && current.id === id) {
+            this.colorManager.setColor(this.colorManager.getCurrentColorHex());
+        }
+        this.colorManager.getLibrary().deleteRecipe(id);
+        this.colorManager.setPalette(this.colorManager.getPalette());
+        this.createDyeLibrary();
+        this.updatePalette();
+    }
+
+    initializePaletteControls() {
+        const size = document.getElementById('palette-size');
+        size.min = PALETTE_CONFIG.MIN_SIZE;
+        size.max = PALETTE_CONFIG.MAX_SIZE;
+        size.value = PALETTE_CONFIG.DEFAULT_SIZE;
+        this.updatePalette();
+    }
+
+    // Swatches that dye with a single colour each
+    createSwatches(container, dyes, onClick) {
+        container.replaceChildren();
+        const current = this.colorManager.getCurrentDye();
+        const library = this.colorManager.getLibrary();
+        
+        dyes.forEach(id => {
+            const swatch = document.createElement('div');
+            swatch.className = 'preset-color';
+            swatch.style.backgroundColor = this.toHex(this.colorManager.getDyeColor(id));
+            swatch.title = library.getDye(id).name;
+            swatch.dataset.dye = id;
+            swatch.classList.toggle('active', current !== null && current.id === id);
+            swatch.addEventListener('click', () => onClick(id));
+            container.appendChild(swatch);
+        });
+    }
+
+    // Where each pair of neighbouring dyes meets, marked when it turns muddy
+    createMixes(container, pairs) {
+        container.replaceChildren();
+        const library = this.colorManager.getLibrary();
+        
+        pairs.forEach(pair => {
+            const mix = document.createElement('div');
+            mix.className = 'palette-mix';
+            mix.classList.toggle('muddy', pair.muddy);
+            mix.style.backgroundColor = this.toHex(pair.mix);
+            mix.title = pair.dyes.map(id => library.getDye(id).name).join(' + ') +
+                (pair.muddy ? ' – muddy' : '');
+            container.appendChild(mix);
+        });
+    }
+
+    // The palette the user is working with, and what its overlaps will be
+    updatePalette() {
+        const palette = this.colorManager.getPalette();
+        const { pairs, muddy } = this.paletteAssistant.analyze(palette);
+        
+        this.createSwatches(document.getElementById('palette-swatches'), palette, 
+            id => this.selectDye(id));
+        this.createMixes(document.getElementById('palette-mixes'), pairs);
+        document.getElementById('palette-warning').classList.toggle('hidden', !muddy);
+        document.getElementById('palette-add').disabled = 
+            !this.colorManager.getCurrentDye() || palette.length >= PALETTE_CONFIG.MAX_SIZE;
+    }
+
+    addToPalette() {
+        const dye = this.colorManager.getCurrentDye();
+        const palette = this.colorManager.getPalette();
+        if (!dye || palette.includes(dye.id)) return;
+        
+        this.colorManager.setPalette([...palette, dye.id]);
+        this.updatePalette();
+    }
+
+    // One suggestion per harmony, built round the current colour
+    updatePaletteSuggestions() {
+        const container = document.getElementById('palette-suggestions');
+        if (!document.getElementById('palette-assistant').open) return;
+        
+        const size = parseInt(document.getElementById('palette-size').value) || 
+            PALETTE_CONFIG.DEFAULT_SIZE;
+        const suggestions = this.paletteAssistant.suggestAll(this.colorManager.getCurrentColor(), 
+            Math.max(PALETTE_CONFIG.MIN_SIZE, Math.min(size, PALETTE_CONFIG.MAX_SIZE)));
+        container.replaceChildren();
+        
+        suggestions.forEach(suggestion => {
+            const item = document.createElement('div');
+            item.className = 'palette-suggestion';
+            const header = document.createElement('div');
+            header.className = 'palette-header';
+            const title = document.createElement('h4');
+            title.textContent = SCHEME_LABELS[suggestion.scheme];
+            const use = document.createElement('button');
+            use.textContent = 'Use';
+            use.addEventListener('click', () => this.usePalette(suggestion.dyes));
+            header.append(title, use);
+            
+            const swatches = document.createElement('div');
+            swatches.className = 'preset-colors';
+            this.createSwatches(swatches, suggestion.dyes, id => this.selectDye(id));
+            const mixes = document.createElement('div');
+            mixes.className = 'palette-mixes';
+            this.createMixes(mixes, suggestion.pairs);
+            
+            item.append(header, swatches, mixes);
+            if (suggestion.muddy) {
+                const warning = document.createElement('div');
+                warning.className = 'palette-warning';
+                warning.textContent = 'Some overlaps will turn muddy';
+                item.appendChild(warning);
+            }
+            container.appendChild(item);
         });
     }
 
+    // Load a palette into the swatches and start dyeing with its first dye
+    usePalette(dyes) {
+        this.colorManager.setPalette(dyes);
+        if (dyes.length > 0) this.selectDye(dyes[0]);
+    }
+
+    // Concentration label, and the current dye at the library's strengths
+    updateConcentration() {
+        const concentration = this.dyePhysics.getConcentration();
+        document.getElementById('dye-concentration').textContent = 
+            `${concentration.toFixed(2)} tsp/cup`;
+        
+        const strip = document.getElementById('concentration-strip');
+        strip.replaceChildren();
+        const nearest = SWATCH_CONCENTRATIONS.reduce((best, value) => 
+            Math.abs(Math.log(value / concentration)) < Math.abs(Math.log(best / concentration)) ? value : best);
+        
+        SWATCH_CONCENTRATIONS.forEach(value => {
+            const swatch = document.createElement('div');
+            swatch.className = 'concentration-swatch';
+            swatch.classList.toggle('active', value === nearest);
+            swatch.style.backgroundColor = this.toHex(this.colorManager.colorAtConcentration(value));
+            swatch.textContent = value;
+            swatch.title = `${value} tsp/cup`;
+            strip.appendChild(swatch);
+        });
+    }
+
+    toHex(color) {
+        return rgbToHex(color.r, color.g, color.b);
+    }
+
     attachEventListeners() {
-        // Canvas interactions
+        // Canvas interactions; pointer events carry pen pressure
         const canvasEl = this.canvas.canvas;
-        canvasEl.addEventListener('mousedown', (e) => this.handleCanvasMouseDown(e));
-        canvasEl.addEventListener('mousemove', (e) => this.handleCanvasMouseMove(e));
-        canvasEl.addEventListener('mouseup', () => this.handleCanvasMouseUp());
-        canvasEl.addEventListener('mouseleave', () => this.handleCanvasMouseUp());
+        canvasEl.addEventListener('pointerdown', (e) => this.handleCanvasMouseDown(e));
+        canvasEl.addEventListener('pointermove', (e) => this.handleCanvasMouseMove(e));
+        canvasEl.addEventListener('pointerup', () => this.handleCanvasMouseUp());
+        canvasEl.addEventListener('pointerleave', () => this.handleCanvasMouseUp());
+
+        // Garment
+        document.getElementById('garment-select').addEventListener('change', (e) => 
+            this.selectGarment(e.target.value));
+
+        document.getElementById('fabric-select').addEventListener('change', (e) => 
+            this.selectFabric(e.target.value));
 
         // Fold controls
         document.querySelectorAll('[data-fold]').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.selectedFoldType = e.target.dataset.fold;
+            btn.addEventListener('click', (e) => 
+                this.selectFoldType(e.target.dataset.fold));
+        });
+
+        document.getElementById('apply-fold').addEventListener('click', () => {
+            if (this.selectedFoldType) {
                 this.applyFold(this.selectedFoldType);
-            });
+            }
         });
 
-        document.getElementById('undo-fold').addEventListener('click', () => 
-            this.foldingEngine.undo());
-        document.getElementById('redo-fold').addEventListener('click', () => 
-            this.foldingEngine.redo());
+        document.querySelectorAll('[data-binding]').forEach(btn => {
+            btn.addEventListener('click', (e) => 
+                this.selectBinding(e.target.dataset.binding));
+        });
+
+        // The bundle changes shape, so refresh any fold being set up
+        [EVENTS.FOLD_UNDONE, EVENTS.FOLD_CLEARED].forEach(event => 
+            this.foldingEngine.on(event, () => this.previewSelectedFold()));
+
         document.getElementById('clear-folds').addEventListener('click', () => 
-            this.foldingEngine.clear());
+            this.clearFolds());
 
         // Dye controls
-        document.getElementById('dye-color').addEventListener('input', (e) => {
-            this.colorManager.setColor(e.target.value);
+        document.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.addEventListener('click', (e) => 
+                this.selectDyeTool(e.target.dataset.tool));
         });
 
-        document.getElementById('dye-intensity').addEventListener('input', (e) => {
-            this.dyePhysics.setIntensity(parseInt(e.target.value));
-        });
+        document.getElementById('dye-color').addEventListener('input', (e) => 
+            this.setCustomColor(e.target.value));
 
-        document.getElementById('brush-size').addEventListener('input', (e) => {
-            this.dyePhysics.setBrushSize(parseInt(e.target.value));
+        document.getElementById('palette-add').addEventListener('click', () => 
+            this.addToPalette());
+        document.getElementById('palette-clear').addEventListener('click', () => {
+            this.colorManager.setPalette([]);
+            this.updatePalette();
         });
+        document.getElementById('palette-assistant').addEventListener('toggle', () => 
+            this.updatePaletteSuggestions());
+        document.getElementById('palette-size').addEventListener('input', () => 
+            this.updatePaletteSuggestions());
+
+        document.getElementById('dye-intensity').addEventListener('input', (e) => 
+            this.setIntensity(parseInt(e.target.value)));
+
+        document.getElementById('brush-size').addEventListener('input', (e) => 
+            this.setBrushSize(parseInt(e.target.value)));
 
         document.getElementById('clear-dye').addEventListener('click', () => 
-            this.dyePhysics.clear());
+            this.clearDye());
+
+        document.getElementById('flip-bundle').addEventListener('click', () => 
+            this.foldingEngine.flipBundle());
+
+        this.foldingEngine.on(EVENTS.BUNDLE_FLIPPED, ({ face }) => {
+            document.getElementById('face-indicator').textContent = 
+                face === FACES.BACK ? 'Dyeing the back' : 'Dyeing the front';
+        });
+
+        // Cure controls
+        document.getElementById('cure-hours').addEventListener('input', () => 
+            this.updateCureHours());
+
+        document.getElementById('cure-btn').addEventListener('click', () => 
+            this.cure(parseFloat(document.getElementById('cure-hours').value)));
+
+        document.getElementById('rinse-btn').addEventListener('click', () => 
+            this.rinse());
+
+        this.dyePhysics.on(EVENTS.CURE_START, () => this.updatePhaseDisplay());
+        this.dyePhysics.on(EVENTS.CURE_PROGRESS, ({ elapsed, total }) => 
+            this.updateCureClock(`Batching… ${this.formatHours(elapsed)} of ${this.formatHours(total)}`));
+        this.dyePhysics.on(EVENTS.CURE_COMPLETE, ({ time }) => {
+            this.updateCureClock(`Sat for ${this.formatHours(time)}`);
+            this.updatePhaseDisplay();
+        });
+        this.dyePhysics.on(EVENTS.DYE_RINSED, () => 
+            this.updateCureClock('Rinsed'));
+        this.dyePhysics.on(EVENTS.DYE_CLEARED, () => 
+            this.updateCureClock('Not batched yet'));
 
         // Unfold controls
         document.getElementById('unfold-btn').addEventListener('click', () => 
-            this.patternGenerator.generatePattern());
+            this.unfold());
+        
+        document.getElementById('unfold-play').addEventListener('click', () => {
+            if (this.unfoldAnimation.playing) {
+                this.unfoldAnimation.pause();
+            } else {
+                this.unfoldAnimation.play();
+            }
+        });
+        document.getElementById('unfold-scrub').addEventListener('input', (e) => {
+            this.unfoldAnimation.pause();
+            this.unfoldAnimation.seek(e.target.value / 1000 * this.unfoldAnimation.duration);
+        });
+        this.unfoldAnimation.on(EVENTS.UNFOLD_PROGRESS, () => 
+            this.updatePlayback());
         
         document.getElementById('reset-btn').addEventListener('click', () => 
             this.reset());
@@ -94,6 +486,116 @@ export class UIController extends EventEmitter {
         document.getElementById('save-btn').addEventListener('click', () => 
             this.savePattern());
 
+        ['print-area', 'print-width', 'print-dpi', 'print-bleed', 'print-format', 'print-crop-marks']
+            .forEach(id => document.getElementById(id).addEventListener('input', () => 
+                this.updatePrintSize()));
+        document.getElementById('print-btn').addEventListener('click', () => 
+            this.exportPrint());
+
+        ['sew-width', 'sew-dpi', 'sew-allowance', 'sew-format']
+            .forEach(id => document.getElementById(id).addEventListener('input', () => 
+                this.updateSewingSize()));
+        document.getElementById('sew-btn').addEventListener('click', () => 
+            this.exportPieces());
+
+        document.getElementById('fold-plan-btn').addEventListener('click', () => 
+            this.saveFoldPlan());
+        document.getElementById('instructions-btn').addEventListener('click', () => 
+            this.printInstructions());
+
+        document.getElementById('animation-btn').addEventListener('click', () => 
+            this.saveAnimation());
+
+        // Projects
+        document.getElementById('save-project').addEventListener('click', () => 
+            this.saveProject());
+        document.getElementById('share-project').addEventListener('click', () => 
+            this.shareDesign());
+        document.getElementById('open-project').addEventListener('click', () => 
+            document.getElementById('project-file').click());
+        document.getElementById('project-file').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.openProjectFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // Dropping a project file anywhere on the page opens it
+        document.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            document.body.classList.add('drag-over');
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) document.body.classList.remove('drag-over');
+        });
+        document.addEventListener('drop', (e) => {
+            if (!e.dataTransfer.files.length) return;
+            e.preventDefault();
+            document.body.classList.remove('drag-over');
+            this.openProjectFile(e.dataTransfer.files[0]);
+        });
+
+        // Gallery
+        document.getElementById('open-gallery').disabled = !this.gallery.isAvailable();
+        document.getElementById('open-gallery').addEventListener('click', () => 
+            this.openGallery());
+        document.getElementById('close-gallery').addEventListener('click', () => 
+            document.getElementById('gallery').close());
+        document.getElementById('save-design').addEventListener('click', () => 
+            this.saveDesign());
+        document.getElementById('save-design-copy').addEventListener('click', () => 
+            this.saveDesign(true));
+        document.getElementById('gallery-search').addEventListener('input', debounce(() => 
+            this.updateGallery(), 200));
+
+        // The session is saved shortly after every change, and straight away
+        // when the tab is hidden, which may be the last chance before it closes
+        this.history.on(EVENTS.HISTORY_CHANGED, () => {
+            this.unfolded = false;
+            this.unfoldAnimation.clear();
+            this.updatePrintSize();
+            this.updateSewingSize();
+            this.autosave();
+        });
+        this.on(EVENTS.PHASE_CHANGED, ({ phase }) => {
+            // Leaving the result behind finishes the animation
+            if (phase !== PHASES.UNFOLD) this.unfoldAnimation.stop();
+            this.autosave();
+        });
+        this.patternGenerator.on(EVENTS.UNFOLD_COMPLETE, () => {
+            this.unfolded = true;
+            this.updatePrintSize();
+            this.updateSewingSize();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveSession();
+        });
+
+        document.getElementById('show-faces').addEventListener('change', (e) => 
+            this.canvas.setLayerVisible('faces', e.target.checked));
+
+        document.getElementById('flip-view').addEventListener('click', () => 
+            this.canvas.setViewSide(this.canvas.getViewSide() === FACES.BACK ? FACES.FRONT : FACES.BACK));
+
+        this.canvas.on(EVENTS.VIEW_SIDE_CHANGED, ({ side }) => {
+            document.getElementById('flip-view').textContent = 
+                side === FACES.BACK ? 'View Front' : 'View Back';
+        });
+
+        // History
+        document.getElementById('undo').addEventListener('click', () => this.undo());
+        document.getElementById('redo').addEventListener('click', () => this.redo());
+        document.getElementById('history-timeline').addEventListener('input', (e) => 
+            this.seekHistory(parseInt(e.target.value)));
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Undoing or redoing a step goes back to the phase it was taken in
+        this.history.on(EVENTS.HISTORY_CHANGED, ({ command }) => {
+            if (command && command.phase && command.phase !== this.currentPhase) {
+                this.setPhase(command.phase);
+            }
+            this.updateHistoryDisplay();
+        });
+
         // Phase navigation
         document.getElementById('prev-phase').addEventListener('click', () => 
             this.previousPhase());
@@ -104,54 +606,482 @@ export class UIController extends EventEmitter {
     handleCanvasMouseDown(e) {
         const point = getCanvasPoint(this.canvas.canvas, e);
         
-        if (this.currentPhase === PHASES.DYE) {
-            this.dyePhysics.startApplying(point.x, point.y);
+        if (this.currentPhase === PHASES.FOLD) {
+            if (this.selectedBinding) {
+                this.bindingDrag = { x1: point.x, y1: point.y, x2: point.x, y2: point.y };
+            } else {
+                this.startHandleDrag(point);
+            }
+        } else if (this.currentPhase === PHASES.DYE) {
+            // Devices without pressure may report 0; the stroke then uses its default
+            this.dyePhysics.startApplying(point.x, point.y, e.pressure || undefined);
         }
     }
 
     handleCanvasMouseMove(e) {
         const point = getCanvasPoint(this.canvas.canvas, e);
         
-        if (this.currentPhase === PHASES.DYE) {
-            this.dyePhysics.continueApplying(point.x, point.y);
+        if (this.currentPhase === PHASES.FOLD) {
+            if (this.bindingDrag) {
+                this.bindingDrag.x2 = point.x;
+                this.bindingDrag.y2 = point.y;
+                this.foldingEngine.previewBinding(this.selectedBinding, this.getBindingGeometry());
+            } else if (this.dragHandle) {
+                this.moveHandle(this.dragHandle, point);
+            }
+        } else if (this.currentPhase === PHASES.DYE) {
+            this.dyePhysics.continueApplying(point.x, point.y, e.pressure || undefined);
         }
     }
 
     handleCanvasMouseUp() {
+        this.dragHandle = null;
+        
+        if (this.bindingDrag) {
+            this.finishBinding();
+        }
+        
         if (this.currentPhase === PHASES.DYE) {
-            this.dyePhysics.stopApplying();
+            const before = this.dyePhysics.stopApplying();
+            if (before !== null) {
+                this.history.push(new DyeCommand(this.dyePhysics, 
+                    `Dye: ${this.dyePhysics.currentTool}`, before));
+            }
+        }
+    }
+
+    selectBinding(bindingType) {
+        this.deselectFoldType();
+        this.selectedBinding = bindingType;
+        
+        document.querySelectorAll('[data-binding]').forEach(btn => 
+            btn.classList.toggle('active', btn.dataset.binding === bindingType));
+        this.canvas.canvas.style.cursor = 'crosshair';
+    }
+
+    deselectBinding() {
+        this.selectedBinding = null;
+        this.bindingDrag = null;
+        
+        document.querySelectorAll('[data-binding]').forEach(btn => 
+            btn.classList.remove('active'));
+        this.canvas.canvas.style.cursor = 'default';
+    }
+
+    getBindingGeometry() {
+        const width = parseFloat(document.getElementById('binding-width').value);
+        return { ...this.bindingDrag, width };
+    }
+
+    finishBinding() {
+        const geometry = this.getBindingGeometry();
+        this.bindingDrag = null;
+        
+        // Ignore clicks that did not drag out a binding
+        if (distance(geometry.x1, geometry.y1, geometry.x2, geometry.y2) < 3) {
+            this.foldingEngine.clearPreview();
+            return;
+        }
+        
+        const binding = this.foldingEngine.addBinding(this.selectedBinding, geometry);
+        if (binding) {
+            this.history.push(new FoldCommand(this.foldingEngine, binding));
+        }
+    }
+
+    selectFoldType(foldType) {
+        this.deselectBinding();
+        this.selectedFoldType = foldType;
+        this.foldParams = this.foldingEngine.resolveFoldParams(foldType);
+        
+        document.querySelectorAll('[data-fold]').forEach(btn => 
+            btn.classList.toggle('active', btn.dataset.fold === foldType));
+        document.getElementById('apply-fold').disabled = false;
+        
+        this.buildFoldParamControls();
+        this.previewSelectedFold();
+    }
+
+    deselectFoldType() {
+        this.selectedFoldType = null;
+        this.foldParams = {};
+        
+        document.querySelectorAll('[data-fold]').forEach(btn => 
+            btn.classList.remove('active'));
+        document.getElementById('apply-fold').disabled = true;
+        document.getElementById('fold-params').innerHTML = '';
+        
+        this.foldingEngine.clearPreview();
+    }
+
+    // Build one input per entry in the selected fold type's schema
+    buildFoldParamControls() {
+        const container = document.getElementById('fold-params');
+        container.innerHTML = '';
+        
+        for (const field of this.foldingEngine.getFoldSchema(this.selectedFoldType)) {
+            const label = document.createElement('label');
+            const caption = document.createElement('span');
+            caption.textContent = field.label;
+            label.appendChild(caption);
+            
+            if (field.type === 'range' || field.type === 'angle') {
+                const input = document.createElement('input');
+                input.type = 'range';
+                input.min = field.min;
+                input.max = field.max;
+                input.step = field.step;
+                input.dataset.param = field.key;
+                input.addEventListener('input', () => 
+                    this.setFoldParam(field.key, parseFloat(input.value)));
+                
+                const value = document.createElement('span');
+                value.className = 'param-value';
+                value.dataset.paramValue = field.key;
+                caption.appendChild(value);
+                label.appendChild(input);
+            } else if (field.type === 'select') {
+                const select = document.createElement('select');
+                select.dataset.param = field.key;
+                field.options.forEach(option => {
+                    const optionEl = document.createElement('option');
+                    optionEl.value = option;
+                    optionEl.textContent = option;
+                    select.appendChild(optionEl);
+                });
+                select.addEventListener('change', () => 
+                    this.setFoldParam(field.key, select.value));
+                label.appendChild(select);
+            } else if (field.type === 'seed') {
+                const row = document.createElement('div');
+                row.className = 'seed-row';
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = 0;
+                input.max = MAX_SEED;
+                input.step = 1;
+                input.dataset.param = field.key;
+                input.addEventListener('change', () => {
+                    const seed = parseInt(input.value);
+                    if (seed >= 0 && seed <= MAX_SEED) this.setFoldSeed(seed);
+                });
+                const reroll = document.createElement('button');
+                reroll.textContent = 'Reroll';
+                reroll.title = 'Scatter the points again from a new seed';
+                reroll.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.setFoldSeed(randomSeed());
+                });
+                
+                row.append(input, reroll);
+                label.appendChild(row);
+            } else {
+                const hint = document.createElement('span');
+                hint.className = 'param-hint';
+                hint.dataset.paramValue = field.key;
+                label.appendChild(hint);
+            }
+            
+            container.appendChild(label);
+        }
+        
+        this.updateFoldParamControls();
+    }
+
+    // Reflect the current fold parameters in their inputs
+    updateFoldParamControls() {
+        const container = document.getElementById('fold-params');
+        
+        container.querySelectorAll('[data-param]').forEach(input => {
+            input.value = this.foldParams[input.dataset.param];
+        });
+        
+        container.querySelectorAll('[data-param-value]').forEach(output => {
+            const value = this.foldParams[output.dataset.paramValue];
+            if (Array.isArray(value)) {
+                output.textContent = 'Drag the points on the bundle';
+            } else if (value && typeof value === 'object') {
+                output.textContent = `(${Math.round(value.x)}, ${Math.round(value.y)}) - click or drag to move`;
+            } else {
+                output.textContent = ` ${value}`;
+            }
+        });
+    }
+
+    setFoldParam(key, value) {
+        this.changeFoldParams(key, { [key]: value });
+    }
+
+    // A new seed scatters the fold's points afresh
+    setFoldSeed(seed) {
+        this.changeFoldParams('seed', { seed, points: null });
+    }
+
+    // Each parameter's edits are a step in the history, so dragging a
+    // slider or handle is undone in one go
+    changeFoldParams(key, changes) {
+        const foldType = this.selectedFoldType;
+        const from = this.foldParams;
+        this.foldParams = this.foldingEngine.resolveFoldParams(foldType, { ...from, ...changes });
+        this.updateFoldParamControls();
+        this.previewSelectedFold();
+        
+        if (from[key] === this.foldParams[key]) return;
+        const field = this.foldingEngine.getFoldSchema(foldType).find(entry => entry.key === key);
+        this.recordSetting(`fold:${foldType}.${key}`, field ? field.label : key, from, this.foldParams,
+            params => this.applyFoldParams(foldType, params));
+    }
+
+    // Go back to a fold type's parameters, selecting it if it isn't
+    applyFoldParams(foldType, params) {
+        if (this.selectedFoldType !== foldType) this.selectFoldType(foldType);
+        this.foldParams = { ...params };
+        this.updateFoldParamControls();
+        this.previewSelectedFold();
+    }
+
+    previewSelectedFold() {
+        if (!this.selectedFoldType || this.currentPhase !== PHASES.FOLD) return;
+        this.foldingEngine.previewFold(this.selectedFoldType, this.foldParams);
+    }
+
+    // Grab the handle under the pointer, or move the fold's centre here
+    startHandleDrag(point) {
+        if (!this.selectedFoldType) return;
+        
+        const handles = this.foldingEngine.getFoldHandles(this.selectedFoldType, this.foldParams);
+        const grabbed = handles.find(handle => 
+            distance(point.x, point.y, handle.x, handle.y) <= FOLD_CONFIG.HANDLE_RADIUS + 4);
+        
+        if (grabbed) {
+            this.dragHandle = grabbed;
+            return;
+        }
+        
+        const centre = handles.find(handle => handle.type === 'point' && handle.index === undefined);
+        if (centre) {
+            this.dragHandle = centre;
+            this.moveHandle(centre, point);
+        }
+    }
+
+    moveHandle(handle, point) {
+        if (handle.type === 'angle') {
+            const { origin } = handle;
+            const degrees = Math.atan2(point.y - origin.y, point.x - origin.x) * 180 / Math.PI;
+            this.setFoldParam(handle.key, Math.round(((degrees % 180) + 180) % 180));
+        } else if (handle.index !== undefined) {
+            const points = this.foldParams[handle.key].map((p, i) => 
+                i === handle.index ? { x: point.x, y: point.y } : p);
+            this.setFoldParam(handle.key, points);
+        } else {
+            this.setFoldParam(handle.key, { x: point.x, y: point.y });
         }
     }
 
     applyFold(foldType) {
         const params = this.getFoldParameters(foldType);
-        this.foldingEngine.applyFold(foldType, params);
+        const fold = this.foldingEngine.applyFold(foldType, params);
+        if (fold) {
+            this.history.push(new FoldCommand(this.foldingEngine, fold));
+            this.deselectFoldType();
+        }
+    }
+
+    clearFolds() {
+        const folds = this.foldingEngine.getFolds();
+        if (folds.length === 0) return;
+        
+        this.foldingEngine.clear();
+        this.history.push(new ClearFoldsCommand(this.foldingEngine, folds));
     }
 
     getFoldParameters(foldType) {
-        switch (foldType) {
-            case FOLD_TYPES.ACCORDION:
-                return { direction: 'horizontal', numFolds: 3 };
-            case FOLD_TYPES.SPIRAL:
-                return { rotations: 2 };
-            case FOLD_TYPES.CRUMPLE:
-                return {};
-            case FOLD_TYPES.DIAGONAL:
-                return { angle: 45 };
-            default:
-                return {};
+        if (foldType === this.selectedFoldType) {
+            return { ...this.foldParams };
         }
+        return this.foldingEngine.resolveFoldParams(foldType);
+    }
+
+    // A different garment means starting over
+    selectGarment(type) {
+        this.canvas.setGarment(type);
+        this.reset();
+    }
+
+    selectFabric(type) {
+        const from = this.canvas.getFabric().type;
+        this.canvas.setFabric(type);
+        document.getElementById('fabric-select').value = type;
+        this.recordSetting('fabric', 'Fabric', from, type, value => this.selectFabric(value));
+    }
+
+    selectDyeTool(tool) {
+        const from = this.dyePhysics.currentTool;
+        this.dyePhysics.setTool(tool);
+        
+        document.querySelectorAll('[data-tool]').forEach(btn => 
+            btn.classList.toggle('active', btn.dataset.tool === this.dyePhysics.currentTool));
+        this.recordSetting('tool', 'Tool', from, this.dyePhysics.currentTool, 
+            value => this.selectDyeTool(value));
+    }
+
+    setIntensity(intensity) {
+        const from = this.dyePhysics.currentIntensity;
+        this.dyePhysics.setIntensity(intensity);
+        document.getElementById('dye-intensity').value = this.dyePhysics.currentIntensity;
+        this.updateConcentration();
+        this.recordSetting('intensity', 'Concentration', from, this.dyePhysics.currentIntensity, 
+            value => this.setIntensity(value));
+    }
+
+    setBrushSize(size) {
+        const from = this.dyePhysics.currentBrushSize;
+        this.dyePhysics.setBrushSize(size);
+        document.getElementById('brush-size').value = this.dyePhysics.currentBrushSize;
+        this.recordSetting('brush', 'Brush size', from, this.dyePhysics.currentBrushSize, 
+            value => this.setBrushSize(value));
     }
 
-    selectPresetColor(hex) {
+    // The dye being used, as its library id or a hex colour of its own
+    getDyeSetting() {
+        const dye = this.colorManager.getCurrentDye();
+        return dye ? dye.id : this.colorManager.getCurrentColorHex();
+    }
+
+    applyDyeSetting(value) {
+        if (value.startsWith('#')) {
+            this.setCustomColor(value);
+        } else {
+            this.selectDye(value);
+        }
+    }
+
+    setCustomColor(hex) {
+        const from = this.getDyeSetting();
         this.colorManager.setColor(hex);
-        document.getElementById('dye-color').value = hex;
+        document.getElementById('dye-color').value = this.colorManager.getCurrentColorHex();
+        
+        document.querySelectorAll('[data-dye]').forEach(el => el.classList.remove('active'));
+        this.updatePalette();
+        this.updatePaletteSuggestions();
+        this.updateConcentration();
+        this.recordSetting('dye', 'Dye', from, this.getDyeSetting(), 
+            value => this.applyDyeSetting(value));
+    }
+
+    // Settings that changed go in the history as one step per setting
+    recordSetting(key, label, from, to, apply) {
+        if (from === to) return;
+        this.history.push(new SettingCommand(key, label, from, to, apply));
+    }
+
+    selectDye(id) {
+        const from = this.getDyeSetting();
+        this.colorManager.setDye(id);
+        document.getElementById('dye-color').value = this.colorManager.getCurrentColorHex();
+        
+        document.querySelectorAll('[data-dye]').forEach(el => 
+            el.classList.toggle('active', el.dataset.dye === id));
+        this.updatePalette();
+        this.updatePaletteSuggestions();
+        this.updateConcentration();
+        this.recordSetting('dye', 'Dye', from, this.getDyeSetting(), 
+            value => this.applyDyeSetting(value));
+    }
+
+    clearDye() {
+        const before = this.dyePhysics.checkpoint();
+        this.dyePhysics.clear();
+        this.history.push(new DyeCommand(this.dyePhysics, 'Clear dye', before));
+    }
+
+    cure(hours) {
+        if (this.dyePhysics.isCuring()) return;
+        
+        const before = this.dyePhysics.checkpoint();
+        this.dyePhysics.cure(hours);
+        this.history.push(new DyeCommand(this.dyePhysics, 'Let it sit', before, PHASES.CURE));
+    }
+
+    rinse() {
+        if (this.dyePhysics.isCuring()) return;
+        
+        const before = this.dyePhysics.checkpoint();
+        this.dyePhysics.rinse();
+        this.history.push(new DyeCommand(this.dyePhysics, 'Rinse', before, PHASES.CURE));
+    }
+
+    // Nothing is undone while the dye cures or a stroke is under way
+    canUseHistory() {
+        return !this.dyePhysics.isCuring() && !this.dyePhysics.isApplying && !this.bindingDrag;
+    }
+
+    undo() {
+        if (this.canUseHistory()) this.history.undo();
+    }
+
+    redo() {
+        if (this.canUseHistory()) this.history.redo();
+    }
+
+    seekHistory(position) {
+        if (this.canUseHistory()) this.history.seek(position);
+        this.updateHistoryDisplay();
+    }
+
+    // Ctrl+Z undoes and Ctrl+Shift+Z (or Ctrl+Y) redoes, except in text
+    // fields, which keep their own undo
+    handleKeyDown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.matches && e.target.matches('input[type="text"], input[type="number"], textarea')) {
+            return;
+        }
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if (key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    updateHistoryDisplay() {
+        const position = this.history.getPosition();
+        const length = this.history.getLength();
+        const enabled = !this.dyePhysics.isCuring();
+        
+        document.getElementById('undo').disabled = !enabled || !this.history.canUndo();
+        document.getElementById('redo').disabled = !enabled || !this.history.canRedo();
+        
+        const timeline = document.getElementById('history-timeline');
+        timeline.max = length;
+        timeline.value = position;
+        timeline.disabled = !enabled || length === 0;
+        
+        document.getElementById('history-label').textContent = position === 0 
+            ? (length === 0 ? 'Nothing to undo' : 'Start') 
+            : `${position} of ${length}: ${this.history.getLabel()}`;
+    }
+
+    setPhase(phase) {
+        this.currentPhase = phase;
+        this.updatePhaseDisplay();
+        this.emit(EVENTS.PHASE_CHANGED, { phase: this.currentPhase });
     }
 
     nextPhase() {
         if (this.currentPhase === PHASES.FOLD) {
             this.currentPhase = PHASES.DYE;
         } else if (this.currentPhase === PHASES.DYE) {
+            this.currentPhase = PHASES.CURE;
+        } else if (this.currentPhase === PHASES.CURE) {
             this.currentPhase = PHASES.UNFOLD;
         }
         
@@ -162,8 +1092,10 @@ export class UIController extends EventEmitter {
     previousPhase() {
         if (this.currentPhase === PHASES.DYE) {
             this.currentPhase = PHASES.FOLD;
-        } else if (this.currentPhase === PHASES.UNFOLD) {
+        } else if (this.currentPhase === PHASES.CURE) {
             this.currentPhase = PHASES.DYE;
+        } else if (this.currentPhase === PHASES.UNFOLD) {
+            this.currentPhase = PHASES.CURE;
         }
         
         this.updatePhaseDisplay();
@@ -184,33 +1116,495 @@ export class UIController extends EventEmitter {
             this.currentPhase !== PHASES.FOLD);
         document.getElementById('dye-controls').classList.toggle('hidden', 
             this.currentPhase !== PHASES.DYE);
+        document.getElementById('cure-controls').classList.toggle('hidden', 
+            this.currentPhase !== PHASES.CURE);
         document.getElementById('unfold-controls').classList.toggle('hidden', 
             this.currentPhase !== PHASES.UNFOLD);
 
-        // Update navigation buttons
+        // Update navigation buttons; the fabric stays put while it cures
+        const curing = this.dyePhysics.isCuring();
         document.getElementById('prev-phase').disabled = 
-            this.currentPhase === PHASES.FOLD;
+            this.currentPhase === PHASES.FOLD || curing;
         document.getElementById('next-phase').disabled = 
-            this.currentPhase === PHASES.UNFOLD;
+            this.currentPhase === PHASES.UNFOLD || curing;
+        document.getElementById('cure-btn').disabled = curing;
+        document.getElementById('rinse-btn').disabled = curing;
+        this.updateHistoryDisplay();
 
         // Update canvas cursor
         this.canvas.canvas.style.cursor = 
-            this.currentPhase === PHASES.DYE ? 'crosshair' : 'default';
+            this.currentPhase === PHASES.DYE || 
+            (this.currentPhase === PHASES.FOLD && this.selectedBinding) ? 'crosshair' : 'default';
+
+        // Fold previews only belong to the fold phase, which works on the front
+        if (this.currentPhase === PHASES.FOLD) {
+            this.foldingEngine.setFace(FACES.FRONT);
+            this.previewSelectedFold();
+        } else if (this.selectedFoldType) {
+            this.foldingEngine.clearPreview();
+        }
+
+        // The garment is only turned over to look at the result
+        if (this.currentPhase !== PHASES.UNFOLD) {
+            this.canvas.setViewSide(FACES.FRONT);
+        }
+    }
+
+    updateCureClock(text) {
+        document.getElementById('cure-clock').textContent = text;
+    }
+
+    formatHours(seconds) {
+        const minutes = Math.round(seconds / 60);
+        return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')} h`;
     }
 
     reset() {
+        this.deselectFoldType();
+        this.deselectBinding();
         this.foldingEngine.clear();
         this.dyePhysics.clear();
-        this.canvas.clearLayer('final');
+        this.history.clear();
+        this.designId = null;
+        this.canvas.clearSurfaces();
         this.currentPhase = PHASES.FOLD;
         this.updatePhaseDisplay();
         this.canvas.render();
     }
 
+    saveProject() {
+        const project = serializeProject(this.getModules());
+        const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.download = `tie-dye-${project.garment}-${Date.now()}${PROJECT_EXTENSION}`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    async openProjectFile(file) {
+        try {
+            this.openProject(parseProject(await file.text()));
+            this.showProjectStatus(`Opened ${file.name}`);
+        } catch (error) {
+            console.warn('Could not open project:', error);
+            this.showProjectStatus(`Could not open ${file.name}: ${error.message}`);
+        }
+    }
+
+    // Replace the design with a project. It opens in the given phase, or
+    // where work left off.
+    openProject(project, phase = project.dye.strokes.length > 0 ? PHASES.DYE : PHASES.FOLD) {
+        this.deselectFoldType();
+        this.deselectBinding();
+        loadProject(this.getModules(), project);
+        this.history.clear();
+        this.designId = null;
+        this.canvas.clearSurfaces();
+        this.refreshControls();
+        this.setPhase(phase);
+        this.canvas.render();
+    }
+
+    getModules() {
+        return {
+            canvas: this.canvas,
+            foldingEngine: this.foldingEngine,
+            dyePhysics: this.dyePhysics,
+            colorManager: this.colorManager
+        };
+    }
+
+    // Bring every control in line with the modules after they changed
+    // underneath it
+    refreshControls() {
+        document.getElementById('garment-select').value = this.canvas.getGarment().type;
+        document.getElementById('fabric-select').value = this.canvas.getFabric().type;
+        document.getElementById('dye-color').value = this.colorManager.getCurrentColorHex();
+        document.getElementById('dye-intensity').value = this.dyePhysics.currentIntensity;
+        document.getElementById('brush-size').value = this.dyePhysics.currentBrushSize;
+        document.querySelectorAll('[data-tool]').forEach(btn => 
+            btn.classList.toggle('active', btn.dataset.tool === this.dyePhysics.currentTool));
+        
+        this.createDyeLibrary();
+        this.updatePalette();
+        this.updatePaletteSuggestions();
+        this.updateConcentration();
+    }
+
+    showProjectStatus(text) {
+        document.getElementById('project-status').textContent = text;
+    }
+
+    // Copy a link that rebuilds the design
+    async shareDesign() {
+        try {
+            const hash = await encodeShareLink(serializeProject(this.getModules()), this.currentPhase);
+            const url = `${window.location.origin}${window.location.pathname}${hash}`;
+            try {
+                await navigator.clipboard.writeText(url);
+                this.showProjectStatus('Link copied');
+            } catch (error) {
+                // Clipboard access can be refused; the link can still be copied by hand
+                prompt('Copy this link to share the design:', url);
+            }
+        } catch (error) {
+            console.warn('Could not create link:', error);
+            this.showProjectStatus(`Could not create a link: ${error.message}`);
+        }
+    }
+
+    // The unfolded garment once there is one, the bundle before that
+    createThumbnail() {
+        const source = this.currentPhase === PHASES.UNFOLD && this.unfolded
+            ? this.canvas.exportGarment()
+            : this.canvas.canvas;
+        return this.canvas.createThumbnail(source).toDataURL('image/png');
+    }
+
+    async openGallery() {
+        const design = this.designId ? await this.gallery.get(this.designId).catch(() => null) : null;
+        document.getElementById('design-name').value = design ? design.name : '';
+        document.getElementById('design-tags').value = design ? design.tags.join(', ') : '';
+        document.getElementById('save-design').textContent = design ? 'Update Design' : 'Save Design';
+        document.getElementById('save-design-copy').classList.toggle('hidden', !design);
+        document.getElementById('gallery').showModal();
+        this.updateGallery();
+    }
+
+    async updateGallery() {
+        const grid = document.getElementById('gallery-grid');
+        const query = document.getElementById('gallery-search').value;
+        let designs;
+        try {
+            designs = await this.gallery.list(query);
+        } catch (error) {
+            console.warn('Could not read the gallery:', error);
+            designs = [];
+        }
+        
+        grid.replaceChildren(...designs.map(design => this.createDesignCard(design)));
+        if (designs.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'gallery-empty';
+            empty.textContent = query ? 'No designs match your search' : 'No saved designs yet';
+            grid.appendChild(empty);
+        }
+    }
+
+    createDesignCard(design) {
+        const card = document.createElement('div');
+        card.className = 'design-card';
+        card.classList.toggle('current', design.id === this.designId);
+        
+        const thumbnail = document.createElement('img');
+        thumbnail.src = design.thumbnail;
+        thumbnail.alt = design.name;
+        
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.value = design.name;
+        name.title = 'Rename';
+        name.addEventListener('change', () => this.renameDesign(design.id, name.value));
+        
+        const tags = document.createElement('div');
+        tags.className = 'design-tags';
+        tags.textContent = design.tags.join(', ');
+        
+        const date = document.createElement('div');
+        date.className = 'design-date';
+        date.textContent = new Date(design.updated).toLocaleString();
+        
+        const actions = document.createElement('div');
+        actions.className = 'design-actions';
+        [
+            ['Open', () => this.openDesign(design.id)],
+            ['Duplicate', () => this.duplicateDesign(design.id)],
+            ['Delete', () => this.deleteDesign(design)]
+        ].forEach(([label, action]) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.addEventListener('click', action);
+            actions.appendChild(btn);
+        });
+        
+        card.append(thumbnail, name, tags, date, actions);
+        return card;
+    }
+
+    // Save the design to the gallery, over the one it was opened from unless
+    // `asNew` is set
+    async saveDesign(asNew = false) {
+        const design = {
+            name: document.getElementById('design-name').value,
+            tags: document.getElementById('design-tags').value,
+            project: serializeProject(this.getModules()),
+            thumbnail: this.createThumbnail(),
+            phase: this.currentPhase
+        };
+        
+        try {
+            const saved = this.designId && !asNew
+                ? await this.gallery.update(this.designId, design)
+                : await this.gallery.add(design);
+            this.designId = saved.id;
+            this.showProjectStatus(`Saved ${saved.name} to the gallery`);
+            this.saveSession();
+            document.getElementById('gallery').close();
+        } catch (error) {
+            console.warn('Could not save design:', error);
+            this.showProjectStatus(`Could not save the design: ${error.message}`);
+        }
+    }
+
+    async openDesign(id) {
+        try {
+            const design = await this.gallery.get(id);
+            if (!design) throw new Error('it is no longer in the gallery');
+            this.openProject(readProject(design.project), design.phase);
+            this.designId = id;
+            this.showProjectStatus(`Opened ${design.name}`);
+            document.getElementById('gallery').close();
+        } catch (error) {
+            console.warn('Could not open design:', error);
+            this.showProjectStatus(`Could not open the design: ${error.message}`);
+        }
+    }
+
+    async renameDesign(id, name) {
+        try {
+            await this.gallery.rename(id, name);
+        } catch (error) {
+            console.warn('Could not rename design:', error);
+        }
+        this.updateGallery();
+    }
+
+    async duplicateDesign(id) {
+        try {
+            await this.gallery.duplicate(id);
+        } catch (error) {
+            console.warn('Could not duplicate design:', error);
+        }
+        this.updateGallery();
+    }
+
+    async deleteDesign(design) {
+        if (!confirm(`Delete "${design.name}" from the gallery?`)) return;
+        
+        try {
+            await this.gallery.remove(design.id);
+            if (this.designId === design.id) this.designId = null;
+        } catch (error) {
+            console.warn('Could not delete design:', error);
+        }
+        this.updateGallery();
+    }
+
+    // Keep the session being worked on, to bring back after a crash or a
+    // closed tab
+    async saveSession() {
+        if (!this.gallery.isAvailable()) return;
+        
+        try {
+            await this.gallery.saveSession({
+                project: serializeProject(this.getModules()),
+                phase: this.currentPhase,
+                designId: this.designId
+            });
+        } catch (error) {
+            console.warn('Could not autosave the session:', error);
+        }
+    }
+
+    async restoreSession() {
+        if (!this.gallery.isAvailable()) return;
+        
+        try {
+            const session = await this.gallery.loadSession();
+            if (!session) return;
+            
+            const project = readProject(session.project);
+            if (project.folds.length === 0 && project.dye.strokes.length === 0) return;
+            
+            this.openProject(project, session.phase);
+            this.designId = session.designId;
+            this.showProjectStatus('Restored your last session');
+        } catch (error) {
+            console.warn('Could not restore the last session:', error);
+        }
+    }
+
+    getPrintOptions() {
+        return {
+            area: document.getElementById('print-area').value,
+            width: parseFloat(document.getElementById('print-width').value) || PRINT_CONFIG.DEFAULT_WIDTH,
+            dpi: parseInt(document.getElementById('print-dpi').value) || PRINT_CONFIG.DEFAULT_DPI,
+            bleed: Math.max(0, parseFloat(document.getElementById('print-bleed').value) || 0),
+            cropMarks: document.getElementById('print-crop-marks').checked,
+            format: document.getElementById('print-format').value
+        };
+    }
+
+    // Show the file's size, and only offer it once there is a pattern
+    updatePrintSize() {
+        const options = this.getPrintOptions();
+        const size = getPrintSize(this.canvas, options);
+        const tooLarge = size.width * size.height > PRINT_CONFIG.MAX_PIXELS;
+        
+        document.getElementById('print-size').textContent = 
+            `${size.trimWidth.toFixed(2)} × ${size.trimHeight.toFixed(2)} in, ` +
+            `${size.width} × ${size.height} px${tooLarge ? ' (too large)' : ''}`;
+        document.getElementById('print-btn').disabled = !this.unfolded || tooLarge;
+    }
+
+    async exportPrint() {
+        const options = this.getPrintOptions();
+        const button = document.getElementById('print-btn');
+        button.disabled = true;
+        
+        try {
+            const print = renderPrint(this.canvas, this.patternGenerator, options);
+            const blob = await encodePrint(print, options.format, options.dpi);
+            const link = document.createElement('a');
+            link.download = `tie-dye-${this.canvas.getGarment().type}-${options.area}-` +
+                `${options.dpi}dpi-${Date.now()}.${options.format}`;
+            link.href = URL.createObjectURL(blob);
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        } catch (error) {
+            console.warn('Could not export print file:', error);
+            this.showProjectStatus(`Could not export the print file: ${error.message}`);
+        } finally {
+            this.updatePrintSize();
+        }
+    }
+
+    getSewingOptions() {
+        return {
+            bodyWidth: parseFloat(document.getElementById('sew-width').value) || SEWING_CONFIG.DEFAULT_BODY_WIDTH,
+            dpi: parseInt(document.getElementById('sew-dpi').value) || SEWING_CONFIG.DEFAULT_DPI,
+            allowance: Math.max(0, parseFloat(document.getElementById('sew-allowance').value) || 0),
+            format: document.getElementById('sew-format').value
+        };
+    }
+
+    updateSewingSize() {
+        const { pieces } = getSewingSize(this.canvas, this.getSewingOptions());
+        const largest = pieces.reduce((a, b) => (b.width * b.height > a.width * a.height ? b : a));
+        const tooLarge = largest.width * largest.height > PRINT_CONFIG.MAX_PIXELS;
+        
+        document.getElementById('sew-size').textContent = 
+            `${pieces.length} ${pieces.length === 1 ? 'piece' : 'pieces'}, largest ` +
+            `${largest.width} × ${largest.height} px${tooLarge ? ' (too large)' : ''}`;
+        document.getElementById('sew-btn').disabled = !this.unfolded || tooLarge;
+    }
+
+    async exportPieces() {
+        const options = this.getSewingOptions();
+        const button = document.getElementById('sew-btn');
+        button.disabled = true;
+        
+        try {
+            const zip = await exportPieces(this.canvas, this.patternGenerator, options);
+            const link = document.createElement('a');
+            link.download = `tie-dye-${this.canvas.getGarment().type}-pieces-${options.dpi}dpi-${Date.now()}.zip`;
+            link.href = URL.createObjectURL(zip);
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        } catch (error) {
+            console.warn('Could not export the pieces:', error);
+            this.showProjectStatus(`Could not export the pieces: ${error.message}`);
+        } finally {
+            this.updateSewingSize();
+        }
+    }
+
+    // Unfold the garment, then play it coming undone
+    // Unfold once the dye has stopped spreading, as a shared link does
+    async unfold() {
+        try {
+            await this.dyePhysics.whenSettled();
+            await this.patternGenerator.generatePattern();
+            this.unfoldAnimation.play();
+        } catch (error) {
+            console.warn('Could not unfold:', error);
+            this.showProjectStatus(`Could not unfold the design: ${error.message}`);
+        }
+    }
+
+    // Play button, scrubber and time of the unfolding animation, and
+    // whether it can be saved
+    updatePlayback() {
+        const animation = this.unfoldAnimation;
+        const ready = animation.isReady();
+        const play = document.getElementById('unfold-play');
+        const scrub = document.getElementById('unfold-scrub');
+        const finished = animation.time >= animation.duration;
+        
+        play.disabled = !ready;
+        play.textContent = animation.playing ? 'Pause' : ready && finished ? 'Replay' : 'Play';
+        scrub.disabled = !ready;
+        scrub.value = ready ? Math.round(animation.time / animation.duration * 1000) : 1000;
+        document.getElementById('unfold-time').textContent = ready
+            ? `${animation.time.toFixed(1)} / ${animation.duration.toFixed(1)} s`
+            : '';
+        
+        const size = animation.getExportSize();
+        document.getElementById('animation-size').textContent = ready
+            ? `${size.width} × ${size.height} px, ${size.duration.toFixed(1)} s`
+            : `${size.width} × ${size.height} px`;
+        document.getElementById('animation-btn').disabled = !ready || this.savingAnimation;
+    }
+
+    async saveAnimation() {
+        const format = document.getElementById('animation-format').value;
+        this.savingAnimation = true;
+        this.updatePlayback();
+        if (format === 'webm') this.showProjectStatus('Recording the animation…');
+        
+        try {
+            const blob = format === 'webm'
+                ? await this.unfoldAnimation.exportVideo()
+                : await this.unfoldAnimation.exportGif();
+            const link = document.createElement('a');
+            link.download = `tie-dye-${this.canvas.getGarment().type}-unfold-${Date.now()}.${format}`;
+            link.href = URL.createObjectURL(blob);
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+            if (format === 'webm') this.showProjectStatus('');
+        } catch (error) {
+            console.warn('Could not save the animation:', error);
+            this.showProjectStatus(`Could not save the animation: ${error.message}`);
+        } finally {
+            this.savingAnimation = false;
+            this.updatePlayback();
+        }
+    }
+
     savePattern() {
         const link = document.createElement('a');
-        link.download = `tie-dye-pattern-${Date.now()}.png`;
-        link.href = this.canvas.canvas.toDataURL();
+        link.download = `tie-dye-${this.canvas.getGarment().type}-${Date.now()}.png`;
+        link.href = this.canvas.exportGarment().toDataURL();
         link.click();
     }
+
+    saveFoldPlan() {
+        const blob = new Blob([createFoldPlanSvg(this.getModules())], { type: 'image/svg+xml' });
+        const link = document.createElement('a');
+        link.download = `tie-dye-${this.canvas.getGarment().type}-fold-plan-${Date.now()}.svg`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // Open the how-to in a tab of its own to print
+    printInstructions() {
+        const blob = new Blob([createInstructionSheet(this.getModules())], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        if (!window.open(url, '_blank')) {
+            this.showProjectStatus('Allow pop-ups to open the instructions');
+        }
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
 }
\ No newline at end of file
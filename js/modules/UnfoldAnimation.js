@@ -0,0 +1,591 @@
+// UnfoldAnimation.js - The dyed bundle coming undone, fold by fold
+//
+// The folds are replayed on a fabric map of their own, keeping where every
+// cell sat flat and after each fold. Played back, the folds come undone last
+// first: cells slide from where a fold left them to where they were before
+// it, and fabric that was tucked inside the bundle takes on its dye as it
+// opens out. The animation ends on the finished garment, and can be saved as
+// an animated GIF or a WebM video.
+
+import { EventEmitter, hexToRgb, clamp, lerp } from './utils.js';
+import { EVENTS, CANVAS_CONFIG, FOLD_TYPES, FACES, ANIMATION_CONFIG } from '../config/constants.js';
+
+export class UnfoldAnimation extends EventEmitter {
+    constructor(canvas, foldingEngine, patternGenerator) {
+        super();
+        this.canvas = canvas;
+        this.foldingEngine = foldingEngine;
+        this.patternGenerator = patternGenerator;
+        this.keyframes = null;      // Cells flat, then after each fold that moved fabric
+        this.time = 0;
+        this.duration = 0;
+        this.playing = false;
+        this.frameRequest = null;
+
+        patternGenerator.on(EVENTS.UNFOLD_START, () => this.clear());
+        patternGenerator.on(EVENTS.UNFOLD_COMPLETE, () => this.prepare());
+
+        // The frame on show is drawn again from the other side
+        canvas.on(EVENTS.VIEW_SIDE_CHANGED, () => {
+            if (this.isShowing()) this.showFrame();
+        });
+    }
+
+    // Replay the folds of the last unfold and wait at the end, on the
+    // finished garment, to be played
+    prepare() {
+        const map = this.foldingEngine.createFabricMap();
+        const folds = this.foldingEngine.getFolds().filter(fold => fold.type !== FOLD_TYPES.BINDING);
+        const keyframes = [captureKeyframe(map)];
+
+        for (const fold of folds) {
+            map.apply((x, y) => this.foldingEngine.foldPoint(fold, x, y));
+            keyframes.push(captureKeyframe(map));
+        }
+
+        // Each cell's dye shows from the first keyframe, going backwards,
+        // that has it on the outside of the bundle
+        const outerFrom = new Int16Array(map.count).fill(-1);
+        for (let k = keyframes.length - 1; k >= 0; k--) {
+            const outer = keyframes[k].outer;
+            for (let i = 0; i < map.count; i++) {
+                if (outerFrom[i] < 0 && outer[i]) outerFrom[i] = k;
+            }
+        }
+
+        this.keyframes = keyframes;
+        this.outerFrom = outerFrom;
+        this.cellSize = map.cellSize;
+        this.cols = map.cols;
+        this.rows = map.rows;
+        this.duration = ANIMATION_CONFIG.HOLD_SECONDS * 2 +
+            Math.max(1, folds.length) * ANIMATION_CONFIG.FOLD_SECONDS;
+        this.time = this.duration;
+        this.emitProgress();
+    }
+
+    // Forget the animation, e.g. when the design changes
+    clear() {
+        this.pause();
+        this.keyframes = null;
+        this.time = 0;
+        this.duration = 0;
+        this.canvas.setLayerVisible('reveal', false);
+        this.emitProgress();
+    }
+
+    isReady() {
+        return this.keyframes !== null;
+    }
+
+    isShowing() {
+        return this.isReady() && this.time < this.duration;
+    }
+
+    // Play from where it is, or from the start once it has finished
+    play() {
+        if (!this.isReady() || this.playing) return;
+        if (this.time >= this.duration) this.time = 0;
+
+        this.playing = true;
+        let last = performance.now();
+        const step = now => {
+            this.time = Math.min(this.duration, this.time + Math.max(0, now - last) / 1000);
+            last = now;
+            this.showFrame();
+
+            if (this.time >= this.duration) {
+                this.pause();
+            } else {
+                this.frameRequest = requestAnimationFrame(step);
+                this.emitProgress();
+            }
+        };
+        this.showFrame();
+        this.frameRequest = requestAnimationFrame(step);
+        this.emitProgress();
+    }
+
+    pause() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.playing = false;
+        this.emitProgress();
+    }
+
+    seek(time) {
+        if (!this.isReady()) return;
+
+        this.time = clamp(time, 0, this.duration);
+        this.showFrame();
+        this.emitProgress();
+    }
+
+    // Jump to the end, leaving the finished garment on show
+    stop() {
+        this.pause();
+        this.seek(this.duration);
+    }
+
+    emitProgress() {
+        this.emit(EVENTS.UNFOLD_PROGRESS, {
+            ready: this.isReady(),
+            playing: this.playing,
+            time: this.time,
+            duration: this.duration
+        });
+    }
+
+    // The reveal layer covers the garment until the animation has finished
+    showFrame() {
+        const showing = this.isShowing();
+        this.canvas.setLayerVisible('reveal', showing);
+        if (showing) {
+            this.drawFrame(this.canvas.getLayer('reveal').getContext('2d'), this.time,
+                           this.canvas.getViewSide());
+        }
+    }
+
+    // Which fold is coming undone at a time, and how far. Returns the
+    // keyframe being unfolded to and the progress 0..1, with the holds at
+    // either end as progress 0 into the last fold and 1 into the first.
+    getStep(time) {
+        const steps = this.keyframes.length - 1;
+        const into = time - ANIMATION_CONFIG.HOLD_SECONDS;
+        if (steps === 0) {
+            return { keyframe: 0, progress: clamp(into / ANIMATION_CONFIG.FOLD_SECONDS, 0, 1) };
+        }
+        if (into <= 0) return { keyframe: steps - 1, progress: 0 };
+
+        const done = Math.floor(into / ANIMATION_CONFIG.FOLD_SECONDS);
+        if (done >= steps) return { keyframe: 0, progress: 1 };
+        return {
+            keyframe: steps - 1 - done,
+            progress: (into - done * ANIMATION_CONFIG.FOLD_SECONDS) / ANIMATION_CONFIG.FOLD_SECONDS
+        };
+    }
+
+    // Draw the animation at a time onto a context set up in canvas
+    // coordinates, seen from one side
+    drawFrame(ctx, time, side) {
+        const { keyframe, progress } = this.getStep(time);
+        const eased = easeInOut(progress);
+        const from = this.keyframes[Math.min(keyframe + 1, this.keyframes.length - 1)];
+        const to = this.keyframes[keyframe];
+        const order = eased < 0.5 ? from.order : to.order;
+        const { cells } = this.patternGenerator.pattern;
+        const tint = hexToRgb(this.canvas.getFabric().tint);
+        const soak = easeInOut(clamp((progress - ANIMATION_CONFIG.SOAK_DELAY) /
+            (1 - ANIMATION_CONFIG.SOAK_DELAY), 0, 1));
+
+        // Flaps darken as they turn away from the light
+        const turn = 1 - ANIMATION_CONFIG.TURN_SHADE * Math.sin(eased * Math.PI);
+
+        const image = document.createElement('canvas');
+        image.width = this.cols;
+        image.height = this.rows;
+        const imageCtx = image.getContext('2d');
+        const data = imageCtx.createImageData(this.cols, this.rows);
+        const pixels = data.data;
+
+        // The outer layer goes on last; seen from the back, that is the bottom one
+        const count = order.length;
+        for (let n = 0; n < count; n++) {
+            const i = order[side === FACES.BACK ? count - 1 - n : n];
+            const x = lerp(from.x[i], to.x[i], eased);
+            const y = lerp(from.y[i], to.y[i], eased);
+            const col = Math.floor(x / this.cellSize);
+            const row = Math.floor(y / this.cellSize);
+            if (col < 0 || col >= this.cols || row < 0 || row >= this.rows) continue;
+
+            const shown = this.outerFrom[i] > keyframe ? 1 : this.outerFrom[i] === keyframe ? soak : 0;
+            const dye = cells.a[i] / 255 * shown;
+            const shade = from.x[i] !== to.x[i] || from.y[i] !== to.y[i] ? turn : 1;
+            const offset = (row * this.cols + col) * 4;
+            pixels[offset] = lerp(tint.r, cells.r[i], dye) * shade;
+            pixels[offset + 1] = lerp(tint.g, cells.g[i], dye) * shade;
+            pixels[offset + 2] = lerp(tint.b, cells.b[i], dye) * shade;
+            pixels[offset + 3] = 255;
+        }
+        imageCtx.putImageData(data, 0, 0);
+
+        ctx.save();
+        ctx.fillStyle = CANVAS_CONFIG.BACKGROUND_COLOR;
+        ctx.fillRect(0, 0, CANVAS_CONFIG.WIDTH, CANVAS_CONFIG.HEIGHT);
+        this.canvas.mirrorForSide(ctx, side);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(image, 0, 0, this.cols * this.cellSize, this.rows * this.cellSize);
+        ctx.restore();
+
+        // Fade into the finished garment over the last hold
+        const end = this.duration - ANIMATION_CONFIG.HOLD_SECONDS;
+        if (time > end) {
+            const surface = this.canvas.getSurface(side);
+            ctx.save();
+            ctx.globalAlpha = easeInOut(clamp((time - end) / ANIMATION_CONFIG.HOLD_SECONDS, 0, 1));
+            ctx.drawImage(surface.base, 0, 0);
+            ctx.drawImage(surface.final, 0, 0);
+            ctx.restore();
+        }
+    }
+
+    // Size of saved animations: the whole canvas, scaled to EXPORT_WIDTH
+    getExportSize() {
+        const scale = ANIMATION_CONFIG.EXPORT_WIDTH / CANVAS_CONFIG.WIDTH;
+        return {
+            width: ANIMATION_CONFIG.EXPORT_WIDTH,
+            height: Math.round(CANVAS_CONFIG.HEIGHT * scale),
+            scale,
+            duration: this.duration
+        };
+    }
+
+    createExportFrame() {
+        const { width, height, scale } = this.getExportSize();
+        const frame = document.createElement('canvas');
+        frame.width = width;
+        frame.height = height;
+        const ctx = frame.getContext('2d');
+        ctx.scale(scale, scale);
+        return { frame, ctx };
+    }
+
+    // The animation as an animated GIF, seen from the side in view. Frames
+    // are drawn twice: once to choose the palette, once to encode.
+    async exportGif() {
+        if (!this.isReady()) throw new Error('Unfold the garment first');
+
+        const side = this.canvas.getViewSide();
+        const { width, height } = this.getExportSize();
+        const { ctx } = this.createExportFrame();
+        const frameCount = Math.ceil(this.duration * ANIMATION_CONFIG.GIF_FPS) + 1;
+        const frameAt = n => {
+            if (!this.isReady()) throw new Error('The design changed while saving');
+            this.drawFrame(ctx, Math.min(n / ANIMATION_CONFIG.GIF_FPS, this.duration), side);
+            return ctx.getImageData(0, 0, width, height).data;
+        };
+
+        const counts = new Uint32Array(32768);
+        for (let n = 0; n < frameCount; n += ANIMATION_CONFIG.GIF_PALETTE_STRIDE) {
+            countColors(frameAt(n), counts);
+            await nextTask();
+        }
+        const palette = choosePalette(counts);
+        const gif = new GifWriter(width, height, palette.colors);
+
+        for (let n = 0; n < frameCount; n++) {
+            // The finished garment stays on screen a while before it loops
+            const delay = n === frameCount - 1
+                ? ANIMATION_CONFIG.HOLD_SECONDS * 2
+                : 1 / ANIMATION_CONFIG.GIF_FPS;
+            gif.addFrame(palette.index(frameAt(n)), delay);
+            await nextTask();
+        }
+
+        return new Blob([gif.finish()], { type: 'image/gif' });
+    }
+
+    // The animation as a WebM video, recorded from a canvas as it plays, so
+    // it takes as long as the animation does
+    async exportVideo() {
+        if (!this.isReady()) throw new Error('Unfold the garment first');
+
+        const type = getVideoType();
+        if (!type) throw new Error('This browser cannot record WebM video');
+
+        const side = this.canvas.getViewSide();
+        const { frame, ctx } = this.createExportFrame();
+        const stream = frame.captureStream(ANIMATION_CONFIG.VIDEO_FPS);
+        const recorder = new MediaRecorder(stream, {
+            mimeType: type,
+            videoBitsPerSecond: ANIMATION_CONFIG.VIDEO_BITRATE
+        });
+        const chunks = [];
+        recorder.addEventListener('dataavailable', e => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+        const stopped = new Promise((resolve, reject) => {
+            recorder.addEventListener('stop', resolve);
+            recorder.addEventListener('error', e => reject(e.error || new Error('Recording failed')));
+        });
+
+        this.drawFrame(ctx, 0, side);
+        recorder.start();
+        await new Promise(resolve => {
+            const start = performance.now();
+            const step = now => {
+                const time = (now - start) / 1000;
+                if (!this.isReady()) {
+                    resolve();
+                    return;
+                }
+                this.drawFrame(ctx, Math.min(time, this.duration), side);
+                if (time >= this.duration + ANIMATION_CONFIG.HOLD_SECONDS) {
+                    resolve();
+                } else {
+                    requestAnimationFrame(step);
+                }
+            };
+            requestAnimationFrame(step);
+        });
+        recorder.stop();
+        await stopped;
+        stream.getTracks().forEach(track => track.stop());
+        if (!this.isReady()) throw new Error('The design changed while recording');
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+}
+
+// WebM type this browser can record, or null
+export function getVideoType() {
+    if (typeof MediaRecorder === 'undefined' ||
+        typeof HTMLCanvasElement.prototype.captureStream !== 'function') return null;
+
+    return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Where every cell sits, the order to paint them in (deepest first) and
+// which are on the outside of the bundle, at the top or bottom of a stack
+function captureKeyframe(map) {
+    const depth = map.depth;
+    const outer = new Uint8Array(map.count);
+    map.forEachStack((col, row, stack) => {
+        outer[stack[0]] = 1;
+        outer[stack[stack.length - 1]] = 1;
+    });
+
+    const order = new Uint32Array(map.count);
+    for (let i = 0; i < map.count; i++) order[i] = i;
+    order.sort((a, b) => depth[b] - depth[a]);
+
+    return { x: Float32Array.from(map.x), y: Float32Array.from(map.y), order, outer };
+}
+
+function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+// Let the page breathe between frames of a long export
+function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Colours are counted and matched at 5 bits a channel
+function colorKey(pixels, offset) {
+    return (pixels[offset] >> 3) << 10 | (pixels[offset + 1] >> 3) << 5 | pixels[offset + 2] >> 3;
+}
+
+function countColors(pixels, counts) {
+    for (let offset = 0; offset < pixels.length; offset += 4) {
+        counts[colorKey(pixels, offset)]++;
+    }
+}
+
+// The 256 most common colours, and a function turning RGBA pixels into
+// indices of the nearest of them
+function choosePalette(counts) {
+    const keys = [];
+    for (let key = 0; key < counts.length; key++) {
+        if (counts[key] > 0) keys.push(key);
+    }
+    keys.sort((a, b) => counts[b] - counts[a]);
+
+    const colors = keys.slice(0, 256).map(key => [
+        (key >> 10 & 31) << 3 | 4,
+        (key >> 5 & 31) << 3 | 4,
+        (key & 31) << 3 | 4
+    ]);
+    const nearest = new Int16Array(32768).fill(-1);
+
+    const match = key => {
+        const r = (key >> 10 & 31) << 3 | 4;
+        const g = (key >> 5 & 31) << 3 | 4;
+        const b = (key & 31) << 3 | 4;
+        let best = 0;
+        let bestDistance = Infinity;
+        colors.forEach((color, index) => {
+            const d = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+            if (d < bestDistance) {
+                best = index;
+                bestDistance = d;
+            }
+        });
+        nearest[key] = best;
+        return best;
+    };
+
+    return {
+        colors,
+        index: pixels => {
+            const indices = new Uint8Array(pixels.length / 4);
+            for (let i = 0; i < indices.length; i++) {
+                const key = colorKey(pixels, i * 4);
+                indices[i] = nearest[key] >= 0 ? nearest[key] : match(key);
+            }
+            return indices;
+        }
+    };
+}
+
+// Growable byte buffer
+class ByteWriter {
+    constructor(size = 65536) {
+        this.bytes = new Uint8Array(size);
+        this.length = 0;
+    }
+
+    byte(value) {
+        if (this.length === this.bytes.length) {
+            const bytes = new Uint8Array(this.bytes.length * 2);
+            bytes.set(this.bytes);
+            this.bytes = bytes;
+        }
+        this.bytes[this.length++] = value;
+    }
+
+    word(value) {
+        this.byte(value & 0xff);
+        this.byte(value >> 8 & 0xff);
+    }
+
+    string(text) {
+        for (const char of text) this.byte(char.charCodeAt(0));
+    }
+
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+// GIF89a with one global palette of up to 256 colours, looping forever
+class GifWriter {
+    constructor(width, height, colors) {
+        this.width = width;
+        this.height = height;
+        this.out = new ByteWriter();
+        this.lzw = new LzwEncoder();
+
+        const out = this.out;
+        out.string('GIF89a');
+        out.word(width);
+        out.word(height);
+        out.byte(0xf7);             // Global colour table of 256 entries
+        out.byte(0);                // Background colour
+        out.byte(0);                // Square pixels
+        for (let i = 0; i < 256; i++) {
+            const color = colors[i] || [0, 0, 0];
+            color.forEach(channel => out.byte(channel));
+        }
+
+        // Loop forever
+        out.byte(0x21);
+        out.byte(0xff);
+        out.byte(11);
+        out.string('NETSCAPE2.0');
+        out.byte(3);
+        out.byte(1);
+        out.word(0);
+        out.byte(0);
+    }
+
+    // A frame of palette indices, shown for `delay` seconds
+    addFrame(indices, delay) {
+        const out = this.out;
+
+        out.byte(0x21);
+        out.byte(0xf9);
+        out.byte(4);
+        out.byte(0x04);             // Leave the frame in place under the next
+        out.word(Math.max(2, Math.round(delay * 100)));
+        out.byte(0);
+        out.byte(0);
+
+        out.byte(0x2c);
+        out.word(0);
+        out.word(0);
+        out.word(this.width);
+        out.word(this.height);
+        out.byte(0);
+
+        out.byte(8);                // Minimum code size
+        const data = this.lzw.encode(indices);
+        for (let start = 0; start < data.length; start += 255) {
+            const block = data.subarray(start, start + 255);
+            out.byte(block.length);
+            block.forEach(value => out.byte(value));
+        }
+        out.byte(0);
+    }
+
+    finish() {
+        this.out.byte(0x3b);
+        return this.out.toBytes();
+    }
+}
+
+// GIF's variable-width LZW over 8 bit indices. The code table is keyed on
+// prefix code and next index; bumping the generation empties it.
+const LZW_CLEAR = 256;
+const LZW_END = 257;
+const LZW_MAX_CODE = 4096;
+
+class LzwEncoder {
+    constructor() {
+        this.codes = new Int16Array(LZW_MAX_CODE * 256);
+        this.generations = new Uint32Array(LZW_MAX_CODE * 256);
+        this.generation = 0;
+    }
+
+    encode(indices) {
+        const out = new ByteWriter(indices.length);
+        let bits = 0;
+        let bitCount = 0;
+        let codeSize = 9;
+        let nextCode = LZW_END + 1;
+
+        const write = code => {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                out.byte(bits & 0xff);
+                bits >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        this.generation++;
+        write(LZW_CLEAR);
+        let prefix = indices[0];
+
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = prefix << 8 | index;
+            if (this.generations[key] === this.generation) {
+                prefix = this.codes[key];
+                continue;
+            }
+
+            write(prefix);
+            if (nextCode === LZW_MAX_CODE) {
+                write(LZW_CLEAR);
+                this.generation++;
+                codeSize = 9;
+                nextCode = LZW_END + 1;
+            } else {
+                if (nextCode >= 1 << codeSize) codeSize++;
+                this.codes[key] = nextCode++;
+                this.generations[key] = this.generation;
+            }
+            prefix = index;
+        }
+
+        write(prefix);
+        write(LZW_END);
+        if (bitCount > 0) out.byte(bits & 0xff);
+        return out.toBytes();
+    }
+}
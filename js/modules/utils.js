@@ -50,6 +50,36 @@ export function lerp(start, end, t) {
     return start + (end - start) * t;
 }
 
+// Seeded random numbers (mulberry32). Everything random in a design draws
+// from one of these, seeded by a number kept with the fold or stroke, so the
+// same seed always gives the same design.
+export class Random {
+    constructor(seed = randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Next number in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
+
+export const MAX_SEED = 4294967295;
+
+// A fresh seed, for a new fold or stroke
+export function randomSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
 export function getCanvasPoint(canvas, event) {
     const rect = canvas.getBoundingClientRect();
     return {
@@ -0,0 +1,14 @@
+// dyeWorker.js - Runs the dye field solver off the main thread
+
+import { handleFieldMessage } from '../modules/DyeField.js';
+
+const state = {};
+
+self.onmessage = (event) => {
+    const reply = handleFieldMessage(state, event.data);
+    if (!reply) return;
+
+    const buffers = Object.values(reply.faces).flatMap(channels =>
+        channels.flatMap(channel => [channel.free.buffer, channel.fixed.buffer]));
+    self.postMessage(reply, buffers);
+};